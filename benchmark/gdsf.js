@@ -0,0 +1,126 @@
+/**
+ * Replays synthetic access traces of values with different sizes against the fixed size caches
+ * and prints their hit rates (share of requests answered from the cache) and byte hit rates
+ * (share of requested bytes answered from the cache).
+ * Run with {@code npm run benchmark:gdsf} or {@code node benchmark/gdsf.js [maxSizeMB]}
+ * @author LupCode.com
+ */
+const caches = require('../index.js');
+
+
+/**
+ * @param {int} seed Seed of the generator
+ * @returns Function returning deterministic pseudo random numbers between 0 and 1 (mulberry32)
+ */
+function random(seed){
+    return function(){
+        seed = (seed + 0x6D2B79F5) | 0;
+        let t = Math.imul(seed ^ (seed >>> 15), 1 | seed);
+        t = (t + Math.imul(t ^ (t >>> 7), 61 | t)) ^ t;
+        return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+    };
+}
+
+/**
+ * @param {int} keys Amount of distinct keys
+ * @param {Number} skew Exponent of the distribution (higher means more skewed)
+ * @param {Function} rand Random number generator
+ * @returns Function returning key indexes where low indexes are requested most often
+ */
+function zipf(keys, skew, rand){
+    let cdf = new Float64Array(keys), sum = 0;
+    for(let i=0; i < keys; i++) cdf[i] = (sum += 1 / Math.pow(i + 1, skew));
+    return function(){
+        const r = rand() * sum;
+        let low = 0, high = keys - 1;
+        while(low < high){
+            const mid = (low + high) >>> 1;
+            if(cdf[mid] < r) low = mid + 1; else high = mid;
+        }
+        return low;
+    };
+}
+
+/**
+ * @param {int} keys Amount of distinct keys
+ * @param {Function} rand Random number generator
+ * @returns Array of byte sizes per key, mostly small values and few large ones (log-normal like)
+ */
+function sizes(keys, rand){
+    let result = new Array(keys);
+    for(let i=0; i < keys; i++){
+        const large = rand() < 0.05;
+        result[i] = Math.floor(large ? 100 * 1024 + rand() * 900 * 1024 : 512 + Math.pow(rand(), 2) * 16 * 1024);
+    }
+    return result;
+}
+
+
+const maxSizeMB = Number(process.argv[2]) || 16;
+const keys = 20000;
+const length = 200000;
+
+const traces = {
+    // popularity does not depend on the size, recomputing costs the same for all values
+    "uniform cost": function(){
+        const rand = random(1), next = zipf(keys, 0.8, rand), size = sizes(keys, rand);
+        let trace = [];
+        for(let i=0; i < length; i++){
+            const k = next();
+            trace.push({key: "k" + k, size: size[k], cost: 1});
+        }
+        return trace;
+    },
+    // recomputing costs as much as transferring the value (e.g. a proxy)
+    "cost = size": function(){
+        const rand = random(2), next = zipf(keys, 0.8, rand), size = sizes(keys, rand);
+        let trace = [];
+        for(let i=0; i < length; i++){
+            const k = next();
+            trace.push({key: "k" + k, size: size[k], cost: size[k]});
+        }
+        return trace;
+    },
+    // large values are cheap to recompute, some small ones are very expensive
+    "mixed cost": function(){
+        const rand = random(3), next = zipf(keys, 0.8, rand), size = sizes(keys, rand);
+        let cost = size.map(function(s){ return s > 100 * 1024 ? 1 : (rand() < 0.2 ? 100 : 10); });
+        let trace = [];
+        for(let i=0; i < length; i++){
+            const k = next();
+            trace.push({key: "k" + k, size: size[k], cost: cost[k]});
+        }
+        return trace;
+    }
+};
+
+const candidates = {
+    "LRU": function(){ return new caches.FixedSizeLRUCache(maxSizeMB); },
+    "LFU": function(){ return new caches.FixedSizeLFUCache(maxSizeMB, -1); },
+    "GDS": function(){ return new caches.FixedSizeCache(maxSizeMB, new caches.GDSFPolicy(false)); },
+    "GDSF": function(){ return new caches.FixedSizeGDSFCache(maxSizeMB); }
+};
+
+console.log("maxSize=" + maxSizeMB + "MB, " + keys + " keys, " + length + " requests per trace");
+console.log("columns per trace: hit rate / byte hit rate / saved cost\n");
+console.log("policy".padEnd(8) + Object.keys(traces).map(t => t.padStart(30)).join(""));
+const generated = Object.values(traces).map(t => t());
+for(let name in candidates){
+    let line = name.padEnd(8);
+    for(let trace of generated){
+        const cache = candidates[name]();
+        let hits = 0, bytes = 0, hitBytes = 0, cost = 0, savedCost = 0;
+        for(let request of trace){
+            bytes += request.size;
+            cost += request.cost;
+            if(cache.get(request.key) !== undefined){
+                hits++;
+                hitBytes += request.size;
+                savedCost += request.cost;
+            } else cache.put(request.key, request.key, {size: request.size, cost: request.cost});
+        }
+        line += ((hits / trace.length * 100).toFixed(2) + "% / " + (hitBytes / bytes * 100).toFixed(2) + "% / " +
+            (savedCost / cost * 100).toFixed(2) + "%").padStart(30);
+    }
+    console.log(line);
+}
@@ -0,0 +1,95 @@
+/**
+ * Replays synthetic access traces against all fixed count caches and prints their hit rates.
+ * Run with {@code npm run benchmark:hitrate} or {@code node benchmark/hitrate.js [capacity]}
+ * @author LupCode.com
+ */
+const caches = require('../index.js');
+
+
+/**
+ * @param {int} seed Seed of the generator
+ * @returns Function returning deterministic pseudo random numbers between 0 and 1 (mulberry32)
+ */
+function random(seed){
+    return function(){
+        seed = (seed + 0x6D2B79F5) | 0;
+        let t = Math.imul(seed ^ (seed >>> 15), 1 | seed);
+        t = (t + Math.imul(t ^ (t >>> 7), 61 | t)) ^ t;
+        return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+    };
+}
+
+/**
+ * @param {int} keys Amount of distinct keys
+ * @param {Number} skew Exponent of the distribution (higher means more skewed)
+ * @param {Function} rand Random number generator
+ * @returns Function returning key indexes where low indexes are requested most often
+ */
+function zipf(keys, skew, rand){
+    let cdf = new Float64Array(keys), sum = 0;
+    for(let i=0; i < keys; i++) cdf[i] = (sum += 1 / Math.pow(i + 1, skew));
+    return function(){
+        const r = rand() * sum;
+        let low = 0, high = keys - 1;
+        while(low < high){
+            const mid = (low + high) >>> 1;
+            if(cdf[mid] < r) low = mid + 1; else high = mid;
+        }
+        return low;
+    };
+}
+
+
+const capacity = parseInt(process.argv[2]) || 1000;
+const length = 200000;
+
+const traces = {
+    // skewed popularity that stays the same
+    "zipf": function(){
+        const next = zipf(capacity * 20, 0.9, random(1));
+        let trace = [];
+        for(let i=0; i < length; i++) trace.push("k" + next());
+        return trace;
+    },
+    // skewed popularity interrupted by scans over keys that are only read once
+    "zipf+scan": function(){
+        const next = zipf(capacity * 20, 0.9, random(2));
+        let trace = [], scan = 0;
+        for(let i=0; i < length; i++){
+            if(i % 20000 === 10000) for(let j=0; j < capacity * 2; j++) trace.push("scan" + (scan++));
+            trace.push("k" + next());
+        }
+        return trace;
+    },
+    // popular keys change completely in the middle of the trace
+    "shifting": function(){
+        const next = zipf(capacity * 20, 0.9, random(3));
+        let trace = [];
+        for(let i=0; i < length; i++) trace.push((i < length / 2 ? "a" : "b") + next());
+        return trace;
+    },
+    // keys are read in a loop slightly larger than the cache
+    "loop": function(){
+        let trace = [];
+        for(let i=0; i < length; i++) trace.push("k" + (i % Math.floor(capacity * 1.2)));
+        return trace;
+    }
+};
+
+const names = ["LRU", "LFU", "ARC", "2Q", "SLRU", "WTinyLFU", "FIFO", "Clock"];
+
+console.log("capacity=" + capacity + " entries, " + length + " requests per trace\n");
+console.log("policy".padEnd(10) + Object.keys(traces).map(t => t.padStart(12)).join(""));
+const generated = Object.values(traces).map(t => t());
+for(let name of names){
+    let line = name.padEnd(10);
+    for(let trace of generated){
+        const cache = name === "LFU" ? new caches.FixedCountLFUCache(capacity, -1) : new caches["FixedCount" + name + "Cache"](capacity);
+        let hits = 0;
+        for(let key of trace){
+            if(cache.get(key) !== undefined) hits++; else cache.put(key, key);
+        }
+        line += ((hits / trace.length * 100).toFixed(2) + "%").padStart(12);
+    }
+    console.log(line);
+}
@@ -0,0 +1,83 @@
+/**
+ * Compares the put and get throughput of the LFU caches against the previous
+ * implementation that sorted all entries whenever the cache was full.
+ * Run with {@code npm run benchmark} or {@code node benchmark/lfu.js [size...]}
+ * @author LupCode.com
+ */
+const {FixedCountLFUCache} = require('../index.js');
+
+
+/**
+ * Implementation of {@link FixedCountLFUCache} before the frequency buckets were introduced
+ */
+class SortingFixedCountLFUCache {
+    #maxCount;
+    #count = 0;
+    #entries = {}; // key: {value: Object, accesses: int}
+
+    constructor(maxCount){
+        this.#maxCount = parseInt(maxCount);
+    }
+
+    put(key, value){
+        if(this.#count >= this.#maxCount){
+            let sorted = Object.entries(this.#entries).sort(function([, a], [, b]){ return a.accesses-b.accesses;  });
+            let index = 0;
+            while(index < sorted.length && this.#count >= this.#maxCount) {
+                let entry = sorted[index++];
+                this.#count--;
+                delete this.#entries[entry[0]];
+            }
+        }
+        this.#entries[key] = {
+            value: value,
+            accesses: 1
+        };
+        this.#count++;
+        return true;
+    }
+
+    get(key){
+        let entry = this.#entries[key];
+        if(!entry) return undefined;
+        entry.accesses++;
+        return entry.value;
+    }
+}
+
+
+/**
+ * Fills the cache and then runs a mix of gets and puts on a warm cache
+ * @param {Object} cache Cache that gets benchmarked
+ * @param {int} size Maximum amount of entries of the cache
+ * @param {int} maxMs Time limit in milliseconds after which the benchmark stops
+ * @returns Operations per second on the warm cache
+ */
+function run(cache, size, maxMs){
+    for(let i=0; i < size; i++) cache.put("key" + i, i);
+
+    let ops = 0, next = size;
+    const start = process.hrtime.bigint();
+    let elapsedMs = 0;
+    while(elapsedMs < maxMs){
+        for(let i=0; i < 100; i++){
+            cache.get("key" + Math.floor(Math.random() * next));
+            cache.put("key" + next, next);
+            next++;
+        }
+        ops += 200;
+        elapsedMs = Number(process.hrtime.bigint() - start) / 1e6;
+    }
+    return ops / elapsedMs * 1000;
+}
+
+
+const sizes = process.argv.length > 2 ? process.argv.slice(2).map(s => parseInt(s)) : [1000, 10000, 100000];
+const maxMs = 2000;
+
+console.log("size".padStart(8) + "sorting ops/s".padStart(18) + "buckets ops/s".padStart(18) + "speedup".padStart(10));
+for(let size of sizes){
+    const sorting = run(new SortingFixedCountLFUCache(size), size, maxMs);
+    const buckets = run(new FixedCountLFUCache(size, -1), size, maxMs);
+    console.log(String(size).padStart(8) + sorting.toFixed(0).padStart(18) + buckets.toFixed(0).padStart(18) + (buckets / sorting).toFixed(1).padStart(9) + "x");
+}
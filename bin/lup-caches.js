@@ -0,0 +1,96 @@
+#!/usr/bin/env node
+/**
+ * Command line interface of lup-caches
+ * Run {@code lup-caches help} for the available commands.
+ * @author LupCode.com
+ */
+const { readTrace, simulate, formatResults, SIMULATED_POLICIES } = require('../index.js');
+
+
+const USAGE = [
+    "Usage: lup-caches simulate <trace> --capacities <list> [options]",
+    "",
+    "Replays a trace written by a TraceRecorder against every combination of policies and capacities",
+    "and prints hit rate, byte hit rate, evictions and replayed operations per second.",
+    "",
+    "Options:",
+    "  --capacities <list>   Comma separated capacities, e.g. 1000,5000,10000 (required)",
+    "  --unit <unit>         \"entries\" for FixedCount caches or \"MB\" for FixedSize caches (default entries)",
+    "  --policies <list>     Comma separated policies (default " + Object.keys(SIMULATED_POLICIES).join(",") + ")",
+    "  --expire <list>       Comma separated LFU expire intervals in milliseconds (default 60000)",
+    "  --sort <field>        Sort by hitRate, byteHitRate or evictions (default keeps grid order)",
+    "  --json                Print results as JSON instead of a table"
+].join("\n");
+
+
+/**
+ * @param {Array} args Command line arguments after the command
+ * @returns Object containing the positional arguments as {@code _} and the options by name
+ */
+function parseArgs(args){
+    let parsed = {_: []};
+    for(let i=0; i < args.length; i++){
+        const arg = args[i];
+        if(!arg.startsWith("--")){
+            parsed._.push(arg);
+            continue;
+        }
+        const index = arg.indexOf("=");
+        const name = arg.substring(2, index < 0 ? arg.length : index);
+        if(index >= 0) parsed[name] = arg.substring(index + 1);
+        else if(name === "json") parsed[name] = true;
+        else if(i + 1 < args.length) parsed[name] = args[++i];
+        else throw new Error("Missing value of --" + name);
+    }
+    return parsed;
+}
+
+/**
+ * @param {String} value Comma separated list
+ * @returns Array of the trimmed non-empty items
+ */
+function list(value){
+    return String(value).split(",").map(function(item){ return item.trim(); }).filter(Boolean);
+}
+
+async function main(argv){
+    const command = argv[0];
+    if(!command || command === "help" || command === "--help"){
+        console.log(USAGE);
+        return 0;
+    }
+    if(command !== "simulate"){
+        console.error("Unknown command: " + command + "\n\n" + USAGE);
+        return 1;
+    }
+
+    const args = parseArgs(argv.slice(1));
+    if(args._.length !== 1 || !args.capacities){
+        console.error(USAGE);
+        return 1;
+    }
+    const trace = await readTrace(args._[0]);
+    let results = simulate(trace, {
+        capacities: list(args.capacities),
+        unit: args.unit,
+        policies: args.policies ? list(args.policies) : undefined,
+        expireMs: args.expire ? list(args.expire) : undefined
+    });
+    if(args.sort){
+        if(!["hitRate", "byteHitRate", "evictions"].includes(args.sort)) throw new Error("Cannot sort by " + args.sort);
+        const descending = args.sort !== "evictions";
+        results.sort(function(a, b){ return descending ? b[args.sort] - a[args.sort] : a[args.sort] - b[args.sort]; });
+    }
+
+    if(args.json) console.log(JSON.stringify({records: trace.length, keys: trace.keys, results: results}, null, 2));
+    else console.log(trace.length + " records, " + trace.keys + " keys\n\n" + formatResults(results));
+    return 0;
+}
+
+
+main(process.argv.slice(2)).then(function(code){
+    process.exitCode = code;
+}, function(err){
+    console.error(err.message);
+    process.exitCode = 1;
+});
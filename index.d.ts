@@ -0,0 +1,777 @@
+/// <reference types="node" />
+import { EventEmitter } from "events";
+import { Readable, Writable } from "stream";
+import { IncomingMessage, ServerResponse } from "http";
+
+
+/** Reasons passed as third argument to the `onEvict` callbacks */
+export declare const EvictReason: Readonly<{
+    CAPACITY: "capacity";
+    EXPIRED: "expired";
+    CLEAR: "clear";
+}>;
+export type EvictReason = typeof EvictReason[keyof typeof EvictReason];
+
+/** Reasons why `putMany()` did not store an entry */
+export declare const RejectReason: Readonly<{
+    TOO_LARGE: "too-large";
+    NO_ROOM: "no-room";
+    ATOMIC: "atomic";
+    DUPLICATE: "duplicate";
+}>;
+export type RejectReason = typeof RejectReason[keyof typeof RejectReason];
+
+/** Options of `put()` */
+export interface PutOptions<K = any, V = any> {
+    /** Size in bytes of value (only used by byte based capacities, gets computed or estimated if not set) */
+    size?: number;
+    /** Weight of value (only used by weighted capacities) */
+    weight?: number;
+    /** Time-to-live in milliseconds (if not set default TTL of cache is used, zero means no expiry) */
+    ttl?: number;
+    /** Milliseconds after the time-to-live in which the stale value gets served while being refreshed */
+    staleWhileRevalidate?: number;
+    /** Called with evicted entries, returning `false` prevents the eviction (ignored if entry has expired) */
+    onEvict?: (key: K, value: V, reason: EvictReason) => boolean | void;
+    /** Tags that allow to remove the entry together with others by `invalidateTag()` */
+    tags?: string | string[];
+    /** Cost of recomputing the value, used by cost aware policies like `GDSFPolicy` (default 1) */
+    cost?: number;
+}
+
+/** Options of `getOrLoad()` */
+export interface LoadOptions<K = any, V = any> extends PutOptions<K, V> {
+    /** Milliseconds for which a rejection of the loader gets cached */
+    negativeTtl?: number;
+}
+
+/** Options of `setLoader()` */
+export interface LoaderOptions<K = any, V = any> extends PutOptions<K, V> {
+    /** Called if a background refresh fails */
+    onError?: (key: K, error: any) => void;
+}
+
+export type Loader<K, V> = (key: K) => V | undefined | Promise<V | undefined>;
+
+/** Entry passed to events and returned by resizing and batch operations */
+export interface EvictedEntry<K = any, V = any> {
+    key: K;
+    value: V;
+    size: number;
+    reason: EvictReason;
+}
+
+export interface CacheEvent<K = any, V = any> {
+    key: K;
+    value: V;
+    size: number;
+    reason?: EvictReason;
+    expires?: number;
+}
+
+export interface CacheStats {
+    hits: number;
+    misses: number;
+    hitRate: number;
+    puts: number;
+    rejectedPuts: number;
+    evictions: number;
+    expirations: number;
+    vetoedEvictions: number;
+    removals: number;
+}
+
+export interface PutManyResult<K = any, V = any> {
+    stored: K[];
+    rejected: Array<{ key: K; reason: RejectReason }>;
+    evicted: Array<EvictedEntry<K, V>>;
+}
+
+export interface Serializer {
+    serialize(value: any): string | Buffer;
+    deserialize(buffer: Buffer): any;
+}
+
+export interface SerializeOptions {
+    serializer?: Serializer;
+}
+
+export interface RestoreOptions extends SerializeOptions {
+    /** Arguments passed to the constructor */
+    args?: any[];
+}
+
+/** Strategy that weighs entries and defines the maximum total weight of a cache */
+export interface Capacity<K = any, V = any> {
+    getMax(): number;
+    setMax(max: number): void;
+    weigh(key: K, value: V, options: PutOptions<K, V>): number;
+}
+
+/** Entry of a cache as seen by eviction policies (policies may add own properties) */
+export interface CacheEntry<K = any, V = any> {
+    key: K;
+    value: V;
+    weight: number;
+    stale: number;
+    expires: number;
+    options: PutOptions<K, V>;
+    onEvict?: (key: K, value: V, reason: EvictReason) => boolean | void;
+    tags: string[] | null;
+    [property: string]: any;
+}
+
+/** Transforms values before a cache stores them, see {@link Cache.setCodec} */
+export interface Codec<K = any, V = any> {
+    encode(value: V, key: K, weight: number): { value: any; weight: number } | null;
+    decode(value: any, key: K, access: boolean): V;
+    release?(value: any, key: K): void;
+}
+
+export interface CacheOptions<K = any, V = any> {
+    capacity: Capacity<K, V>;
+    policy: EvictionPolicy;
+    ttl?: number;
+    staleWhileRevalidate?: number;
+    loader?: Loader<K, V> | null;
+    /** Function returning the current timestamp in milliseconds (default `Date.now`) */
+    clock?: () => number;
+}
+
+export interface CacheEvents<K, V> {
+    set: [CacheEvent<K, V>];
+    hit: [CacheEvent<K, V>];
+    miss: [{ key: K }];
+    evict: [CacheEvent<K, V>];
+    expire: [CacheEvent<K, V>];
+    delete: [CacheEvent<K, V>];
+    clear: [{ count: number }];
+}
+
+/**
+ * Cache whose capacity is defined by a capacity strategy and which decides what to evict by an eviction policy.
+ * Implements the interface of `Map` where iterations follow the eviction order.
+ */
+export declare class Cache<K = any, V = any> extends EventEmitter implements Map<K, V> {
+    constructor(options: CacheOptions<K, V>);
+
+    getCapacity(): Capacity<K, V>;
+    getPolicy(): EvictionPolicy;
+    getCount(): number;
+    getCountWithPrefix(prefix: string): number;
+    getUsedCapacity(): number;
+    getMaxCapacity(): number;
+    setMaxCapacity(max: number): Array<EvictedEntry<K, V>>;
+    getDefaultTTL(): number;
+    setDefaultTTL(defaultTTL: number): void;
+    getDefaultStaleWhileRevalidate(): number;
+    setDefaultStaleWhileRevalidate(staleWhileRevalidate: number): void;
+    getClock(): () => number;
+    setClock(clock: () => number): void;
+    getCodec(): Codec<K, V> | null;
+    setCodec(codec: Codec<K, V> | null): void;
+    startScheduler(intervalMs?: number): void;
+    stopScheduler(): boolean;
+    dispose(): void;
+    close(): void;
+    getLoader(): Loader<K, V> | null;
+    setLoader(loader: Loader<K, V> | null, options?: LoaderOptions<K, V>): void;
+    getStats(): CacheStats;
+    resetStats(): void;
+
+    put(key: K, value: V, options?: PutOptions<K, V>): boolean;
+    putMany(entries: Iterable<[K, V] | [K, V, PutOptions<K, V>]>, options?: PutOptions<K, V> & { atomic?: boolean }): PutManyResult<K, V>;
+    get(key: K): V | undefined;
+    getMany(keys: Iterable<K>): Map<K, V>;
+    peek(key: K): V | undefined;
+    has(key: K): boolean;
+    set(key: K, value: V, options?: PutOptions<K, V>): this;
+    delete(key: K): boolean;
+    readonly size: number;
+    entries(): IterableIterator<[K, V]>;
+    keys(): IterableIterator<K>;
+    values(): IterableIterator<V>;
+    [Symbol.iterator](): IterableIterator<[K, V]>;
+    readonly [Symbol.toStringTag]: string;
+    forEach(callback: (value: V, key: K, map: Map<K, V>) => void, thisArg?: any): void;
+    getOrLoad(key: K, loader: Loader<K, V>, options?: LoadOptions<K, V>): Promise<V | undefined>;
+    remove(key: K): V | undefined;
+    removeMany(keys: Iterable<K>): Map<K, V>;
+    invalidateTag(tag: string): number;
+    invalidatePrefix(prefix: string): number;
+    namespace(name: string, separator?: string): CacheNamespace<V>;
+    purgeExpired(): number;
+    clear(callEvictCallbacks?: boolean): void;
+
+    serialize(options?: SerializeOptions): Buffer;
+    dump(target: string | Writable, options?: SerializeOptions): Promise<void>;
+    /** Constructor arguments `restore()` uses if none are given, receives the header containing `maxCapacity` */
+    static argsFromSnapshot(header: { maxCapacity: number; [field: string]: any }): any[];
+    static restore<T extends Cache>(this: new (...args: any[]) => T, data: Buffer, options?: RestoreOptions): T;
+    static load<T extends Cache>(this: new (...args: any[]) => T, source: string | Readable | Buffer, options?: RestoreOptions): Promise<T>;
+    toString(): string;
+
+    on<E extends keyof CacheEvents<K, V>>(event: E, listener: (...args: CacheEvents<K, V>[E]) => void): this;
+    once<E extends keyof CacheEvents<K, V>>(event: E, listener: (...args: CacheEvents<K, V>[E]) => void): this;
+    off<E extends keyof CacheEvents<K, V>>(event: E, listener: (...args: CacheEvents<K, V>[E]) => void): this;
+    addListener<E extends keyof CacheEvents<K, V>>(event: E, listener: (...args: CacheEvents<K, V>[E]) => void): this;
+    removeListener<E extends keyof CacheEvents<K, V>>(event: E, listener: (...args: CacheEvents<K, V>[E]) => void): this;
+    emit<E extends keyof CacheEvents<K, V>>(event: E, ...args: CacheEvents<K, V>[E]): boolean;
+}
+
+/** View of a cache whose keys and tags get prefixed with the name of the namespace */
+export declare class CacheNamespace<V = any> {
+    constructor(parent: Cache<string, V>, name: string, separator?: string);
+    getName(): string;
+    getParent(): Cache<string, V>;
+    namespace(name: string): CacheNamespace<V>;
+    put(key: string | number, value: V, options?: PutOptions<string, V>): boolean;
+    set(key: string | number, value: V, options?: PutOptions<string, V>): this;
+    get(key: string | number): V | undefined;
+    peek(key: string | number): V | undefined;
+    has(key: string | number): boolean;
+    getOrLoad(key: string | number, loader: (key: string | number) => V | undefined | Promise<V | undefined>, options?: LoadOptions<string, V>): Promise<V | undefined>;
+    remove(key: string | number): V | undefined;
+    delete(key: string | number): boolean;
+    invalidateTag(tag: string): number;
+    invalidatePrefix(prefix: string): number;
+    clear(): number;
+    readonly size: number;
+    entries(): IterableIterator<[string, V]>;
+    keys(): IterableIterator<string>;
+    values(): IterableIterator<V>;
+    [Symbol.iterator](): IterableIterator<[string, V]>;
+    forEach(callback: (value: V, key: string, namespace: this) => void, thisArg?: any): void;
+    toString(): string;
+}
+
+
+/** Options that define how `FixedSize*` caches compute sizes */
+export interface SizeOptions<K = any, V = any> extends EstimateOptions {
+    sizeCalculator?: ((value: V, key: K) => number) | null;
+    countKeys?: boolean;
+    entryOverhead?: number;
+    /** Only used by `FixedSize*` caches */
+    compression?: boolean | CompressionOptions;
+}
+
+export interface AutoShrinkOptions {
+    thresholdMB: number;
+    metric?: "rss" | "heapTotal" | "heapUsed" | "external" | "arrayBuffers";
+    ratio?: number;
+    minSizeMB?: number;
+    intervalMs?: number;
+    onResize?: (maxSizeMB: number, evicted: EvictedEntry[]) => void;
+}
+
+/** Base class of the `FixedSize*` caches */
+export declare class FixedSizeCache<K = any, V = any> extends Cache<K, V> {
+    constructor(maxSizeMB: number, policy: EvictionPolicy, defaultTTL?: number, sizeOptions?: SizeOptions<K, V>);
+    getSizeInMB(): number;
+    getMaxSizeMB(): number;
+    setMaxSizeMB(maxSizeMB: number): Array<EvictedEntry<K, V>>;
+    getSizeCalculator(): ((value: V, key: K) => number) | null;
+    setSizeCalculator(sizeCalculator: ((value: V, key: K) => number) | null): void;
+    enableAutoShrink(options: AutoShrinkOptions): void;
+    disableAutoShrink(restore?: boolean): boolean;
+    enableCompression(options?: CompressionOptions): CompressionCodec;
+    disableCompression(): boolean;
+    getCompressionStats(): CompressionStats | null;
+}
+
+/** Base class of the `FixedCount*` caches */
+export declare class FixedCountCache<K = any, V = any> extends Cache<K, V> {
+    constructor(maxCount: number, policy: EvictionPolicy, defaultTTL?: number);
+    getMaxCount(): number;
+    setMaxCount(maxCount: number): Array<EvictedEntry<K, V>>;
+}
+
+export declare class FixedSizeLFUCache<K = any, V = any> extends FixedSizeCache<K, V> {
+    constructor(maxSizeMB: number, expireMs?: number, defaultTTL?: number, sizeOptions?: SizeOptions<K, V>);
+    getExpireTime(): number;
+    setExpireTime(expireMs: number): void;
+}
+export declare class FixedCountLFUCache<K = any, V = any> extends FixedCountCache<K, V> {
+    constructor(maxCount: number, expireMs?: number, defaultTTL?: number);
+    getExpireTime(): number;
+    setExpireTime(expireMs: number): void;
+}
+export declare class FixedSizeLRUCache<K = any, V = any> extends FixedSizeCache<K, V> {
+    constructor(maxSizeMB: number, defaultTTL?: number, sizeOptions?: SizeOptions<K, V>);
+}
+export declare class FixedCountLRUCache<K = any, V = any> extends FixedCountCache<K, V> {
+    constructor(maxCount: number, defaultTTL?: number);
+}
+export declare class FixedSizeARCCache<K = any, V = any> extends FixedSizeCache<K, V> {
+    constructor(maxSizeMB: number, defaultTTL?: number, sizeOptions?: SizeOptions<K, V>);
+}
+export declare class FixedCountARCCache<K = any, V = any> extends FixedCountCache<K, V> {
+    constructor(maxCount: number, defaultTTL?: number);
+}
+export declare class FixedSize2QCache<K = any, V = any> extends FixedSizeCache<K, V> {
+    constructor(maxSizeMB: number, defaultTTL?: number, sizeOptions?: SizeOptions<K, V>);
+}
+export declare class FixedCount2QCache<K = any, V = any> extends FixedCountCache<K, V> {
+    constructor(maxCount: number, defaultTTL?: number);
+}
+export declare class FixedSizeSLRUCache<K = any, V = any> extends FixedSizeCache<K, V> {
+    constructor(maxSizeMB: number, defaultTTL?: number, sizeOptions?: SizeOptions<K, V>);
+}
+export declare class FixedCountSLRUCache<K = any, V = any> extends FixedCountCache<K, V> {
+    constructor(maxCount: number, defaultTTL?: number);
+}
+export declare class FixedSizeWTinyLFUCache<K = any, V = any> extends FixedSizeCache<K, V> {
+    constructor(maxSizeMB: number, defaultTTL?: number, sizeOptions?: SizeOptions<K, V>);
+}
+export declare class FixedCountWTinyLFUCache<K = any, V = any> extends FixedCountCache<K, V> {
+    constructor(maxCount: number, defaultTTL?: number);
+}
+export declare class FixedSizeFIFOCache<K = any, V = any> extends FixedSizeCache<K, V> {
+    constructor(maxSizeMB: number, defaultTTL?: number, sizeOptions?: SizeOptions<K, V>);
+}
+export declare class FixedCountFIFOCache<K = any, V = any> extends FixedCountCache<K, V> {
+    constructor(maxCount: number, defaultTTL?: number);
+}
+export declare class FixedSizeClockCache<K = any, V = any> extends FixedSizeCache<K, V> {
+    constructor(maxSizeMB: number, defaultTTL?: number, sizeOptions?: SizeOptions<K, V>);
+}
+export declare class FixedCountClockCache<K = any, V = any> extends FixedCountCache<K, V> {
+    constructor(maxCount: number, defaultTTL?: number);
+}
+export declare class FixedSizeGDSFCache<K = any, V = any> extends FixedSizeCache<K, V> {
+    constructor(maxSizeMB: number, defaultTTL?: number, sizeOptions?: SizeOptions<K, V>);
+}
+export declare class FixedCountGDSFCache<K = any, V = any> extends FixedCountCache<K, V> {
+    constructor(maxCount: number, defaultTTL?: number);
+}
+
+
+export declare class CountCapacity implements Capacity {
+    constructor(maxCount: number);
+    getMax(): number;
+    setMax(maxCount: number): void;
+    weigh(key: any, value: any, options: PutOptions): number;
+}
+export declare class SizeCapacity<K = any, V = any> implements Capacity<K, V> {
+    constructor(maxBytes: number, options?: SizeOptions<K, V>);
+    getMax(): number;
+    setMax(maxBytes: number): void;
+    getSizeCalculator(): ((value: V, key: K) => number) | null;
+    setSizeCalculator(sizeCalculator: ((value: V, key: K) => number) | null): void;
+    sizeOf(value: V, key: K): number;
+    weigh(key: K, value: V, options: PutOptions<K, V>): number;
+}
+export declare class WeightedCapacity<K = any, V = any> implements Capacity<K, V> {
+    constructor(maxWeight: number, weigher?: (key: K, value: V) => number);
+    getMax(): number;
+    setMax(maxWeight: number): void;
+    weigh(key: K, value: V, options: PutOptions<K, V>): number;
+}
+
+
+export declare const CompressionAlgorithm: Readonly<{
+    BROTLI: "brotli";
+    GZIP: "gzip";
+    DEFLATE: "deflate";
+}>;
+export type CompressionAlgorithm = typeof CompressionAlgorithm[keyof typeof CompressionAlgorithm];
+
+export interface CompressionOptions {
+    algorithm?: CompressionAlgorithm;
+    level?: number;
+    threshold?: number;
+    hotSetSize?: number;
+}
+
+export interface CompressionStats {
+    compressed: number;
+    skipped: number;
+    bytesIn: number;
+    bytesOut: number;
+    ratio: number;
+    savedBytes: number;
+    decompressions: number;
+    hotHits: number;
+    hotCount: number;
+}
+
+/** Transparently compresses string and Buffer values with zlib */
+export declare class CompressionCodec implements Codec<any, any> {
+    constructor(options?: CompressionOptions);
+    getAlgorithm(): CompressionAlgorithm;
+    getLevel(): number;
+    getThreshold(): number;
+    getHotSetSize(): number;
+    setHotSetSize(hotSetSize: number): void;
+    encode(value: any, key: any, weight: number): { value: any; weight: number } | null;
+    decode(value: any, key: any, access?: boolean): any;
+    release(value: any, key: any): void;
+    getStats(): CompressionStats;
+    resetStats(): void;
+    clearHotSet(): void;
+    toString(): string;
+}
+
+
+/** Base class of eviction policies */
+export declare class EvictionPolicy {
+    bind(capacity: Capacity): void;
+    tick(now: number): void;
+    add(entry: CacheEntry): void;
+    access(entry: CacheEntry): void;
+    remove(entry: CacheEntry, reason?: EvictReason): void;
+    clear(): void;
+    victims(): Iterator<CacheEntry>;
+    entries(): Iterator<CacheEntry>;
+    exportEntry(entry: CacheEntry): any;
+    importEntry(entry: CacheEntry, meta: any): void;
+    exportState(): any;
+    importState(state: any): void;
+}
+export declare class LRUPolicy extends EvictionPolicy {}
+export declare class LFUPolicy extends EvictionPolicy {
+    constructor(expireMs?: number);
+    getExpireTime(): number;
+    setExpireTime(expireMs: number): void;
+}
+export declare class ARCPolicy extends EvictionPolicy {
+    getTarget(): number;
+}
+export declare class TwoQPolicy extends EvictionPolicy {
+    constructor(inRatio?: number, outRatio?: number);
+}
+export declare class SLRUPolicy extends EvictionPolicy {
+    constructor(protectedRatio?: number);
+}
+export declare class WTinyLFUPolicy extends EvictionPolicy {
+    constructor(windowRatio?: number, protectedRatio?: number);
+}
+export declare class FIFOPolicy extends EvictionPolicy {}
+export declare class ClockPolicy extends EvictionPolicy {}
+export declare class GDSFPolicy extends EvictionPolicy {
+    constructor(frequency?: boolean);
+    usesFrequency(): boolean;
+    getInflation(): number;
+}
+
+
+export declare const SNAPSHOT_VERSION: number;
+export declare const JSONSerializer: Serializer;
+
+
+export interface DiskEntry<V = any> {
+    value: V;
+    weight: number | undefined;
+    expires: number;
+}
+
+/** Cache storing each key-value pair as a file in a local directory */
+export declare class DiskCache<V = any> {
+    constructor(directory: string, maxSizeMB: number, options?: { serializer?: Serializer; clock?: () => number });
+    init(): Promise<void>;
+    getClock(): () => number;
+    setClock(clock: () => number): void;
+    getDirectory(): string;
+    getCount(): number;
+    getSizeInMB(): number;
+    getMaxSizeMB(): number;
+    setMaxSizeMB(maxSizeMB: number): void;
+    has(key: string): boolean;
+    put(key: string, value: V, options?: { ttl?: number; expires?: number; weight?: number }): boolean;
+    get(key: string): Promise<V | undefined>;
+    getEntry(key: string): Promise<DiskEntry<V> | undefined>;
+    remove(key: string): boolean;
+    clear(): void;
+    flush(): Promise<void>;
+    toString(): string;
+}
+
+/** Two-tier cache of a memory cache and a disk cache */
+export declare class TieredCache<V = any> {
+    constructor(memory: Cache<string, V>, disk: DiskCache<V>);
+    getMemoryTier(): Cache<string, V>;
+    getDiskTier(): DiskCache<V>;
+    put(key: string, value: V, options?: PutOptions<string, V>): boolean;
+    get(key: string): Promise<V | undefined>;
+    remove(key: string): V | undefined;
+    clear(): void;
+    flush(): Promise<void>;
+    close(): Promise<void>;
+    toString(): string;
+}
+
+export interface SharedCacheOptions {
+    maxEntries?: number;
+    blockSize?: number;
+    keyBytes?: number;
+    buffer?: SharedArrayBuffer;
+    clock?: () => number;
+}
+
+/** Fixed size LRU cache in shared memory that can be used by multiple worker threads */
+export declare class SharedFixedSizeLRUCache {
+    constructor(maxSizeMB: number, defaultTTL?: number, options?: SharedCacheOptions);
+    static attach(buffer: SharedArrayBuffer, options?: { clock?: () => number }): SharedFixedSizeLRUCache;
+    getClock(): () => number;
+    setClock(clock: () => number): void;
+    getSharedBuffer(): SharedArrayBuffer;
+    getCount(): number;
+    getSizeInMB(): number;
+    getMaxSizeMB(): number;
+    setMaxSizeMB(maxSizeMB: number): void;
+    getDefaultTTL(): number;
+    setDefaultTTL(defaultTTL: number): void;
+    put(key: string, value: string | Buffer, options?: { ttl?: number }): boolean;
+    get(key: string): string | Buffer | undefined;
+    peek(key: string): string | Buffer | undefined;
+    has(key: string): boolean;
+    remove(key: string): boolean;
+    clear(): void;
+    toString(): string;
+}
+
+
+/** Registry of named caches whose statistics can be exported in the Prometheus text format */
+export declare class MetricsRegistry {
+    static readonly CONTENT_TYPE: string;
+    constructor(prefix?: string);
+    register(name: string, cache: Cache): void;
+    unregister(name: string): boolean;
+    getCache(name: string): Cache | undefined;
+    getNames(): string[];
+    clear(): void;
+    getStats(): { [name: string]: CacheStats };
+    toPrometheus(): string;
+}
+export declare const defaultRegistry: MetricsRegistry;
+
+
+export declare const TraceOp: Readonly<{
+    GET: 0;
+    PUT: 1;
+    REMOVE: 2;
+    CLEAR: 3;
+}>;
+export type TraceOp = typeof TraceOp[keyof typeof TraceOp];
+export declare const TRACE_VERSION: number;
+
+/** Records the operations of a live cache into a compact binary trace */
+export declare class TraceRecorder {
+    constructor(cache: Cache, target: string | Writable, options?: { sizeOf?: (value: any, key: any, size: number) => number; maxKeys?: number; maxRecords?: number });
+    getCount(): number;
+    getKeyCount(): number;
+    isLimitReached(): boolean;
+    isClosed(): boolean;
+    close(): Promise<void>;
+}
+
+export interface Trace {
+    length: number;
+    keys: number;
+    start: number;
+    ops: Uint8Array;
+    keyIds: Uint32Array;
+    sizes: Float64Array;
+    times: Float64Array;
+}
+export declare function readTrace(source: string | Readable | Buffer): Promise<Trace>;
+
+export type SimulatedPolicy = "LRU" | "LFU" | "ARC" | "2Q" | "SLRU" | "WTinyLFU" | "FIFO" | "Clock" | "GDSF";
+export declare const SIMULATED_POLICIES: Readonly<Record<SimulatedPolicy, (expireMs?: number) => EvictionPolicy>>;
+
+export interface SimulateOptions {
+    capacities: number[];
+    unit?: "entries" | "MB";
+    policies?: SimulatedPolicy[];
+    expireMs?: number[];
+}
+export interface SimulationResult {
+    policy: SimulatedPolicy;
+    capacity: number;
+    unit: "entries" | "MB";
+    expireMs: number | null;
+    lookups: number;
+    hits: number;
+    hitRate: number;
+    byteHitRate: number;
+    evictions: number;
+    opsPerSec: number;
+}
+export declare function simulate(trace: Trace, options: SimulateOptions): SimulationResult[];
+export declare function formatResults(results: SimulationResult[]): string;
+
+
+export interface EstimateOptions {
+    maxDepth?: number;
+    overhead?: Partial<Overhead>;
+}
+export interface Overhead {
+    object: number;
+    slot: number;
+    string: number;
+    number: number;
+    boolean: number;
+}
+export declare const DEFAULT_OVERHEAD: Readonly<Overhead>;
+export declare function estimateSize(value: any, options?: EstimateOptions): number;
+
+
+export declare const InvalidationOp: Readonly<{
+    REMOVE: "remove";
+    CLEAR: "clear";
+    TAG: "tag";
+    PREFIX: "prefix";
+}>;
+export type InvalidationOp = typeof InvalidationOp[keyof typeof InvalidationOp];
+
+export interface InvalidationMessage {
+    origin: string;
+    channel: string;
+    op: InvalidationOp;
+    target?: string | number;
+}
+
+/** Base class of transports carrying invalidation messages */
+export declare class InvalidationTransport {
+    subscribe(handler: (message: InvalidationMessage) => void): void;
+    unsubscribe(handler: (message: InvalidationMessage) => void): boolean;
+    publish(message: InvalidationMessage): void;
+    deliver(message: InvalidationMessage): void;
+    close(): void;
+}
+export declare class ClusterTransport extends InvalidationTransport {
+    static startRelay(): void;
+    static stopRelay(): void;
+}
+export declare class WorkerThreadsTransport extends InvalidationTransport {
+    constructor(name?: string);
+}
+export interface SocketTransportOptions {
+    path?: string;
+    port?: number;
+    host?: string;
+    server?: boolean;
+    retryMs?: number;
+    onError?: (error: Error) => void;
+}
+export declare class SocketTransport extends InvalidationTransport {
+    constructor(options: SocketTransportOptions);
+    ready(): Promise<void>;
+    isServer(): boolean;
+}
+
+/** Broadcasts invalidations of a cache to the caches of other processes or threads */
+export declare class InvalidationBus<K = any, V = any> {
+    constructor(cache: Cache<K, V>, transport: InvalidationTransport, options?: { id?: string; channel?: string; broadcastSets?: boolean });
+    getId(): string;
+    getChannel(): string;
+    getCache(): Cache<K, V>;
+    remove(key: K): V | undefined;
+    clear(): void;
+    invalidateTag(tag: string): number;
+    invalidatePrefix(prefix: string): number;
+    close(): void;
+}
+
+
+export declare const WriteMode: Readonly<{
+    THROUGH: "write-through";
+    BEHIND: "write-behind";
+}>;
+export type WriteMode = typeof WriteMode[keyof typeof WriteMode];
+
+/** Adapter of a persistent store used by {@link StoreBackedCache} */
+export interface Store<K = any, V = any> {
+    get(key: K): V | undefined | Promise<V | undefined>;
+    set(key: K, value: V): void | Promise<void>;
+    delete(key: K): void | Promise<void>;
+}
+
+/** Base class of store adapters (extending it is optional) */
+export declare class StoreAdapter<K = any, V = any> implements Store<K, V> {
+    get(key: K): V | undefined | Promise<V | undefined>;
+    set(key: K, value: V): void | Promise<void>;
+    delete(key: K): void | Promise<void>;
+}
+
+/** Store adapter keeping each value in a file of a local directory */
+export declare class FileSystemAdapter<V = any> extends StoreAdapter<string | number, V> {
+    constructor(directory: string, options?: { serializer?: Serializer });
+    getDirectory(): string;
+    get(key: string | number): Promise<V | undefined>;
+    set(key: string | number, value: V): Promise<void>;
+    delete(key: string | number): Promise<void>;
+    toString(): string;
+}
+
+/** Store adapter keeping all values in a `Map`, intended for tests */
+export declare class MemoryAdapter<K = any, V = any> extends StoreAdapter<K, V> {
+    constructor(options?: { delayMs?: number });
+    getMap(): Map<K, V>;
+    getCalls(): { get: number; set: number; delete: number };
+    resetCalls(): void;
+    failNext(count?: number, error?: Error | null): void;
+    get(key: K): Promise<V | undefined>;
+    set(key: K, value: V): Promise<void>;
+    delete(key: K): Promise<void>;
+}
+
+export interface StoreBackedCacheOptions<K = any> {
+    mode?: WriteMode;
+    batchSize?: number;
+    flushDelayMs?: number;
+    maxFlushDelayMs?: number;
+    retries?: number;
+    retryDelayMs?: number;
+    onError?: ((error: any, key: K) => void) | null;
+}
+
+/** Cache in front of a slower persistent store using write-through or write-behind */
+export declare class StoreBackedCache<K = any, V = any> {
+    constructor(cache: Cache<K, V>, adapter: Store<K, V>, options?: StoreBackedCacheOptions<K>);
+    getCache(): Cache<K, V>;
+    getAdapter(): Store<K, V>;
+    getMode(): WriteMode;
+    getDirtyCount(): number;
+    put(key: K, value: V, options?: PutOptions<K, V>): Promise<boolean>;
+    get(key: K, options?: PutOptions<K, V>): Promise<V | undefined>;
+    remove(key: K): Promise<V | undefined>;
+    flush(): Promise<void>;
+    close(): Promise<void>;
+    toString(): string;
+}
+
+
+/** Cache (or namespace of a cache) that can store memoized results */
+export interface MemoizeCache<K = any, V = any> {
+    get(key: K): V | undefined;
+    put(key: K, value: V, options?: PutOptions<K, V>): boolean;
+    remove(key: K): V | undefined;
+    clear(): any;
+    entries?(): Iterable<[K, V]>;
+}
+
+export interface MemoizeOptions<A extends any[], R, K = any> {
+    cache?: MemoizeCache<K, any>;
+    keyResolver?: (...args: A) => K;
+    ttl?: number;
+    sizeOf?: (result: Awaited<R>, args: A) => number | undefined;
+}
+
+export type Memoized<A extends any[], R, K = any> = ((...args: A) => R) & {
+    cache: MemoizeCache<K, any>;
+    clear(): void;
+    invalidate(...args: A): void;
+};
+
+export declare function memoize<A extends any[], R, K = any>(fn: (...args: A) => R, options?: MemoizeOptions<A, R, K>): Memoized<A, R, K>;
+
+
+export interface HttpCacheOptions {
+    cache?: Cache<string, any>;
+    vary?: string[];
+    ttl?: number;
+    keyPrefix?: string;
+}
+
+export declare function httpCache(options?: HttpCacheOptions): (req: IncomingMessage, res: ServerResponse, next: (error?: any) => void) => void;
@@ -1,177 +1,153 @@
+const { Cache, EvictReason, RejectReason } = require('./lib/cache.js');
+const { SNAPSHOT_VERSION, JSONSerializer } = require('./lib/snapshot.js');
+const { DiskCache } = require('./lib/disk.js');
+const { TieredCache } = require('./lib/tiered.js');
+const { SharedFixedSizeLRUCache } = require('./lib/shared.js');
+const { MetricsRegistry, defaultRegistry } = require('./lib/metrics.js');
+const { TraceRecorder, TraceOp, TRACE_VERSION, readTrace } = require('./lib/trace.js');
+const { SIMULATED_POLICIES, simulate, formatResults } = require('./lib/simulate.js');
+const { DEFAULT_OVERHEAD, estimateSize } = require('./lib/sizeof.js');
+const { CacheNamespace } = require('./lib/namespace.js');
+const { memoize } = require('./lib/memoize.js');
+const { httpCache } = require('./lib/http.js');
+const { InvalidationBus, InvalidationOp } = require('./lib/bus/bus.js');
+const { InvalidationTransport } = require('./lib/bus/transport.js');
+const { ClusterTransport } = require('./lib/bus/cluster.js');
+const { WorkerThreadsTransport } = require('./lib/bus/threads.js');
+const { SocketTransport } = require('./lib/bus/socket.js');
+const { StoreBackedCache, WriteMode } = require('./lib/store/store.js');
+const { StoreAdapter } = require('./lib/store/adapter.js');
+const { FileSystemAdapter } = require('./lib/store/fs.js');
+const { MemoryAdapter } = require('./lib/store/memory.js');
+const { CountCapacity, SizeCapacity, WeightedCapacity } = require('./lib/capacity.js');
+const { FixedSizeCache, FixedCountCache } = require('./lib/fixed.js');
+const { CompressionCodec, CompressionAlgorithm } = require('./lib/compression.js');
+const { EvictionPolicy } = require('./lib/policies/policy.js');
+const { LRUPolicy } = require('./lib/policies/lru.js');
+const { LFUPolicy } = require('./lib/policies/lfu.js');
+const { ARCPolicy } = require('./lib/policies/arc.js');
+const { TwoQPolicy } = require('./lib/policies/twoq.js');
+const { SLRUPolicy } = require('./lib/policies/slru.js');
+const { WTinyLFUPolicy } = require('./lib/policies/tinylfu.js');
+const { FIFOPolicy, ClockPolicy } = require('./lib/policies/fifo.js');
+const { GDSFPolicy } = require('./lib/policies/gdsf.js');
+
+
+
+
 /**
  * Fixed size cache storing key-value pairs such that total 
  * byte size of stored values will not exceed given limit. 
  * Uses the LFU algortihm (least frequently used) to evict entries if cache is full. 
- * Additionally an expire interval can be set (passive on {@code put()} call) that repeatedly halfs 
- * the access counter of each entry.
+ * Additionally an expire interval can be set (applied on reads and writes or by {@code startScheduler()}) 
+ * that repeatedly halfs the access counter of each entry.
+ * Entries can have a time-to-live after which they are treated as not existing.
  * @author LupCode.com
  */
-class FixedSizeLFUCache {
-    #maxSize;
-    #expireMs;
-    #size = 0;
-    #entries = {}; // key: {value: Object, size: int, accesses: int, onEvict: function}
-    #nextExpire;
+class FixedSizeLFUCache extends FixedSizeCache {
 
     /**
      * Creates a new cache with a fixed storing capacity
      * @param {Number} maxSizeMB Limit how many mega bytes cache can store
      * @param {int} expireMs If >= 0 expire interval in milliseconds at which access counters are halfed
+     * @param {int} defaultTTL Time-to-live in milliseconds for entries that do not specify one on {@code put()} (zero or negative means no expiry)
+     * @param {Object} sizeOptions Options that define how sizes get computed (see {@link SizeCapacity})
      */
-    constructor(maxSizeMB, expireMs=60000){
-        this.#maxSize = Math.floor(maxSizeMB * 1024 * 1024);
-        this.#expireMs = Math.floor(expireMs);
-        this.#nextExpire = Date.now() + this.#expireMs;
+    constructor(maxSizeMB, expireMs=60000, defaultTTL=0, sizeOptions={}){
+        super(maxSizeMB, new LFUPolicy(expireMs), defaultTTL, sizeOptions);
     }
 
     /**
-     * @returns Amount of key-value pairs stored in cache
+     * @returns Milliseconds interval at which the access counter of entry entry gets halfed (negative means disabled)
      */
-     getCount(){
-        return Object.keys(this.#entries).length;
+    getExpireTime(){
+        return this.getPolicy().getExpireTime();
     }
 
     /**
-     * @returns Total size of stored entries in mega bytes
+     * Sets the interval at which the access counter of each entry gets halfed (the interval restarts with the next tick)
+     * @param {int} expireMs Milliseconds of interval at which the access counters of all entries are halfed (negative means disabled)
      */
-    getSizeInMB(){
-        return this.#size / 1024 / 1024;
+    setExpireTime(expireMs){
+        this.getPolicy().setExpireTime(expireMs);
     }
 
     /**
-     * @returns Maximum total size of stored entries in mega bytes
+     * @returns String containing basic information about this cache
      */
-    getMaxSizeMB(){
-        return this.#maxSize / 1024 / 1024;
+    toString(){
+        return this.constructor.name + "{size=" + Number(this.getSizeInMB()).toFixed(2) + "/" + Number(this.getMaxSizeMB()).toFixed(2) + 
+        "MB; entries=" + this.getCount() + "; expireInterval=" + this.getExpireTime() + "}";
     }
+}
+
+
+
+
+/**
+ * Cache storing fixed amount of key-value pairs.
+ * Uses the LFU algortihm (least frequently used) to evict entries if cache is full. 
+ * Additionally an expire interval can be set (applied on reads and writes or by {@code startScheduler()}) 
+ * that repeatedly halfs the access counter of each entry.
+ * Entries can have a time-to-live after which they are treated as not existing.
+ * @author LupCode.com
+ */
+class FixedCountLFUCache extends FixedCountCache {
 
     /**
-     * Sets the maximum size the total byte size of all values is not allowed to exceed
-     * @param {Number} maxSizeMB Maximum byte size of all values in mega byte
+     * Creates a new cache with a fixed storing capacity
+     * @param {Number} maxCount Maximum amount of key-value pairs that can be hold
+     * @param {int} expireMs If >= 0 expire interval in milliseconds at which access counters are halfed
+     * @param {int} defaultTTL Time-to-live in milliseconds for entries that do not specify one on {@code put()} (zero or negative means no expiry)
      */
-    setMaxSizeMB(maxSizeMB){
-        this.#maxSize = parseInt(maxSizeMB * 1024 * 1024);
+    constructor(maxCount, expireMs=5000, defaultTTL=0){
+        super(maxCount, new LFUPolicy(expireMs), defaultTTL);
     }
 
     /**
      * @returns Milliseconds interval at which the access counter of entry entry gets halfed (negative means disabled)
      */
     getExpireTime(){
-        return this.#expireMs;
+        return this.getPolicy().getExpireTime();
     }
 
     /**
-     * Sets the interval at which the access counter of each entry gets halfed
+     * Sets the interval at which the access counter of each entry gets halfed (the interval restarts with the next tick)
      * @param {int} expireMs Milliseconds of interval at which the access counters of all entries are halfed (negative means disabled)
      */
     setExpireTime(expireMs){
-        this.#expireMs = parseInt(expireMs);
+        this.getPolicy().setExpireTime(expireMs);
     }
 
     /**
-     * Puts a key-value pair into cache
-     * @param {String} key Unique key to reference value in cache
-     * @param {*} value Value that should be put into cache
-     * @param {Object} options Additional options that can be set: 
-     *  - size:     int         Size in bytes of value (if value is {@type String} or {@type Buffer} size parameter not required)
-     *  - onEvict:  Function    Callback that gets called with key and value that were evicted from cache (if returns {@code false} pair does not get evicted)
-     * @returns True if successfully put key-value pair into cache or false if value is too big to fit into cache
-     * @throws Error if size is not given while value is not of type String nor of type Buffer
-     */
-    put(key, value, options={size: undefined, onEvict: function(k,v){}}){
-        if(!key || (typeof key !== 'string' && !(key instanceof String))) throw new Error("Key must be defined and of type String");
-        if(!options.size){
-            if(typeof key === 'string' || value instanceof String || value instanceof Buffer){
-                options.size = Buffer.byteLength(value);
-            } else {
-                throw Error("Byte size must be provided for a value of type " + (typeof value));
-            }
-        }
-        if(options.size > this.#maxSize) return false;
-
-        // half all 'access' counters if expired
-        if(this.#expireMs >= 0){
-            const now = Date.now();
-            if(this.#nextExpire < now){
-                this.#nextExpire = now + this.#expireMs;
-                for(let v of Object.values(this.#entries)) v.accesses = Math.floor(v.accesses / 2);
-            }
-        }
-
-        // evict entries until enough space is available for new entry
-        if(this.#maxSize - this.#size < options.size){
-            let sorted = Object.entries(this.#entries).sort(function([, a], [, b]){ return a.accesses-b.accesses;  });
-            let index = 0;
-            while(index < sorted.length && this.#maxSize - this.#size < options.size) {
-                let entry = sorted[index++];
-                if(entry[1].onEvict && entry[1].onEvict(entry[0], entry[1].value) === false) continue;
-                this.#size -= entry[1].size;
-                delete this.#entries[entry[0]];
-            }
-            if(this.#maxSize - this.#size < options.size) return false;
-        }
-
-        // put new entry into cache
-        this.#size += options.size;
-        this.#entries[key] = {
-            value: value,
-            size: options.size,
-            accesses: 1,
-            onEvict: options.onEvict
-        };
-
-        return true;
-    }
-
-
-    /**
-     * Returns a value from the cache by its key (if it is still in the cache)
-     * @param {String} key Key of the value that should be returned
-     * @returns Value if found or undefined if not found
+     * @returns String containing basic information about this cache
      */
-    get(key){
-        let entry = this.#entries[key];
-        if(!entry) return undefined;
-        entry.accesses++;
-        return entry.value;
+    toString(){
+        return this.constructor.name + "{entries=" + this.getCount() + "/" + this.getMaxCount() + "; expireInterval=" + this.getExpireTime() + "ms}";
     }
+}
 
 
-    /**
-     * Removes a key-value pair from the cache immediatly. 
-     * Will not trigger the onEvict callback if defined.
-     * @param {String} key Key of the value that should be removed
-     * @returns Value of the removed key-value pair or undefined if not found
-     */
-    remove(key){
-        let entry = this.#entries[key];
-        if(!entry) return undefined;
-        this.#size -= entry.size;
-        
-        let value = entry.value;
-        delete this.#entries[key];
-        return value;
-    }
 
 
-    /**
-     * Clears the cache without calling the {@code onEvict} callbacks (by default)
-     * @param {bool} callEvictCallbacks If {@code true} for each entry the {@code onEvict} callback will be called 
-     * which can prevent evicting the entry by returning {@type false}.
-     */
-    clear(callEvictCallbacks=false){
-        for(let entry of Object.entries(this.#entries)){
-            if(callEvictCallbacks && entry[1].onEvict && entry[1].onEvict(entry[0], entry[1].value) === false) continue;
-            this.remove(entry[0]);
-        }
-    }
+/**
+ * Fixed size cache storing key-value pairs such that total 
+ * byte size of stored values will not exceed given limit. 
+ * Uses the LRU algortihm (least recently used) to evict entries if cache is full. 
+ * Cheaper and faster than LFU but not as many cache hits.
+ * Entries can have a time-to-live after which they are treated as not existing.
+ * @author LupCode.com
+ */
+class FixedSizeLRUCache extends FixedSizeCache {
 
     /**
-     * @returns String containing basic information about this cache
+     * Creates a new cache with a fixed storing capacity
+     * @param {Number} maxSizeMB Limit how many mega bytes cache can store
+     * @param {int} defaultTTL Time-to-live in milliseconds for entries that do not specify one on {@code put()} (zero or negative means no expiry)
+     * @param {Object} sizeOptions Options that define how sizes get computed (see {@link SizeCapacity})
      */
-    toString(){
-        return this.constructor.name + "{size=" + Number(this.getSizeInMB()).toFixed(2) + "/" + Number(this.getMaxSizeMB()).toFixed(2) + 
-        "MB; entries=" + this.getCount() + "; expireInterval=" + this.getExpireTime() + "}";
+    constructor(maxSizeMB, defaultTTL=0, sizeOptions={}){
+        super(maxSizeMB, new LRUPolicy(), defaultTTL, sizeOptions);
     }
 }
 
@@ -180,324 +156,227 @@ class FixedSizeLFUCache {
 
 /**
  * Cache storing fixed amount of key-value pairs.
- * Uses the LFU algortihm (least frequently used) to evict entries if cache is full. 
- * Additionally an expire interval can be set (passive on {@code put()} call) that repeatedly halfs 
- * the access counter of each entry.
+ * Uses the LRU algortihm (least recently used) to evict entries if cache is full. 
+ * Cheaper and faster than LFU but not as many cache hits.
+ * Entries can have a time-to-live after which they are treated as not existing.
  * @author LupCode.com
  */
-class FixedCountLFUCache {
-    #maxCount;
-    #count = 0;
-    #expireMs;
-    #entries = {}; // key: {value: Object, accesses: int, onEvict: function}
-    #nextExpire;
+class FixedCountLRUCache extends FixedCountCache {
 
     /**
      * Creates a new cache with a fixed storing capacity
      * @param {Number} maxCount Maximum amount of key-value pairs that can be hold
-     * @param {int} expireMs If >= 0 expire interval in milliseconds at which access counters are halfed
+     * @param {int} defaultTTL Time-to-live in milliseconds for entries that do not specify one on {@code put()} (zero or negative means no expiry)
      */
-    constructor(maxCount, expireMs=5000){
-        this.#maxCount = parseInt(maxCount);
-        this.#expireMs = parseInt(expireMs);
-        this.#nextExpire = Date.now() + this.#expireMs;
+    constructor(maxCount, defaultTTL=0){
+        super(maxCount, new LRUPolicy(), defaultTTL);
     }
+}
 
-    /**
-     * @returns Amount of key-value pairs stored in cache
-     */
-    getCount(){
-        return this.#count;
-    }
 
-    /**
-     * @returns Maximum amount of key-value pairs that can be hold
-     */
-    getMaxCount(){
-        return this.#maxCount;
-    }
 
-    /**
-     * Sets the maximum amount of entries the cache can hold
-     * @param {int} maxCount Maximum amount of key-value pairs
-     */
-    setMaxCount(maxCount){
-        this.#maxCount = parseInt(maxCount);
-    }
+/**
+ * Fixed size cache storing key-value pairs such that total 
+ * byte size of stored values will not exceed given limit. 
+ * Uses the ARC algorithm (adaptive replacement cache) to evict entries if cache is full. 
+ * Adapts between recency and frequency by itself and is resistant to scans.
+ * Entries can have a time-to-live after which they are treated as not existing.
+ * @author LupCode.com
+ */
+class FixedSizeARCCache extends FixedSizeCache {
 
     /**
-     * @returns Milliseconds interval at which the access counter of entry entry gets halfed (negative means disabled)
+     * Creates a new cache with a fixed storing capacity
+     * @param {Number} maxSizeMB Limit how many mega bytes cache can store
+     * @param {int} defaultTTL Time-to-live in milliseconds for entries that do not specify one on {@code put()} (zero or negative means no expiry)
+     * @param {Object} sizeOptions Options that define how sizes get computed (see {@link SizeCapacity})
      */
-     getExpireTime(){
-        return this.#expireMs;
+    constructor(maxSizeMB, defaultTTL=0, sizeOptions={}){
+        super(maxSizeMB, new ARCPolicy(), defaultTTL, sizeOptions);
     }
+}
+
 
-    /**
-     * Sets the interval at which the access counter of each entry gets halfed
-     * @param {int} expireMs Milliseconds of interval at which the access counters of all entries are halfed (negative means disabled)
-     */
-    setExpireTime(expireMs){
-        this.#expireMs = parseInt(expireMs);
-    }
 
-    /**
-     * Puts a key-value pair into cache
-     * @param {String} key Unique key to reference value in cache
-     * @param {*} value Value that should be put into cache
-     * @param {Object} options Additional options that can be set: 
-     *  - onEvict:  Function    Callback that gets called with key and value that were evicted from cache (if returns {@code false} pair does not get evicted)
-     * @returns True if successfully put key-value pair into cache or false if value is too big to fit into cache
-     */
-    put(key, value, options={onEvict: function(k,v){}}){
-        if(!key || (typeof key !== 'string' && !(key instanceof String))) throw new Error("Key must be defined and of type String");
-
-        // half all 'access' counters if expired
-        if(this.#expireMs >= 0){
-            const now = Date.now();
-            if(this.#nextExpire < now){
-                this.#nextExpire = now + this.#expireMs;
-                for(let v of Object.values(this.#entries)) v.accesses = Math.floor(v.accesses / 2);
-            }
-        }
-
-        // evict entries until enough space is available for new entry
-        if(this.#count >= this.#maxCount){
-            let sorted = Object.entries(this.#entries).sort(function([, a], [, b]){ return a.accesses-b.accesses;  });
-            let index = 0;
-            while(index < sorted.length && this.#count >= this.#maxCount) {
-                let entry = sorted[index++];
-                if(entry[1].onEvict && entry[1].onEvict(entry[0], entry[1].value) === false) continue;
-                this.#count--;
-                delete this.#entries[entry[0]];
-            }
-            if(this.#count >= this.#maxCount) return false;
-        }
-
-        // put new entry into cache
-        this.#entries[key] = {
-            value: value,
-            accesses: 1,
-            onEvict: options.onEvict
-        };
-        this.#count++;
-        return true;
-    }
 
+/**
+ * Cache storing fixed amount of key-value pairs.
+ * Uses the ARC algorithm (adaptive replacement cache) to evict entries if cache is full. 
+ * Adapts between recency and frequency by itself and is resistant to scans.
+ * Entries can have a time-to-live after which they are treated as not existing.
+ * @author LupCode.com
+ */
+class FixedCountARCCache extends FixedCountCache {
 
     /**
-     * Returns a value from the cache by its key (if it is still in the cache)
-     * @param {String} key Key of the value that should be returned
-     * @returns Value if found or undefined if not found
+     * Creates a new cache with a fixed storing capacity
+     * @param {Number} maxCount Maximum amount of key-value pairs that can be hold
+     * @param {int} defaultTTL Time-to-live in milliseconds for entries that do not specify one on {@code put()} (zero or negative means no expiry)
      */
-    get(key){
-        let entry = this.#entries[key];
-        if(!entry) return undefined;
-        entry.accesses++;
-        return entry.value;
+    constructor(maxCount, defaultTTL=0){
+        super(maxCount, new ARCPolicy(), defaultTTL);
     }
+}
 
 
-    /**
-     * Removes a key-value pair from the cache immediatly. 
-     * Will not trigger the onEvict callback if defined.
-     * @param {String} key Key of the value that should be removed
-     * @returns Value of the removed key-value pair or undefined if not found
-     */
-    remove(key){
-        let entry = this.#entries[key];
-        if(!entry) return undefined;
-
-        this.#count--;
-        let value = entry.value;
-        delete this.#entries[key];
-        return value;
-    }
 
+/**
+ * Fixed size cache storing key-value pairs such that total 
+ * byte size of stored values will not exceed given limit. 
+ * Uses the 2Q algorithm to evict entries if cache is full. 
+ * Entries only get into the main LRU queue if they are requested again shortly after their first use, 
+ * so one-off scans cannot flush frequently used entries.
+ * Entries can have a time-to-live after which they are treated as not existing.
+ * @author LupCode.com
+ */
+class FixedSize2QCache extends FixedSizeCache {
 
     /**
-     * Clears the cache without calling the {@code onEvict} callbacks (by default)
-     * @param {bool} callEvictCallbacks If {@code true} for each entry the {@code onEvict} callback will be called 
-     * which can prevent evicting the entry by returning {@type false}.
+     * Creates a new cache with a fixed storing capacity
+     * @param {Number} maxSizeMB Limit how many mega bytes cache can store
+     * @param {int} defaultTTL Time-to-live in milliseconds for entries that do not specify one on {@code put()} (zero or negative means no expiry)
+     * @param {Object} sizeOptions Options that define how sizes get computed (see {@link SizeCapacity})
      */
-    clear(callEvictCallbacks=false){
-        for(let entry of Object.entries(this.#entries)){
-            if(callEvictCallbacks && entry[1].onEvict && entry[1].onEvict(entry[0], entry[1].value) === false) continue;
-            delete this.#entries[entry[0]]; 
-        }
+    constructor(maxSizeMB, defaultTTL=0, sizeOptions={}){
+        super(maxSizeMB, new TwoQPolicy(), defaultTTL, sizeOptions);
     }
+}
+
+
+
+
+/**
+ * Cache storing fixed amount of key-value pairs.
+ * Uses the 2Q algorithm to evict entries if cache is full. 
+ * Entries only get into the main LRU queue if they are requested again shortly after their first use, 
+ * so one-off scans cannot flush frequently used entries.
+ * Entries can have a time-to-live after which they are treated as not existing.
+ * @author LupCode.com
+ */
+class FixedCount2QCache extends FixedCountCache {
 
     /**
-     * @returns String containing basic information about this cache
+     * Creates a new cache with a fixed storing capacity
+     * @param {Number} maxCount Maximum amount of key-value pairs that can be hold
+     * @param {int} defaultTTL Time-to-live in milliseconds for entries that do not specify one on {@code put()} (zero or negative means no expiry)
      */
-    toString(){
-        return this.constructor.name + "{entries=" + this.getCount() + "/" + this.getMaxCount() + "; expireInterval=" + this.getExpireTime() + "ms}";
+    constructor(maxCount, defaultTTL=0){
+        super(maxCount, new TwoQPolicy(), defaultTTL);
     }
 }
 
 
 
-
 /**
  * Fixed size cache storing key-value pairs such that total 
  * byte size of stored values will not exceed given limit. 
- * Uses the LRU algortihm (least recently used) to evict entries if cache is full. 
- * Cheaper and faster than LFU but not as many cache hits.
+ * Uses the SLRU algorithm (segmented least recently used) to evict entries if cache is full. 
+ * Entries read at least twice are protected from being flushed by entries that are only read once.
+ * Entries can have a time-to-live after which they are treated as not existing.
  * @author LupCode.com
  */
-class FixedSizeLRUCache {
-    #maxSize;
-    #size = 0;
-    #head = null; // string
-    #tail = null; // string
-    #entries = {}; // key: {value: Object, size: int, prev: String, next: String, onEvict: function}
+class FixedSizeSLRUCache extends FixedSizeCache {
 
     /**
      * Creates a new cache with a fixed storing capacity
      * @param {Number} maxSizeMB Limit how many mega bytes cache can store
+     * @param {int} defaultTTL Time-to-live in milliseconds for entries that do not specify one on {@code put()} (zero or negative means no expiry)
+     * @param {Object} sizeOptions Options that define how sizes get computed (see {@link SizeCapacity})
      */
-    constructor(maxSizeMB){
-        this.#maxSize = Math.floor(maxSizeMB * 1024 * 1024);
+    constructor(maxSizeMB, defaultTTL=0, sizeOptions={}){
+        super(maxSizeMB, new SLRUPolicy(), defaultTTL, sizeOptions);
     }
+}
 
-    /**
-     * @returns Amount of key-value pairs stored in cache
-     */
-     getCount(){
-        return Object.keys(this.#entries).length;
-    }
 
-    /**
-     * @returns Total size of stored entries in mega bytes
-     */
-    getSizeInMB(){
-        return this.#size / 1024 / 1024;
-    }
 
-    /**
-     * @returns Maximum total size of stored entries in mega bytes
-     */
-    getMaxSizeMB(){
-        return this.#maxSize / 1024 / 1024;
-    }
 
-    /**
-     * Sets the maximum size the total byte size of all values is not allowed to exceed
-     * @param {Number} maxSizeMB Maximum byte size of all values in mega byte
-     */
-    setMaxSizeMB(maxSizeMB){
-        this.#maxSize = parseInt(maxSizeMB * 1024 * 1024);
-    }
+/**
+ * Cache storing fixed amount of key-value pairs.
+ * Uses the SLRU algorithm (segmented least recently used) to evict entries if cache is full. 
+ * Entries read at least twice are protected from being flushed by entries that are only read once.
+ * Entries can have a time-to-live after which they are treated as not existing.
+ * @author LupCode.com
+ */
+class FixedCountSLRUCache extends FixedCountCache {
 
     /**
-     * Puts a key-value pair into cache
-     * @param {String} key Unique key to reference value in cache
-     * @param {*} value Value that should be put into cache
-     * @param {Object} options Additional options that can be set: 
-     *  - size:     int         Size in bytes of value (if value is {@type String} or {@type Buffer} size parameter not required)
-     *  - onEvict:  Function    Callback that gets called with key and value that were evicted from cache (if returns {@code false} pair does not get evicted)
-     * @returns True if successfully put key-value pair into cache or false if value is too big to fit into cache
-     * @throws Error if size is not given while value is not of type String nor of type Buffer
+     * Creates a new cache with a fixed storing capacity
+     * @param {Number} maxCount Maximum amount of key-value pairs that can be hold
+     * @param {int} defaultTTL Time-to-live in milliseconds for entries that do not specify one on {@code put()} (zero or negative means no expiry)
      */
-    put(key, value, options={size: undefined, onEvict: function(k,v){}}){
-        if(!key || (typeof key !== 'string' && !(key instanceof String))) throw new Error("Key must be defined and of type String");
-        if(!options.size){
-            if(typeof key === 'string' || value instanceof String || value instanceof Buffer){
-                options.size = Buffer.byteLength(value);
-            } else {
-                throw Error("Byte size must be provided for a value of type " + (typeof value));
-            }
-        }
-        if(options.size > this.#maxSize) return false;
-
-        // evict entries until enough space is available for new entry
-        if(this.#maxSize - this.#size < options.size){
-            let curr = this.#head;
-            while(curr && this.#maxSize - this.#size < options.size) {
-                let entry = this.#entries[curr];
-                if(entry.onEvict && entry.onEvict(this.#head, entry.value) === false){ curr = entry.next; continue; }
-                this.#size -= entry.size;
-                if(entry.prev) this.#entries[entry.prev].next = entry.next; else this.#head = entry.next;
-                if(entry.next) this.#entries[entry.next].prev = entry.prev; else this.#tail = entry.prev;
-                let nextKey = entry.next;
-                delete this.#entries[curr];
-                if(curr == this.#head) this.#head = nextKey;
-                curr = nextKey;
-            }
-            if(this.#maxSize - this.#size < options.size) return false;
-        }
-
-        // put new entry into cache
-        this.#size += options.size;
-        this.#entries[key] = {
-            value: value,
-            size: options.size,
-            prev: this.#tail,
-            next: null,
-            onEvict: options.onEvict
-        };
-        if(!this.#head) this.#head = key;
-        if(this.#tail) this.#entries[this.#tail].next = key;
-        this.#tail = key;
-        return true;
+    constructor(maxCount, defaultTTL=0){
+        super(maxCount, new SLRUPolicy(), defaultTTL);
     }
+}
 
 
-    /**
-     * Returns a value from the cache by its key (if it is still in the cache)
-     * @param {String} key Key of the value that should be returned
-     * @returns Value if found or undefined if not found
-     */
-    get(key){
-        let entry = this.#entries[key];
-        if(!entry) return undefined;
-        if(key == this.#tail) return entry.value;
-        if(entry.prev) this.#entries[entry.prev].next = entry.next; else this.#head = entry.next;
-        if(entry.next) this.#entries[entry.next].prev = entry.prev; else this.#tail = entry.prev;
-        entry.next = null;
-        entry.prev = this.#tail;
-        if(this.#tail) this.#entries[this.#tail].next = key;
-        this.#tail = key;
-        return entry.value;
-    }
 
+/**
+ * Fixed size cache storing key-value pairs such that total 
+ * byte size of stored values will not exceed given limit. 
+ * Uses the W-TinyLFU algorithm to evict entries if cache is full. 
+ * New entries only replace older ones if they are estimated to be accessed more often, 
+ * which gives high hit rates and adapts quickly to changing workloads.
+ * Entries can have a time-to-live after which they are treated as not existing.
+ * @author LupCode.com
+ */
+class FixedSizeWTinyLFUCache extends FixedSizeCache {
 
     /**
-     * Removes a key-value pair from the cache immediatly. 
-     * Will not trigger the onEvict callback if defined.
-     * @param {String} key Key of the value that should be removed
-     * @returns Value of the removed key-value pair or undefined if not found
+     * Creates a new cache with a fixed storing capacity
+     * @param {Number} maxSizeMB Limit how many mega bytes cache can store
+     * @param {int} defaultTTL Time-to-live in milliseconds for entries that do not specify one on {@code put()} (zero or negative means no expiry)
+     * @param {Object} sizeOptions Options that define how sizes get computed (see {@link SizeCapacity})
      */
-    remove(key){
-        let entry = this.#entries[key];
-        if(!entry) return undefined;
-        this.#size -= entry.size;
-        if(entry.prev) this.#entries[entry.prev].next = entry.next; else this.#head = entry.next;
-        if(entry.next) this.#entries[entry.next].prev = entry.prev; else this.#tail = entry.prev;
-
-        let value = entry.value;
-        delete this.#entries[key];
-        return value;
+    constructor(maxSizeMB, defaultTTL=0, sizeOptions={}){
+        super(maxSizeMB, new WTinyLFUPolicy(), defaultTTL, sizeOptions);
     }
+}
+
+
 
 
+/**
+ * Cache storing fixed amount of key-value pairs.
+ * Uses the W-TinyLFU algorithm to evict entries if cache is full. 
+ * New entries only replace older ones if they are estimated to be accessed more often, 
+ * which gives high hit rates and adapts quickly to changing workloads.
+ * Entries can have a time-to-live after which they are treated as not existing.
+ * @author LupCode.com
+ */
+class FixedCountWTinyLFUCache extends FixedCountCache {
+
     /**
-     * Clears the cache without calling the {@code onEvict} callbacks (by default)
-     * @param {bool} callEvictCallbacks If {@code true} for each entry the {@code onEvict} callback will be called 
-     * which can prevent evicting the entry by returning {@type false}.
+     * Creates a new cache with a fixed storing capacity
+     * @param {Number} maxCount Maximum amount of key-value pairs that can be hold
+     * @param {int} defaultTTL Time-to-live in milliseconds for entries that do not specify one on {@code put()} (zero or negative means no expiry)
      */
-    clear(callEvictCallbacks=false){
-        for(let entry of Object.entries(this.#entries)){
-            if(callEvictCallbacks && entry[1].onEvict && entry[1].onEvict(entry[0], entry[1].value) === false) continue;
-            this.remove(entry[0]);
-        }
+    constructor(maxCount, defaultTTL=0){
+        super(maxCount, new WTinyLFUPolicy(), defaultTTL);
     }
+}
+
+
+
+/**
+ * Fixed size cache storing key-value pairs such that total 
+ * byte size of stored values will not exceed given limit. 
+ * Evicts entries in the order they have been put into the cache (first in, first out) if cache is full. 
+ * Cheapest algorithm but the lowest hit rates.
+ * Entries can have a time-to-live after which they are treated as not existing.
+ * @author LupCode.com
+ */
+class FixedSizeFIFOCache extends FixedSizeCache {
 
     /**
-     * @returns String containing basic information about this cache
+     * Creates a new cache with a fixed storing capacity
+     * @param {Number} maxSizeMB Limit how many mega bytes cache can store
+     * @param {int} defaultTTL Time-to-live in milliseconds for entries that do not specify one on {@code put()} (zero or negative means no expiry)
+     * @param {Object} sizeOptions Options that define how sizes get computed (see {@link SizeCapacity})
      */
-    toString(){
-        return this.constructor.name + "{size=" + Number(this.getSizeInMB()).toFixed(2) + "/" + Number(this.getMaxSizeMB()).toFixed(2) + 
-        "MB; entries=" + this.getCount() + "}";
+    constructor(maxSizeMB, defaultTTL=0, sizeOptions={}){
+        super(maxSizeMB, new FIFOPolicy(), defaultTTL, sizeOptions);
     }
 }
 
@@ -506,145 +385,112 @@ class FixedSizeLRUCache {
 
 /**
  * Cache storing fixed amount of key-value pairs.
- * Uses the LRU algortihm (least recently used) to evict entries if cache is full. 
- * Cheaper and faster than LFU but not as many cache hits.
+ * Evicts entries in the order they have been put into the cache (first in, first out) if cache is full. 
+ * Cheapest algorithm but the lowest hit rates.
+ * Entries can have a time-to-live after which they are treated as not existing.
  * @author LupCode.com
  */
-class FixedCountLRUCache {
-    #maxCount;
-    #count = 0;
-    #head = null; // string
-    #tail = null; // string
-    #entries = {}; // key: {value: Object, size: int, prev: String, next: String, onEvict: function}
+class FixedCountFIFOCache extends FixedCountCache {
 
     /**
      * Creates a new cache with a fixed storing capacity
      * @param {Number} maxCount Maximum amount of key-value pairs that can be hold
+     * @param {int} defaultTTL Time-to-live in milliseconds for entries that do not specify one on {@code put()} (zero or negative means no expiry)
      */
-    constructor(maxCount){
-        this.#maxCount = parseInt(maxCount);
+    constructor(maxCount, defaultTTL=0){
+        super(maxCount, new FIFOPolicy(), defaultTTL);
     }
+}
 
-    /**
-     * @returns Amount of key-value pairs stored in cache
-     */
-     getCount(){
-        return this.#count;
-    }
 
-    /**
-     * @returns Maximum amount of key-value pairs that can be hold
-     */
-    getMaxCount(){
-        return this.#maxCount;
-    }
 
-    /**
-     * Sets the maximum amount of entries the cache can hold
-     * @param {int} maxCount Maximum amount of key-value pairs
-     */
-    setMaxCount(maxCount){
-        this.#maxCount = parseInt(maxCount);
-    }
+/**
+ * Fixed size cache storing key-value pairs such that total 
+ * byte size of stored values will not exceed given limit. 
+ * Uses the CLOCK algorithm (second chance FIFO) to evict entries if cache is full. 
+ * Approximates LRU but does not need to reorder entries on each read.
+ * Entries can have a time-to-live after which they are treated as not existing.
+ * @author LupCode.com
+ */
+class FixedSizeClockCache extends FixedSizeCache {
 
     /**
-     * Puts a key-value pair into cache
-     * @param {String} key Unique key to reference value in cache
-     * @param {*} value Value that should be put into cache
-     * @param {Object} options Additional options that can be set: 
-     *  - onEvict:  Function    Callback that gets called with key and value that were evicted from cache (if returns {@code false} pair does not get evicted)
-     * @returns True if successfully put key-value pair into cache or false if value is too big to fit into cache
-     * @throws Error if size is not given while value is not of type String nor of type Buffer
+     * Creates a new cache with a fixed storing capacity
+     * @param {Number} maxSizeMB Limit how many mega bytes cache can store
+     * @param {int} defaultTTL Time-to-live in milliseconds for entries that do not specify one on {@code put()} (zero or negative means no expiry)
+     * @param {Object} sizeOptions Options that define how sizes get computed (see {@link SizeCapacity})
      */
-    put(key, value, options={onEvict: function(k,v){}}){
-        if(!key || (typeof key !== 'string' && !(key instanceof String))) throw new Error("Key must be defined and of type String");
-        // evict entries until enough space is available for new entry
-        if(this.#count >= this.#maxCount){
-            let curr = this.#head;
-            while(curr && this.#count >= this.#maxCount) {
-                let entry = this.#entries[curr];
-                if(entry.onEvict && entry.onEvict(this.#head, entry.value) === false){ curr = entry.next; continue; }
-                if(entry.prev) this.#entries[entry.prev].next = entry.next; else this.#head = entry.next;
-                if(entry.next) this.#entries[entry.next].prev = entry.prev; else this.#tail = entry.prev;
-                this.#count--;
-                let nextKey = entry.next;
-                delete this.#entries[curr];
-                if(curr == this.#head) this.#head = nextKey;
-                curr = nextKey;
-            }
-            if(this.#count >= this.#maxCount) return false;
-        }
-
-        // put new entry into cache
-        this.#entries[key] = {
-            value: value,
-            prev: this.#tail,
-            next: null,
-            onEvict: options.onEvict
-        };
-        this.#count++;
-        if(!this.#head) this.#head = key;
-        if(this.#tail) this.#entries[this.#tail].next = key;
-        this.#tail = key;
-        return true;
+    constructor(maxSizeMB, defaultTTL=0, sizeOptions={}){
+        super(maxSizeMB, new ClockPolicy(), defaultTTL, sizeOptions);
     }
+}
+
 
 
-    /**
-     * Returns a value from the cache by its key (if it is still in the cache)
-     * @param {String} key Key of the value that should be returned
-     * @returns Value if found or undefined if not found
-     */
-    get(key){
-        let entry = this.#entries[key];
-        if(!entry) return undefined;
-        if(key == this.#tail) return entry.value;
-        if(entry.prev) this.#entries[entry.prev].next = entry.next; else this.#head = entry.next;
-        if(entry.next) this.#entries[entry.next].prev = entry.prev; else this.#tail = entry.prev;
-        entry.next = null;
-        entry.prev = this.#tail;
-        if(this.#tail) this.#entries[this.#tail].next = key;
-        this.#tail = key;
-        return entry.value;
-    }
 
+/**
+ * Cache storing fixed amount of key-value pairs.
+ * Uses the CLOCK algorithm (second chance FIFO) to evict entries if cache is full. 
+ * Approximates LRU but does not need to reorder entries on each read.
+ * Entries can have a time-to-live after which they are treated as not existing.
+ * @author LupCode.com
+ */
+class FixedCountClockCache extends FixedCountCache {
 
     /**
-     * Removes a key-value pair from the cache immediatly. 
-     * Will not trigger the onEvict callback if defined.
-     * @param {String} key Key of the value that should be removed
-     * @returns Value of the removed key-value pair or undefined if not found
+     * Creates a new cache with a fixed storing capacity
+     * @param {Number} maxCount Maximum amount of key-value pairs that can be hold
+     * @param {int} defaultTTL Time-to-live in milliseconds for entries that do not specify one on {@code put()} (zero or negative means no expiry)
      */
-    remove(key){
-        let entry = this.#entries[key];
-        if(!entry) return undefined;
-        if(entry.prev) this.#entries[entry.prev].next = entry.next; else this.#head = entry.next;
-        if(entry.next) this.#entries[entry.next].prev = entry.prev; else this.#tail = entry.prev;
-
-        this.#count--;
-        let value = entry.value;
-        delete this.#entries[key];
-        return value;
+    constructor(maxCount, defaultTTL=0){
+        super(maxCount, new ClockPolicy(), defaultTTL);
     }
+}
 
 
+
+/**
+ * Fixed size cache storing key-value pairs such that total 
+ * byte size of stored values will not exceed given limit. 
+ * Uses the GDSF algorithm (GreedyDual-Size-Frequency) to evict entries if cache is full. 
+ * Large values that are cheap to recompute (option {@code cost} of {@code put()}) and rarely used get evicted first, 
+ * so a single large value does not push out many small or expensive ones.
+ * Entries can have a time-to-live after which they are treated as not existing.
+ * @author LupCode.com
+ */
+class FixedSizeGDSFCache extends FixedSizeCache {
+
     /**
-     * Clears the cache without calling the {@code onEvict} callbacks (by default)
-     * @param {bool} callEvictCallbacks If {@code true} for each entry the {@code onEvict} callback will be called 
-     * which can prevent evicting the entry by returning {@type false}.
+     * Creates a new cache with a fixed storing capacity
+     * @param {Number} maxSizeMB Limit how many mega bytes cache can store
+     * @param {int} defaultTTL Time-to-live in milliseconds for entries that do not specify one on {@code put()} (zero or negative means no expiry)
+     * @param {Object} sizeOptions Options that define how sizes get computed (see {@link SizeCapacity})
      */
-    clear(callEvictCallbacks=false){
-        for(let entry of Object.entries(this.#entries)){
-            if(callEvictCallbacks && entry[1].onEvict && entry[1].onEvict(entry[0], entry[1].value) === false) continue;
-            this.remove(entry[0]);
-        }
+    constructor(maxSizeMB, defaultTTL=0, sizeOptions={}){
+        super(maxSizeMB, new GDSFPolicy(), defaultTTL, sizeOptions);
     }
+}
+
+
+
+
+/**
+ * Cache storing fixed amount of key-value pairs.
+ * Uses the GDSF algorithm (GreedyDual-Size-Frequency) to evict entries if cache is full. 
+ * As all entries have the same size the entries that are used rarely and cheap to recompute 
+ * (option {@code cost} of {@code put()}) get evicted first.
+ * Entries can have a time-to-live after which they are treated as not existing.
+ * @author LupCode.com
+ */
+class FixedCountGDSFCache extends FixedCountCache {
 
     /**
-     * @returns String containing basic information about this cache
+     * Creates a new cache with a fixed storing capacity
+     * @param {Number} maxCount Maximum amount of key-value pairs that can be hold
+     * @param {int} defaultTTL Time-to-live in milliseconds for entries that do not specify one on {@code put()} (zero or negative means no expiry)
      */
-     toString(){
-        return this.constructor.name + "{entries=" + this.getCount() + "/" + this.getMaxCount() + "}";
+    constructor(maxCount, defaultTTL=0){
+        super(maxCount, new GDSFPolicy(), defaultTTL);
     }
 }
 
@@ -653,5 +499,69 @@ module.exports = {
     FixedSizeLFUCache,
     FixedCountLFUCache,
     FixedSizeLRUCache,
-    FixedCountLRUCache
+    FixedCountLRUCache,
+    FixedSizeARCCache,
+    FixedCountARCCache,
+    FixedSize2QCache,
+    FixedCount2QCache,
+    FixedSizeSLRUCache,
+    FixedCountSLRUCache,
+    FixedSizeWTinyLFUCache,
+    FixedCountWTinyLFUCache,
+    FixedSizeFIFOCache,
+    FixedCountFIFOCache,
+    FixedSizeClockCache,
+    FixedCountClockCache,
+    FixedSizeGDSFCache,
+    FixedCountGDSFCache,
+    DiskCache,
+    TieredCache,
+    SharedFixedSizeLRUCache,
+    CacheNamespace,
+    memoize,
+    httpCache,
+    InvalidationBus,
+    InvalidationOp,
+    InvalidationTransport,
+    ClusterTransport,
+    WorkerThreadsTransport,
+    SocketTransport,
+    StoreBackedCache,
+    WriteMode,
+    StoreAdapter,
+    FileSystemAdapter,
+    MemoryAdapter,
+    EvictReason,
+    RejectReason,
+    Cache,
+    FixedSizeCache,
+    FixedCountCache,
+    CountCapacity,
+    SizeCapacity,
+    WeightedCapacity,
+    CompressionCodec,
+    CompressionAlgorithm,
+    EvictionPolicy,
+    LRUPolicy,
+    LFUPolicy,
+    ARCPolicy,
+    TwoQPolicy,
+    SLRUPolicy,
+    WTinyLFUPolicy,
+    FIFOPolicy,
+    ClockPolicy,
+    GDSFPolicy,
+    SNAPSHOT_VERSION,
+    JSONSerializer,
+    MetricsRegistry,
+    defaultRegistry,
+    TraceRecorder,
+    TraceOp,
+    TRACE_VERSION,
+    readTrace,
+    SIMULATED_POLICIES,
+    simulate,
+    formatResults,
+    DEFAULT_OVERHEAD,
+    estimateSize
 }
\ No newline at end of file
@@ -0,0 +1,75 @@
+import caches from './index.js';
+
+
+export const {
+    FixedSizeLFUCache,
+    FixedCountLFUCache,
+    FixedSizeLRUCache,
+    FixedCountLRUCache,
+    FixedSizeARCCache,
+    FixedCountARCCache,
+    FixedSize2QCache,
+    FixedCount2QCache,
+    FixedSizeSLRUCache,
+    FixedCountSLRUCache,
+    FixedSizeWTinyLFUCache,
+    FixedCountWTinyLFUCache,
+    FixedSizeFIFOCache,
+    FixedCountFIFOCache,
+    FixedSizeClockCache,
+    FixedCountClockCache,
+    FixedSizeGDSFCache,
+    FixedCountGDSFCache,
+    DiskCache,
+    TieredCache,
+    SharedFixedSizeLRUCache,
+    CacheNamespace,
+    memoize,
+    httpCache,
+    InvalidationBus,
+    InvalidationOp,
+    InvalidationTransport,
+    ClusterTransport,
+    WorkerThreadsTransport,
+    SocketTransport,
+    StoreBackedCache,
+    WriteMode,
+    StoreAdapter,
+    FileSystemAdapter,
+    MemoryAdapter,
+    EvictReason,
+    RejectReason,
+    Cache,
+    FixedSizeCache,
+    FixedCountCache,
+    CountCapacity,
+    SizeCapacity,
+    WeightedCapacity,
+    CompressionCodec,
+    CompressionAlgorithm,
+    EvictionPolicy,
+    LRUPolicy,
+    LFUPolicy,
+    ARCPolicy,
+    TwoQPolicy,
+    SLRUPolicy,
+    WTinyLFUPolicy,
+    FIFOPolicy,
+    ClockPolicy,
+    GDSFPolicy,
+    SNAPSHOT_VERSION,
+    JSONSerializer,
+    MetricsRegistry,
+    defaultRegistry,
+    TraceRecorder,
+    TraceOp,
+    TRACE_VERSION,
+    readTrace,
+    SIMULATED_POLICIES,
+    simulate,
+    formatResults,
+    DEFAULT_OVERHEAD,
+    estimateSize
+} = caches;
+
+export default caches;
@@ -0,0 +1,186 @@
+const crypto = require('crypto');
+
+
+/**
+ * Operations carried by invalidation messages
+ */
+const InvalidationOp = Object.freeze({
+    REMOVE: "remove",
+    CLEAR: "clear",
+    TAG: "tag",
+    PREFIX: "prefix"
+});
+
+/**
+ * @param {*} key Key of a cache entry
+ * @returns True if the key can be sent to other processes
+ */
+function isTransferable(key){
+    return typeof key === 'string' || typeof key === 'number';
+}
+
+
+
+
+/**
+ * Keeps caches of different processes or threads consistent by broadcasting invalidations
+ * through a transport (e.g. {@link ClusterTransport}, {@link WorkerThreadsTransport} or {@link SocketTransport}).
+ * Removals and clears of the attached cache get sent to the peers automatically,
+ * {@code remove()}, {@code clear()}, {@code invalidateTag()} and {@code invalidatePrefix()} of the bus
+ * additionally reach peers that store entries this cache does not.
+ * Each message carries the ID of its origin so invalidations do not get applied twice.
+ * Only keys that are strings or numbers get broadcasted.
+ * @author LupCode.com
+ */
+class InvalidationBus {
+    #cache;
+    #transport;
+    #id;
+    #channel;
+    #applying = false;
+    #listeners;
+    #handler;
+
+    /**
+     * Attaches a bus to a cache
+     * @param {Cache} cache Cache whose invalidations should be shared
+     * @param {InvalidationTransport} transport Transport carrying the messages (can be shared by multiple buses)
+     * @param {Object} options Additional options that can be set:
+     *  - id:       String  Unique ID of this participant (random by default)
+     *  - channel:  String  Name that must be the same for all caches that should be kept consistent (default "default")
+     *  - broadcastSets:    bool    If putting a value should remove the key from the peers as well (default false)
+     */
+    constructor(cache, transport, options={}){
+        this.#cache = cache;
+        this.#transport = transport;
+        this.#id = options.id ? String(options.id) : crypto.randomUUID();
+        this.#channel = options.channel !== undefined ? String(options.channel) : "default";
+
+        this.#listeners = {
+            delete: (event) => this.#publish(InvalidationOp.REMOVE, event.key),
+            clear: () => this.#publish(InvalidationOp.CLEAR)
+        };
+        if(options.broadcastSets) this.#listeners.set = this.#listeners.delete;
+        for(let event in this.#listeners) this.#cache.on(event, this.#listeners[event]);
+
+        this.#handler = (message) => this.#apply(message);
+        this.#transport.subscribe(this.#handler);
+    }
+
+    /**
+     * @returns ID this participant puts as origin into its messages
+     */
+    getId(){
+        return this.#id;
+    }
+
+    /**
+     * @returns Name of the channel
+     */
+    getChannel(){
+        return this.#channel;
+    }
+
+    /**
+     * @returns Cache this bus is attached to
+     */
+    getCache(){
+        return this.#cache;
+    }
+
+    /**
+     * Removes a key from the attached cache and all peers
+     * @param {String|Number} key Key of the value that should be removed
+     * @returns Value removed from the attached cache or undefined if not found
+     */
+    remove(key){
+        const value = this.#local(() => this.#cache.remove(key));
+        this.#publish(InvalidationOp.REMOVE, key);
+        return value;
+    }
+
+    /**
+     * Clears the attached cache and all peers
+     */
+    clear(){
+        this.#local(() => this.#cache.clear());
+        this.#publish(InvalidationOp.CLEAR);
+    }
+
+    /**
+     * Removes all entries with the given tag from the attached cache and all peers
+     * @param {String} tag Tag of the entries
+     * @returns Amount of entries removed from the attached cache
+     */
+    invalidateTag(tag){
+        const count = this.#local(() => this.#cache.invalidateTag(tag));
+        this.#publish(InvalidationOp.TAG, String(tag));
+        return count;
+    }
+
+    /**
+     * Removes all entries whose keys start with the given prefix from the attached cache and all peers
+     * @param {String} prefix Prefix of the keys
+     * @returns Amount of entries removed from the attached cache
+     */
+    invalidatePrefix(prefix){
+        const count = this.#local(() => this.#cache.invalidatePrefix(prefix));
+        this.#publish(InvalidationOp.PREFIX, String(prefix));
+        return count;
+    }
+
+    /**
+     * Detaches the bus from the cache and the transport (the transport does not get closed)
+     */
+    close(){
+        for(let event in this.#listeners) this.#cache.off(event, this.#listeners[event]);
+        this.#transport.unsubscribe(this.#handler);
+    }
+
+    /**
+     * Runs an operation on the attached cache without broadcasting the resulting events
+     * @param {Function} operation Function that modifies the cache
+     * @returns Result of the operation
+     */
+    #local(operation){
+        const applying = this.#applying;
+        this.#applying = true;
+        try {
+            return operation();
+        } finally {
+            this.#applying = applying;
+        }
+    }
+
+    /**
+     * Sends an invalidation to the peers
+     * @param {String} op {@link InvalidationOp} of the message
+     * @param {*} target Key, tag or prefix the operation applies to
+     */
+    #publish(op, target=undefined){
+        if(this.#applying || (op === InvalidationOp.REMOVE && !isTransferable(target))) return;
+        this.#transport.publish({origin: this.#id, channel: this.#channel, op: op, target: target});
+    }
+
+    /**
+     * Applies an invalidation received from a peer
+     * @param {Object} message Message received by the transport
+     */
+    #apply(message){
+        if(!message || message.origin === this.#id || message.channel !== this.#channel) return;
+        this.#local(() => {
+            switch(message.op){
+                case InvalidationOp.REMOVE: this.#cache.remove(message.target); break;
+                case InvalidationOp.CLEAR: this.#cache.clear(); break;
+                case InvalidationOp.TAG: this.#cache.invalidateTag(message.target); break;
+                case InvalidationOp.PREFIX: this.#cache.invalidatePrefix(message.target); break;
+            }
+        });
+    }
+}
+
+
+module.exports = {
+    InvalidationBus,
+    InvalidationOp
+}
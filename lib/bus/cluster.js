@@ -0,0 +1,91 @@
+const cluster = require('cluster');
+const { InvalidationTransport } = require('./transport.js');
+
+
+/** Type of IPC messages that carry invalidation messages */
+const MESSAGE_TYPE = "lup-caches:invalidation";
+
+/** Listener of the primary process that forwards messages between workers (null if not relaying) */
+let relay = null;
+
+/**
+ * @param {Object} message IPC message
+ * @param {Worker} except Worker that should not receive the message
+ */
+function sendToWorkers(message, except=null){
+    for(let id in cluster.workers){
+        const worker = cluster.workers[id];
+        if(worker && worker !== except && worker.isConnected()) worker.send(message);
+    }
+}
+
+
+
+
+/**
+ * Transport that sends invalidation messages over the IPC channels of the Node {@code cluster} module.
+ * Workers send their messages to the primary process which forwards them to all other workers,
+ * so the primary process must call {@link ClusterTransport.startRelay} (or create a transport itself).
+ * @author LupCode.com
+ */
+class ClusterTransport extends InvalidationTransport {
+    #listener;
+
+    /**
+     * Creates a new transport for the current process (primary or worker)
+     */
+    constructor(){
+        super();
+        if(cluster.isPrimary){
+            ClusterTransport.startRelay();
+            this.#listener = (worker, message) => {
+                if(message && message.type === MESSAGE_TYPE) this.deliver(message.message);
+            };
+            cluster.on('message', this.#listener);
+        } else {
+            this.#listener = (message) => {
+                if(message && message.type === MESSAGE_TYPE) this.deliver(message.message);
+            };
+            process.on('message', this.#listener);
+        }
+    }
+
+    /**
+     * Starts forwarding the messages of each worker to all other workers (does nothing if already started).
+     * Must be called in the primary process.
+     */
+    static startRelay(){
+        if(relay) return;
+        if(!cluster.isPrimary) throw new Error("Relay can only be started in the primary process");
+        relay = function(worker, message){
+            if(message && message.type === MESSAGE_TYPE) sendToWorkers(message, worker);
+        };
+        cluster.on('message', relay);
+    }
+
+    /**
+     * Stops forwarding messages between workers
+     */
+    static stopRelay(){
+        if(!relay) return;
+        cluster.off('message', relay);
+        relay = null;
+    }
+
+    publish(message){
+        const ipc = {type: MESSAGE_TYPE, message: message};
+        if(cluster.isPrimary) sendToWorkers(ipc);
+        else if(process.send && process.connected) process.send(ipc);
+    }
+
+    close(){
+        super.close();
+        if(cluster.isPrimary) cluster.off('message', this.#listener);
+        else process.off('message', this.#listener);
+    }
+}
+
+
+module.exports = {
+    ClusterTransport
+}
@@ -0,0 +1,167 @@
+const net = require('net');
+const { InvalidationTransport } = require('./transport.js');
+
+
+/**
+ * Reads newline delimited JSON messages from a socket
+ * @param {Socket} socket Socket to read from
+ * @param {Function} onMessage Function that gets called with each parsed message
+ */
+function readMessages(socket, onMessage){
+    let buffered = "";
+    socket.setEncoding('utf8');
+    socket.on('data', function(chunk){
+        buffered += chunk;
+        let end;
+        while((end = buffered.indexOf("\n")) >= 0){
+            const line = buffered.substring(0, end);
+            buffered = buffered.substring(end + 1);
+            if(!line) continue;
+            let message;
+            try {
+                message = JSON.parse(line);
+            } catch(err){
+                continue; // ignore malformed lines
+            }
+            onMessage(message);
+        }
+    });
+}
+
+
+
+
+/**
+ * Transport that sends invalidation messages as newline delimited JSON over a local TCP or Unix socket.
+ * One participant acts as server and forwards the messages of each client to all other clients.
+ * Clients reconnect if the connection gets lost (messages published while disconnected are dropped).
+ * Neither server nor clients keep the process alive.
+ * @author LupCode.com
+ */
+class SocketTransport extends InvalidationTransport {
+    #options;
+    #server = null;
+    #clients = new Set();
+    #socket = null;
+    #retry = null;
+    #closed = false;
+    #ready;
+
+    /**
+     * Creates a new transport and starts listening or connecting
+     * @param {Object} options Options that define the socket:
+     *  - path:     String      Path of a Unix socket (or Windows named pipe) instead of TCP
+     *  - port:     int         TCP port
+     *  - host:     String      TCP host (default 127.0.0.1)
+     *  - server:   bool        If this participant listens for the others (default false)
+     *  - retryMs:  int         Milliseconds after which a lost connection gets reestablished (default 1000)
+     *  - onError:  Function    Callback that gets called with socket errors (including failing to listen)
+     */
+    constructor(options={}){
+        super();
+        if(!options.path && !options.port) throw new Error("Either path or port must be provided");
+        this.#options = Object.assign({host: "127.0.0.1", server: false, retryMs: 1000}, options);
+        this.#ready = this.#options.server ? this.#listen() : this.#connect();
+        this.#ready.catch((err) => this.#error(err)); // reported to onError, not as unhandled rejection
+    }
+
+    /**
+     * @returns Promise that resolves once the server is listening or the client is connected for the first time
+     * (rejects if the server cannot listen, the error is passed to {@code onError} as well)
+     */
+    ready(){
+        return this.#ready;
+    }
+
+    /**
+     * @returns True if this participant is the server
+     */
+    isServer(){
+        return !!this.#options.server;
+    }
+
+    publish(message){
+        const line = JSON.stringify(message) + "\n";
+        if(this.#server){
+            for(let client of this.#clients) client.write(line);
+        } else if(this.#socket && !this.#socket.connecting && !this.#socket.destroyed){
+            this.#socket.write(line);
+        }
+    }
+
+    close(){
+        super.close();
+        this.#closed = true;
+        if(this.#retry) clearTimeout(this.#retry);
+        if(this.#socket) this.#socket.destroy();
+        for(let client of this.#clients) client.destroy();
+        this.#clients.clear();
+        if(this.#server) this.#server.close();
+    }
+
+    /**
+     * Starts the server
+     * @returns Promise that resolves once the server is listening
+     */
+    #listen(){
+        this.#server = net.createServer((client) => {
+            this.#clients.add(client);
+            client.unref();
+            client.on('close', () => this.#clients.delete(client));
+            client.on('error', (err) => this.#error(err));
+            readMessages(client, (message) => {
+                const line = JSON.stringify(message) + "\n";
+                for(let other of this.#clients) if(other !== client) other.write(line);
+                this.deliver(message);
+            });
+        });
+        this.#server.unref();
+        return new Promise((resolve, reject) => {
+            this.#server.once('error', reject);
+            const onListening = () => {
+                this.#server.off('error', reject);
+                this.#server.on('error', (err) => this.#error(err));
+                resolve();
+            };
+            if(this.#options.path) this.#server.listen(this.#options.path, onListening);
+            else this.#server.listen(this.#options.port, this.#options.host, onListening);
+        });
+    }
+
+    /**
+     * Connects to the server and reconnects if the connection gets lost
+     * @returns Promise that resolves once connected for the first time
+     */
+    #connect(){
+        return new Promise((resolve) => {
+            const connect = () => {
+                this.#retry = null;
+                if(this.#closed) return;
+                const socket = this.#options.path ? net.connect(this.#options.path) : net.connect(this.#options.port, this.#options.host);
+                this.#socket = socket;
+                socket.unref();
+                socket.on('connect', resolve);
+                socket.on('error', (err) => this.#error(err));
+                socket.on('close', () => {
+                    if(this.#closed || this.#socket !== socket) return;
+                    this.#retry = setTimeout(connect, this.#options.retryMs);
+                    this.#retry.unref();
+                });
+                readMessages(socket, (message) => this.deliver(message));
+            };
+            connect();
+        });
+    }
+
+    /**
+     * @param {Error} err Error of a socket
+     */
+    #error(err){
+        if(this.#options.onError) this.#options.onError(err);
+    }
+}
+
+
+module.exports = {
+    SocketTransport
+}
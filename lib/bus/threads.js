@@ -0,0 +1,38 @@
+const { BroadcastChannel } = require('worker_threads');
+const { InvalidationTransport } = require('./transport.js');
+
+
+/**
+ * Transport that sends invalidation messages between the main thread and
+ * the {@code worker_threads} of a process through a {@code BroadcastChannel}.
+ * Does not keep the thread alive.
+ * @author LupCode.com
+ */
+class WorkerThreadsTransport extends InvalidationTransport {
+    #channel;
+
+    /**
+     * Creates a new transport
+     * @param {String} name Name of the channel (all participants must use the same name)
+     */
+    constructor(name="lup-caches:invalidation"){
+        super();
+        this.#channel = new BroadcastChannel(name);
+        this.#channel.onmessage = (event) => this.deliver(event.data);
+        this.#channel.unref();
+    }
+
+    publish(message){
+        this.#channel.postMessage(message);
+    }
+
+    close(){
+        super.close();
+        this.#channel.close();
+    }
+}
+
+
+module.exports = {
+    WorkerThreadsTransport
+}
@@ -0,0 +1,58 @@
+/**
+ * Base class of transports that carry invalidation messages between the
+ * {@link InvalidationBus} instances of different processes or threads.
+ * Subclasses implement {@code publish()} and call {@code deliver()} for each received message.
+ * Messages are plain JSON serializable objects.
+ * @author LupCode.com
+ */
+class InvalidationTransport {
+    #handlers = [];
+
+    /**
+     * Registers a function that gets called with each message received from other participants
+     * @param {Function} handler Function that gets called with the message
+     */
+    subscribe(handler){
+        this.#handlers.push(handler);
+    }
+
+    /**
+     * Unregisters a function added with {@code subscribe()}
+     * @param {Function} handler Function that should no longer be called
+     * @returns True if the function was registered
+     */
+    unsubscribe(handler){
+        const index = this.#handlers.indexOf(handler);
+        if(index < 0) return false;
+        this.#handlers.splice(index, 1);
+        return true;
+    }
+
+    /**
+     * Sends a message to all other participants
+     * @param {Object} message JSON serializable message
+     */
+    publish(message){
+        throw new Error(this.constructor.name + " does not implement publish()");
+    }
+
+    /**
+     * Passes a received message to all subscribed functions
+     * @param {Object} message Message received from another participant
+     */
+    deliver(message){
+        for(let handler of this.#handlers.slice()) handler(message);
+    }
+
+    /**
+     * Releases all resources of the transport
+     */
+    close(){
+        this.#handlers = [];
+    }
+}
+
+
+module.exports = {
+    InvalidationTransport
+}
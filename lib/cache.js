@@ -0,0 +1,1165 @@
+const { EventEmitter } = require('events');
+const { encodeSnapshot, decodeSnapshot, writeSnapshot, readSnapshot } = require('./snapshot.js');
+const { KeyTrie } = require('./trie.js');
+const { CacheNamespace } = require('./namespace.js');
+const { SizeCapacity } = require('./capacity.js');
+
+
+/**
+ * Reasons passed as third argument to the {@code onEvict} callbacks
+ */
+const EvictReason = Object.freeze({
+    /** Entry got evicted to make space for another entry */
+    CAPACITY: "capacity",
+    /** Entry was still stored after its time-to-live elapsed */
+    EXPIRED: "expired",
+    /** Entry got evicted by {@code clear(true)} */
+    CLEAR: "clear"
+});
+
+/**
+ * Reasons why {@code putMany()} did not store an entry
+ */
+const RejectReason = Object.freeze({
+    /** Entry is bigger than the maximum capacity */
+    TOO_LARGE: "too-large",
+    /** Not enough capacity could be freed (e.g. because {@code onEvict} callbacks prevented evictions) */
+    NO_ROOM: "no-room",
+    /** Another entry of an atomic batch could not be stored */
+    ATOMIC: "atomic",
+    /** Same key appears again later in the batch */
+    DUPLICATE: "duplicate"
+});
+
+/**
+ * Computes the timestamp at which an entry expires
+ * @param {int} ttl Time-to-live in milliseconds (zero or negative means no expiry)
+ * @param {int} now Current timestamp in milliseconds
+ * @returns Timestamp in milliseconds or 0 if entry never expires
+ */
+function computeExpiry(ttl, now){
+    ttl = parseInt(ttl);
+    return ttl > 0 ? now + ttl : 0;
+}
+
+/**
+ * @param {Object} entry Entry of a cache
+ * @param {int} now Current timestamp in milliseconds
+ * @returns True if the time-to-live of the entry has elapsed
+ */
+function isExpired(entry, now){
+    return entry.expires > 0 && entry.expires <= now;
+}
+
+/**
+ * @param {Object} options Options passed to {@code put()}
+ * @throws Error if the cost is set but not a non-negative finite number
+ */
+function validateCost(options){
+    if(options.cost !== undefined && !(Number.isFinite(Number(options.cost)) && Number(options.cost) >= 0))
+        throw new Error("Cost must be a non-negative number but is " + options.cost);
+}
+
+/**
+ * @returns Object with all statistic counters of a cache set to zero
+ */
+function emptyStats(){
+    return {hits: 0, misses: 0, puts: 0, rejectedPuts: 0, evictions: 0, expirations: 0, vetoedEvictions: 0, removals: 0};
+}
+
+
+
+
+/**
+ * Cache storing key-value pairs whose capacity is defined by a capacity strategy
+ * (e.g. {@link CountCapacity} or {@link SizeCapacity}) and which decides what to evict
+ * if it is full by an eviction policy (e.g. {@link LRUPolicy} or {@link LFUPolicy}).
+ * Entries can have a time-to-live after which they are treated as not existing.
+ * Optionally entries can be served stale for some time after their time-to-live
+ * while a registered loader refreshes them in the background.
+ * Implements the interface of {@link Map} where keys can be of any type
+ * and iterations return the entries in the order in which they would be evicted.
+ * Expired entries get removed when they are accessed, by {@code purgeExpired()} or by the scheduler
+ * started with {@code startScheduler()} that also applies time based updates of the policy (e.g. LFU decay)
+ * while there are no writes. All timestamps come from a clock that can be replaced (e.g. by a fake clock in tests).
+ * Emits the following events with an object containing {@code key}, {@code value}, {@code size}
+ * (weight measured by the capacity strategy) and for evictions the {@code reason} and {@code expires}:
+ *  - set:      Entry has been put into the cache
+ *  - hit:      Lookup returned a value
+ *  - miss:     Lookup did not find a value (only {@code key} is set)
+ *  - evict:    Entry got evicted to make space or by {@code clear(true)} (after its {@code onEvict} callback did not prevent it)
+ *  - expire:   Entry got removed because its time-to-live has elapsed
+ *  - delete:   Entry got removed with {@code remove()}
+ *  - clear:    Cache got cleared (only {@code count} of the removed entries is set)
+ * @author LupCode.com
+ */
+class Cache extends EventEmitter {
+    #capacity;
+    #policy;
+    #defaultTTL;
+    #defaultStale;
+    #loader = null;
+    #loaderOptions = {};
+    #used = 0;
+    #entries = new Map(); // key: {key: *, value: Object, weight: Number, stale: int, expires: int, options: Object, onEvict: function, tags: Array}
+    #loading = new Map(); // key: {promise: Promise, superseded: bool}
+    #failures = new Map(); // key: {error: Error, expires: int}
+    #tags = new Map(); // tag: Set of entries
+    #prefixes = new KeyTrie(); // all string keys
+    #stats = emptyStats();
+    #clock = Date.now;
+    #scheduler = null;
+    #codec = null;
+
+    /**
+     * Creates a new cache
+     * @param {Object} options Options that define the cache:
+     *  - capacity: Object          Capacity strategy that weighs entries and defines the maximum total weight
+     *  - policy:   EvictionPolicy  Policy that decides which entries get evicted if cache is full (must not be shared with other caches)
+     *  - ttl:      int             Time-to-live in milliseconds for entries that do not specify one on {@code put()} (zero or negative means no expiry)
+     *  - staleWhileRevalidate: int Milliseconds after the time-to-live in which stale values get served while being refreshed
+     *                              for entries that do not specify it on {@code put()} (zero means disabled)
+     *  - loader:   Function        Function used to refresh stale entries (see {@link Cache#setLoader})
+     *  - clock:    Function        Function returning the current timestamp in milliseconds (default {@code Date.now})
+     */
+    constructor(options={capacity: undefined, policy: undefined, ttl: 0, staleWhileRevalidate: 0, loader: null, clock: Date.now}){
+        if(!options.capacity) throw new Error("Capacity strategy must be provided");
+        if(!options.policy) throw new Error("Eviction policy must be provided");
+        super();
+        this.#capacity = options.capacity;
+        this.#policy = options.policy;
+        this.#defaultTTL = parseInt(options.ttl) || 0;
+        this.#defaultStale = parseInt(options.staleWhileRevalidate) || 0;
+        if(options.loader) this.setLoader(options.loader);
+        if(options.clock) this.setClock(options.clock);
+        this.#policy.bind(this.#capacity);
+    }
+
+    /**
+     * @returns Capacity strategy of this cache
+     */
+    getCapacity(){
+        return this.#capacity;
+    }
+
+    /**
+     * @returns Eviction policy of this cache
+     */
+    getPolicy(){
+        return this.#policy;
+    }
+
+    /**
+     * @returns Amount of key-value pairs stored in cache
+     */
+    getCount(){
+        return this.#entries.size;
+    }
+
+    /**
+     * Counts the entries whose keys are strings starting with the given prefix without visiting them
+     * (including expired entries that have not been removed yet)
+     * @param {String} prefix Prefix of the keys
+     * @returns Amount of entries whose keys start with the prefix
+     */
+    getCountWithPrefix(prefix){
+        return this.#prefixes.countWithPrefix(String(prefix));
+    }
+
+    /**
+     * @returns Total weight of all stored entries as measured by the capacity strategy
+     */
+    getUsedCapacity(){
+        return this.#used;
+    }
+
+    /**
+     * @returns Maximum total weight of all stored entries
+     */
+    getMaxCapacity(){
+        return this.#capacity.getMax();
+    }
+
+    /**
+     * Sets the maximum total weight of all stored entries and immediately evicts entries
+     * in the order of the eviction policy until the stored entries fit.
+     * Entries whose {@code onEvict} callback prevents the eviction stay in the cache
+     * (so the cache can stay above the new maximum).
+     * @param {Number} max Maximum total weight
+     * @returns Array of the evicted entries as objects containing {@code key}, {@code value}, {@code size} and {@code reason}
+     * @throws Error if max is not a non-negative number
+     */
+    setMaxCapacity(max){
+        this.#capacity.setMax(max);
+        const now = this.#clock();
+        this.#policy.tick(now);
+        let evicted = [];
+        this.#makeRoom(0, now, evicted);
+        return evicted;
+    }
+
+    /**
+     * @returns Time-to-live in milliseconds used for entries that do not specify one (zero means no expiry)
+     */
+    getDefaultTTL(){
+        return this.#defaultTTL;
+    }
+
+    /**
+     * Sets the time-to-live used for entries that get put without specifying one.
+     * Does not affect entries that are already stored.
+     * @param {int} defaultTTL Time-to-live in milliseconds (zero or negative means no expiry)
+     */
+    setDefaultTTL(defaultTTL){
+        this.#defaultTTL = parseInt(defaultTTL) || 0;
+    }
+
+    /**
+     * @returns Milliseconds after the time-to-live in which stale values get served
+     * for entries that do not specify it (zero means disabled)
+     */
+    getDefaultStaleWhileRevalidate(){
+        return this.#defaultStale;
+    }
+
+    /**
+     * Sets for how long after their time-to-live entries get served stale while being refreshed.
+     * Does not affect entries that are already stored.
+     * @param {int} staleWhileRevalidate Milliseconds after the time-to-live (zero means disabled)
+     */
+    setDefaultStaleWhileRevalidate(staleWhileRevalidate){
+        this.#defaultStale = parseInt(staleWhileRevalidate) || 0;
+    }
+
+    /**
+     * @returns Function returning the current timestamp in milliseconds
+     */
+    getClock(){
+        return this.#clock;
+    }
+
+    /**
+     * Sets the clock all timestamps (time-to-live, stale times, decay of the policy) are taken from.
+     * Should be set before entries get put as their expiry has been computed with the former clock.
+     * @param {Function} clock Function returning the current timestamp in milliseconds (e.g. a fake clock in tests)
+     * @throws Error if clock is not a function
+     */
+    setClock(clock){
+        if(typeof clock !== 'function') throw new Error("Clock must be a function");
+        this.#clock = clock;
+    }
+
+    /**
+     * @returns Codec that encodes values before they get stored or null if values are stored as they are
+     */
+    getCodec(){
+        return this.#codec;
+    }
+
+    /**
+     * Sets a codec that transforms values before they get stored (e.g. {@link CompressionCodec}).
+     * Values leave the cache decoded, so the codec is invisible to users, events and callbacks.
+     * Entries that have already been stored keep the codec they have been encoded with.
+     * The weight returned by the codec is only used if the capacity strategy is a {@link SizeCapacity},
+     * other strategies do not measure bytes, so encoded entries keep the weight of their original value.
+     * @param {Object} codec Object with {@code encode(value, key, weight)} returning {@code {value, weight}} of the
+     * encoded value (or null to store the value as it is) and {@code decode(value, key, access)} returning the original value
+     * ({@code access} is true if the value is read by a lookup), optionally {@code release(value, key)} that gets called
+     * with the encoded value once its entry has been removed, null to store values as they are
+     */
+    setCodec(codec){
+        this.#codec = codec || null;
+    }
+
+    /**
+     * Starts a timer that regularly removes expired entries and applies time based updates of the policy
+     * (e.g. halving the access counters of LFU) even if the cache is only read or not used at all.
+     * The timer does not keep the process alive. Calling it again replaces the former timer.
+     * @param {int} intervalMs Milliseconds between runs (default 1000)
+     * @throws Error if intervalMs is not a positive number
+     */
+    startScheduler(intervalMs=1000){
+        intervalMs = parseInt(intervalMs);
+        if(!(intervalMs > 0)) throw new Error("Interval must be a positive number of milliseconds but is " + intervalMs);
+        this.stopScheduler();
+        this.#scheduler = setInterval(() => this.purgeExpired(), intervalMs);
+        this.#scheduler.unref();
+    }
+
+    /**
+     * Stops the timer started by {@code startScheduler()}
+     * @returns True if the scheduler was running
+     */
+    stopScheduler(){
+        if(!this.#scheduler) return false;
+        clearInterval(this.#scheduler);
+        this.#scheduler = null;
+        return true;
+    }
+
+    /**
+     * Stops all timers of this cache. The cache stays usable but nothing happens in the background anymore.
+     */
+    dispose(){
+        this.stopScheduler();
+    }
+
+    /**
+     * Same as {@code dispose()}
+     */
+    close(){
+        this.dispose();
+    }
+
+    /**
+     * @returns Function used to refresh stale entries or null if none is registered
+     */
+    getLoader(){
+        return this.#loader;
+    }
+
+    /**
+     * Registers the function used to refresh stale entries in the background.
+     * A {@code get()} of a stale entry returns the stale value immediately and starts a single refresh.
+     * If the refresh fails the stale value is kept until its time-to-live plus stale time has elapsed.
+     * Refreshed values keep the time-to-live, stale time and {@code onEvict} callback of the entry they replace.
+     * @param {Function} loader Function that gets called with the key and returns the value or a promise of it (null to unregister)
+     * @param {Object} options Options passed to {@code put()} when storing refreshed values, additionally:
+     *  - onError:  Function    Callback that gets called with key and error if a refresh fails
+     */
+    setLoader(loader, options={}){
+        this.#loader = loader || null;
+        this.#loaderOptions = options;
+    }
+
+    /**
+     * Returns the statistics collected since the cache has been created or {@code resetStats()} has been called:
+     *  - hits:             Lookups that returned a value (including stale values)
+     *  - misses:           Lookups that did not find a value or found an expired one
+     *  - hitRate:          Hits divided by all lookups (zero if there were no lookups)
+     *  - puts:             Successful calls of {@code put()} including values put by loaders
+     *  - rejectedPuts:     Calls of {@code put()} that returned {@code false}
+     *  - evictions:        Entries evicted to make space or by {@code clear(true)}
+     *  - expirations:      Entries removed because their time-to-live has elapsed
+     *  - vetoedEvictions:  Evictions prevented by an {@code onEvict} callback returning {@code false}
+     *  - removals:         Entries removed with {@code remove()} or {@code clear()}
+     * @returns Object containing the counters
+     */
+    getStats(){
+        const lookups = this.#stats.hits + this.#stats.misses;
+        return Object.assign({}, this.#stats, {hitRate: lookups > 0 ? this.#stats.hits / lookups : 0});
+    }
+
+    /**
+     * Sets all statistic counters to zero
+     */
+    resetStats(){
+        this.#stats = emptyStats();
+    }
+
+    /**
+     * Puts a key-value pair into cache. If the key already exists its previous value gets replaced.
+     * @param {*} key Unique key to reference value in cache
+     * @param {*} value Value that should be put into cache
+     * @param {Object} options Additional options that can be set:
+     *  - size:     int         Size in bytes of value (only used by byte based capacities, gets computed or estimated if not set)
+     *  - weight:   Number      Weight of value (only used by weighted capacities)
+     *  - ttl:      int         Time-to-live in milliseconds after which entry expires (if not set default TTL of cache is used, zero means no expiry)
+     *  - staleWhileRevalidate: int     Milliseconds after the time-to-live in which the stale value still gets returned while it gets
+     *                                  refreshed by the registered loader (if not set default of cache is used, zero means disabled)
+     *  - onEvict:  Function    Callback that gets called with key, value and {@link EvictReason} of entries that were evicted from cache
+     *                          (if returns {@code false} pair does not get evicted, ignored if entry has expired)
+     *  - tags:     Array       Tags (strings) of the entry that allow to remove it together with others by {@code invalidateTag()}
+     *  - cost:     Number      Cost of recomputing the value, used by cost aware policies like {@link GDSFPolicy} (default 1)
+     * @returns True if successfully put key-value pair into cache or false if value is too big to fit into cache
+     * (a value stored for the key before is kept in that case)
+     * @throws Error if the capacity strategy is not able to weigh the value or cost is negative
+     */
+    put(key, value, options={}){
+        validateCost(options);
+        const stored = this.#encode(key, value, this.#capacity.weigh(key, value, options));
+        if(stored.weight > this.#capacity.getMax()){
+            this.#stats.rejectedPuts++;
+            return false;
+        }
+        const now = this.#clock();
+        this.#policy.tick(now);
+
+        this.#supersedeLoad(key);
+
+        // replaced value frees its weight but is kept until the new value is guaranteed to fit
+        const old = this.#entries.get(key);
+        if(!this.#makeRoom(stored.weight, now, null, old ? new Set([key]) : null, old ? old.weight : 0)){
+            this.#stats.rejectedPuts++;
+            return false;
+        }
+        if(old && this.#entries.get(key) === old) this.#delete(old);
+        if(this.#capacity.getMax() - this.#used < stored.weight){
+            // replaced value has been removed by an onEvict callback in the meantime
+            this.#stats.rejectedPuts++;
+            return false;
+        }
+        this.#insert(key, stored.value, stored.weight, options, now, stored.codec);
+        return true;
+    }
+
+
+    /**
+     * Puts multiple key-value pairs into the cache and evicts the entries needed to make room for all of them at once.
+     * If the same key appears multiple times only its last occurrence gets stored.
+     * @param {Iterable} entries Arrays of {@code [key, value]} or {@code [key, value, options]} (e.g. a {@link Map})
+     * @param {Object} options Options of {@code put()} used for entries that do not specify own ones, additionally:
+     *  - atomic:   bool    If either all entries or none should be stored (default false stores as many as fit in order).
+     *                      Entries evicted before {@code onEvict} callbacks prevented making enough room stay evicted.
+     * @returns Object containing:
+     *  - stored:   Array of the keys that have been stored
+     *  - rejected: Array of objects containing {@code key} and {@code reason} ({@link RejectReason}) of entries that have not been stored
+     *              (values that have been stored for their keys before are kept)
+     *  - evicted:  Array of objects containing {@code key}, {@code value}, {@code size} and {@code reason} of evicted entries
+     * @throws Error if the capacity strategy is not able to weigh a value or a cost is negative (nothing gets stored)
+     */
+    putMany(entries, options={}){
+        const defaults = Object.assign({}, options);
+        delete defaults.atomic;
+        const max = this.#capacity.getMax();
+        let result = {stored: [], rejected: [], evicted: []};
+
+        // weigh everything before modifying the cache
+        let items = [], last = new Map();
+        for(let [key, value, entryOptions] of entries){
+            const itemOptions = entryOptions || defaults;
+            validateCost(itemOptions);
+            items.push(Object.assign({key: key, options: itemOptions, reason: null}, this.#encode(key, value, this.#capacity.weigh(key, value, itemOptions))));
+            last.set(key, items.length - 1);
+        }
+        let total = 0, replaced = 0, protect = new Set();
+        items.forEach((item, i) => {
+            if(last.get(item.key) !== i) item.reason = RejectReason.DUPLICATE;
+            else if(item.weight > max) item.reason = RejectReason.TOO_LARGE;
+            else {
+                total += item.weight;
+                const old = this.#entries.get(item.key);
+                if(old){
+                    replaced += old.weight;
+                    protect.add(item.key);
+                }
+            }
+        });
+
+        const now = this.#clock();
+        this.#policy.tick(now);
+        let fits = !options.atomic || (total <= max && !items.some((item) => item.reason === RejectReason.TOO_LARGE));
+        if(fits) fits = this.#makeRoom(total, now, result.evicted, protect, replaced);
+        if(!fits && options.atomic){
+            for(let item of items){
+                if(!item.reason) item.reason = RejectReason.ATOMIC;
+                this.#stats.rejectedPuts++;
+                result.rejected.push({key: item.key, reason: item.reason});
+            }
+            return result;
+        }
+
+        for(let item of items){
+            if(!item.reason){
+                this.#supersedeLoad(item.key);
+                // replaced value is only removed if the new one fits, otherwise it is kept
+                const old = this.#entries.get(item.key);
+                if(max - this.#used + (old ? old.weight : 0) >= item.weight){
+                    if(old) this.#delete(old);
+                    this.#insert(item.key, item.value, item.weight, item.options, now, item.codec);
+                    result.stored.push(item.key);
+                    continue;
+                }
+                item.reason = RejectReason.NO_ROOM;
+            }
+            this.#stats.rejectedPuts++;
+            result.rejected.push({key: item.key, reason: item.reason});
+        }
+        return result;
+    }
+
+
+    /**
+     * Returns the values of multiple keys (see {@code get()})
+     * @param {Iterable} keys Keys of the values that should be returned
+     * @returns Map containing the found keys and their values
+     */
+    getMany(keys){
+        let values = new Map();
+        for(let key of keys){
+            const value = this.get(key);
+            if(value !== undefined) values.set(key, value);
+        }
+        return values;
+    }
+
+
+    /**
+     * Removes multiple key-value pairs from the cache (see {@code remove()})
+     * @param {Iterable} keys Keys of the values that should be removed
+     * @returns Map containing the removed keys and their values
+     */
+    removeMany(keys){
+        let removed = new Map();
+        for(let key of keys){
+            if(!this.#entries.has(key)){
+                this.#supersedeLoad(key);
+                continue;
+            }
+            removed.set(key, this.remove(key));
+        }
+        return removed;
+    }
+
+
+    /**
+     * Returns a value from the cache by its key (if it is still in the cache).
+     * Expired entries are treated as not found and get removed.
+     * Stale entries get returned and refreshed in the background if a loader is registered.
+     * @param {*} key Key of the value that should be returned
+     * @returns Value if found or undefined if not found
+     */
+    get(key){
+        return this.#get(key, this.#loader, this.#loaderOptions);
+    }
+
+
+    /**
+     * Returns a value from the cache without counting it as an access
+     * (does not change the eviction order, statistics or emit events)
+     * @param {*} key Key of the value that should be returned
+     * @returns Value if found and not expired or undefined otherwise
+     */
+    peek(key){
+        let entry = this.#entries.get(key);
+        if(!entry || isExpired(entry, this.#clock())) return undefined;
+        return this.#decoded(entry, true);
+    }
+
+    /**
+     * Checks if a value is stored for a key without counting it as an access
+     * @param {*} key Key that should be checked
+     * @returns True if a value is stored for the key and has not expired
+     */
+    has(key){
+        let entry = this.#entries.get(key);
+        return entry !== undefined && !isExpired(entry, this.#clock());
+    }
+
+    /**
+     * Same as {@code put()} but returns the cache like {@link Map#set}
+     * @param {*} key Unique key to reference value in cache
+     * @param {*} value Value that should be put into cache
+     * @param {Object} options Options of {@code put()}
+     * @returns This cache
+     */
+    set(key, value, options={}){
+        this.put(key, value, options);
+        return this;
+    }
+
+    /**
+     * Same as {@code remove()} but returns if an entry has been removed like {@link Map#delete}
+     * @param {*} key Key of the value that should be removed
+     * @returns True if an entry has been removed (false if it had expired like {@code has()})
+     */
+    delete(key){
+        const found = this.has(key);
+        this.remove(key);
+        return found;
+    }
+
+    /**
+     * Amount of stored entries (including expired entries that have not been removed yet)
+     */
+    get size(){
+        return this.#entries.size;
+    }
+
+    /**
+     * Iterates over all entries that have not expired in the order in which they would be evicted.
+     * Does not count as access. Entries removed during the iteration are skipped.
+     * @returns Iterator over {@code [key, value]} pairs
+     */
+    *entries(){
+        const now = this.#clock();
+        for(let entry of Array.from(this.#policy.entries())){
+            if(this.#entries.get(entry.key) === entry && !isExpired(entry, now)) yield [entry.key, this.#decoded(entry)];
+        }
+    }
+
+    /**
+     * @returns Iterator over the keys in eviction order (see {@code entries()})
+     */
+    *keys(){
+        for(let [key] of this.entries()) yield key;
+    }
+
+    /**
+     * @returns Iterator over the values in eviction order (see {@code entries()})
+     */
+    *values(){
+        for(let [, value] of this.entries()) yield value;
+    }
+
+    /**
+     * @returns Iterator over {@code [key, value]} pairs in eviction order (see {@code entries()})
+     */
+    [Symbol.iterator](){
+        return this.entries();
+    }
+
+    /**
+     * @returns Name of the class used by {@code Object.prototype.toString()}
+     */
+    get [Symbol.toStringTag](){
+        return this.constructor.name;
+    }
+
+    /**
+     * Calls a function for each entry in eviction order (see {@code entries()})
+     * @param {Function} callback Function that gets called with value, key and this cache
+     * @param {*} thisArg Value used as {@code this} when calling the function
+     */
+    forEach(callback, thisArg=undefined){
+        for(let [key, value] of this.entries()) callback.call(thisArg, value, key, this);
+    }
+
+    /**
+     * Returns a value from the cache or loads it with the given function if it is not in the cache.
+     * Concurrent calls for the same key share a single call of the loader.
+     * Loaded values get put into the cache unless the key got put or removed while loading.
+     * Stale entries get returned and refreshed in the background with the given loader.
+     * @param {*} key Key of the value that should be returned
+     * @param {Function} loader Function that gets called with the key and returns the value or a promise of it
+     * (returning undefined means the value does not exist and nothing gets put into the cache)
+     * @param {Object} options Options passed to {@code put()} when storing the loaded value, additionally:
+     *  - negativeTtl:  int     If > 0 milliseconds for which a rejection of the loader gets cached so
+     *                          calls within that time get rejected with the same error without calling the loader
+     * @returns Promise resolving to the cached or loaded value or rejecting with the error of the loader
+     */
+    async getOrLoad(key, loader, options={}){
+        let value = this.#get(key, loader, options);
+        if(value !== undefined) return value;
+
+        let failure = this.#failures.get(key);
+        if(failure){
+            if(failure.expires > this.#clock()) throw failure.error;
+            this.#failures.delete(key);
+        }
+
+        let load = this.#loading.get(key);
+        if(load) return load.promise;
+        return this.#load(key, loader, options).promise;
+    }
+
+
+    /**
+     * Removes a key-value pair from the cache immediatly.
+     * Will not trigger the onEvict callback if defined.
+     * A value that is currently being loaded for the key will not be put into the cache.
+     * @param {*} key Key of the value that should be removed
+     * @returns Value of the removed key-value pair or undefined if not found
+     */
+    remove(key){
+        this.#supersedeLoad(key);
+        let entry = this.#entries.get(key);
+        if(!entry) return undefined;
+        this.#delete(entry);
+        this.#stats.removals++;
+        this.#emit("delete", entry);
+        return this.#decoded(entry);
+    }
+
+
+    /**
+     * Removes all entries that have been put with the given tag (like {@code remove()})
+     * @param {String} tag Tag of the entries
+     * @returns Amount of removed entries
+     */
+    invalidateTag(tag){
+        let tagged = this.#tags.get(tag);
+        if(!tagged) return 0;
+        let count = 0;
+        for(let entry of Array.from(tagged)){
+            if(this.#entries.get(entry.key) !== entry) continue;
+            this.remove(entry.key);
+            count++;
+        }
+        return count;
+    }
+
+    /**
+     * Removes all entries whose keys are strings starting with the given prefix (like {@code remove()}).
+     * String keys are kept in a radix tree, so only matching keys get visited.
+     * @param {String} prefix Prefix of the keys
+     * @returns Amount of removed entries
+     */
+    invalidatePrefix(prefix){
+        let count = 0;
+        for(let key of Array.from(this.#prefixes.withPrefix(String(prefix)))){
+            this.remove(key);
+            count++;
+        }
+        return count;
+    }
+
+    /**
+     * Creates a view of this cache that prefixes all keys and tags with the given name
+     * so its entries are isolated from other namespaces while sharing the capacity of this cache
+     * @param {String} name Name of the namespace
+     * @param {String} separator String put between name and keys
+     * @returns Namespace that can be used like a cache
+     */
+    namespace(name, separator=":"){
+        return new CacheNamespace(this, name, separator);
+    }
+
+    /**
+     * Removes all entries whose time-to-live has elapsed and applies time based updates of the policy.
+     * Calls the {@code onEvict} callback of each removed entry with reason {@link EvictReason.EXPIRED}.
+     * @returns Amount of entries that have been removed
+     */
+    purgeExpired(){
+        const now = this.#clock();
+        this.#policy.tick(now);
+        let count = 0;
+        for(let [key, failure] of this.#failures){
+            if(failure.expires <= now) this.#failures.delete(key);
+        }
+        for(let entry of this.#entries.values()){
+            if(!isExpired(entry, now)) continue;
+            this.#delete(entry, EvictReason.EXPIRED);
+            if(entry.onEvict) entry.onEvict(entry.key, this.#decoded(entry), EvictReason.EXPIRED);
+            count++;
+        }
+        return count;
+    }
+
+
+    /**
+     * Clears the cache without calling the {@code onEvict} callbacks (by default)
+     * @param {bool} callEvictCallbacks If {@code true} for each entry the {@code onEvict} callback will be called
+     * which can prevent evicting the entry by returning {@type false}.
+     */
+    clear(callEvictCallbacks=false){
+        for(let load of this.#loading.values()) load.superseded = true;
+        this.#loading.clear();
+        this.#failures.clear();
+        if(!callEvictCallbacks){
+            const count = this.#entries.size;
+            this.#stats.removals += count;
+            for(let entry of this.#entries.values()) this.#release(entry);
+            this.#entries.clear();
+            this.#tags.clear();
+            this.#prefixes.clear();
+            this.#policy.clear();
+            this.#used = 0;
+            if(this.listenerCount("clear") > 0) this.emit("clear", {count: count});
+            return;
+        }
+        let count = 0;
+        for(let entry of this.#entries.values()){
+            if(entry.onEvict && entry.onEvict(entry.key, this.#decoded(entry), EvictReason.CLEAR) === false){
+                this.#stats.vetoedEvictions++;
+                continue;
+            }
+            if(this.#entries.get(entry.key) === entry){
+                this.#delete(entry, EvictReason.CLEAR);
+                count++;
+            }
+        }
+        if(this.listenerCount("clear") > 0) this.emit("clear", {count: count});
+    }
+
+    /**
+     * Creates a snapshot of all entries that have not expired including their time-to-live
+     * and the metadata of the eviction policy (e.g. LRU order or LFU access counters).
+     * {@type String} and {@type Buffer} values are stored as they are, other values get serialized.
+     * The {@code onEvict} callbacks, entries whose keys are neither strings nor numbers and entries whose values
+     * the serializer cannot represent (e.g. {@code undefined}, functions or symbols with JSON) are not stored.
+     * @param {Object} options Additional options that can be set:
+     *  - serializer:   Object  Object with {@code serialize(value)} returning a {@type String} or {@type Buffer}
+     *                          and {@code deserialize(buffer)} returning the value (default uses JSON)
+     * @returns Buffer containing the snapshot
+     */
+    serialize(options={}){
+        const now = this.#clock();
+        let entries = [];
+        for(let entry of this.#policy.entries()){
+            if(isExpired(entry, now) || (typeof entry.key !== 'string' && typeof entry.key !== 'number')) continue;
+            entries.push({key: entry.key, value: this.#decoded(entry), meta: {
+                weight: entry.codec ? undefined : entry.weight, // encoded entries get weighed and encoded again
+                stale: entry.stale,
+                expires: entry.expires,
+                ttl: entry.options.ttl,
+                staleWhileRevalidate: entry.options.staleWhileRevalidate,
+                tags: entry.tags || undefined,
+                policy: this.#policy.exportEntry(entry)
+            }});
+        }
+        const header = {
+            type: this.constructor.name,
+            created: now,
+            capacity: this.#capacity.constructor.name,
+            maxCapacity: this.#capacity.getMax(),
+            defaultTTL: this.#defaultTTL,
+            defaultStaleWhileRevalidate: this.#defaultStale,
+            policy: this.#policy.constructor.name,
+            policyState: this.#policy.exportState()
+        };
+        return encodeSnapshot(header, entries, options.serializer);
+    }
+
+    /**
+     * Writes a snapshot created by {@code serialize()} to a file or stream
+     * @param {String|Writable} target File path (gets replaced atomically) or writable stream (does not get ended)
+     * @param {Object} options Options passed to {@code serialize()}
+     * @returns Promise that resolves once the snapshot has been written
+     */
+    async dump(target, options={}){
+        await writeSnapshot(this.serialize(options), target);
+    }
+
+    /**
+     * Returns the constructor arguments {@code restore()} uses if none are given.
+     * Caches whose constructor requires arguments (e.g. a limit) have to override this.
+     * @param {Object} header Header of the snapshot containing the {@code maxCapacity} of the serialized cache
+     * @returns Array of arguments passed to the constructor
+     */
+    static argsFromSnapshot(header){
+        return [];
+    }
+
+    /**
+     * Creates a cache from a snapshot created by {@code serialize()}.
+     * Entries that expired in the meantime are skipped and if the cache is too small
+     * the entries that would have been evicted first are skipped.
+     * @param {Buffer} data Snapshot
+     * @param {Object} options Additional options that can be set:
+     *  - args:         Array   Arguments passed to the constructor (if not set the cache gets constructed with the arguments
+     *                          returned by {@code argsFromSnapshot()} and the capacity, default time-to-live and policy settings
+     *                          of the snapshot are applied)
+     *  - serializer:   Object  Serializer that has been used to create the snapshot
+     * @returns Cache containing the entries of the snapshot
+     * @throws Error if data is not a snapshot or has been written by a newer version
+     */
+    static restore(data, options={}){
+        const snapshot = decodeSnapshot(data, options.serializer);
+        const cache = new this(...(options.args || this.argsFromSnapshot(snapshot.header)));
+        cache.#import(snapshot.header, snapshot.entries, !options.args);
+        return cache;
+    }
+
+    /**
+     * Creates a cache from a snapshot written by {@code dump()}
+     * @param {String|Readable|Buffer} source File path or readable stream
+     * @param {Object} options Options passed to {@code restore()}
+     * @returns Promise resolving to the cache containing the entries of the snapshot
+     */
+    static async load(source, options={}){
+        return this.restore(await readSnapshot(source), options);
+    }
+
+    /**
+     * @returns String containing basic information about this cache
+     */
+    toString(){
+        return this.constructor.name + "{entries=" + this.getCount() + "; capacity=" + this.getUsedCapacity() + "/" + this.getMaxCapacity() +
+        "; policy=" + this.#policy.constructor.name + "}";
+    }
+
+
+    /**
+     * Evicts entries in the order given by the policy until an entry of the given weight fits into the cache
+     * @param {Number} weight Weight of the entry that should fit into the cache
+     * @param {int} now Current timestamp in milliseconds
+     * @param {Array} evicted Array the evicted entries get added to (as objects with key, value, size and reason) or null
+     * @param {Set} protect Keys that must not be evicted or null
+     * @param {Number} credit Weight of protected entries that get replaced and therefore count as free capacity
+     * @returns True if there is enough free capacity for the entry
+     */
+    #makeRoom(weight, now, evicted=null, protect=null, credit=0){
+        const max = this.#capacity.getMax() + credit;
+        if(max - this.#used >= weight) return true;
+        for(let entry of this.#policy.victims()){
+            if(this.#entries.get(entry.key) !== entry || (protect && protect.has(entry.key))) continue;
+            let reason = EvictReason.CAPACITY;
+            if(isExpired(entry, now)){
+                reason = EvictReason.EXPIRED;
+                if(entry.onEvict) entry.onEvict(entry.key, this.#decoded(entry), reason);
+            } else if(entry.onEvict && entry.onEvict(entry.key, this.#decoded(entry), reason) === false){
+                this.#stats.vetoedEvictions++;
+                continue;
+            }
+            if(this.#entries.get(entry.key) === entry){
+                this.#delete(entry, reason);
+                if(evicted) evicted.push({key: entry.key, value: this.#decoded(entry), size: entry.weight, reason: reason});
+            }
+
+            // stop before policy advances to the next victim
+            if(max - this.#used >= weight) break;
+        }
+        return max - this.#used >= weight;
+    }
+
+    /**
+     * Stores a new entry whose weight already fits into the cache
+     * @param {*} key Key that is not stored in the cache
+     * @param {*} value Value of the entry
+     * @param {Number} weight Weight of the entry as measured by the capacity strategy
+     * @param {Object} options Options passed to {@code put()}
+     * @param {int} now Current timestamp in milliseconds
+     * @param {Object} codec Codec the value has been encoded with (null if stored as it is)
+     */
+    #insert(key, value, weight, options, now, codec=null){
+        const expires = computeExpiry(options.ttl !== undefined ? options.ttl : this.#defaultTTL, now);
+        const stale = parseInt(options.staleWhileRevalidate !== undefined ? options.staleWhileRevalidate : this.#defaultStale);
+        let entry = {
+            key: key,
+            value: value,
+            weight: weight,
+            stale: expires > 0 && stale > 0 ? expires : 0,
+            expires: expires > 0 && stale > 0 ? expires + stale : expires,
+            options: options,
+            onEvict: options.onEvict,
+            tags: options.tags ? [].concat(options.tags) : null,
+            codec: codec
+        };
+        this.#used += weight;
+        this.#entries.set(key, entry);
+        this.#index(entry);
+        this.#policy.add(entry);
+        this.#stats.puts++;
+        this.#emit("set", entry);
+    }
+
+    /**
+     * Returns a value and starts a refresh if it is stale
+     * @param {*} key Key of the value that should be returned
+     * @param {Function} loader Function used to refresh a stale entry (none if null)
+     * @param {Object} options Options passed to {@code put()} when storing the refreshed value
+     * @returns Value if found or undefined if not found
+     */
+    #get(key, loader, options){
+        let entry = this.#entries.get(key);
+        if(!entry){
+            this.#stats.misses++;
+            if(this.listenerCount("miss") > 0) this.emit("miss", {key: key});
+            return undefined;
+        }
+        const now = this.#clock();
+        this.#policy.tick(now);
+        if(isExpired(entry, now)){
+            this.#stats.misses++;
+            this.#delete(entry, EvictReason.EXPIRED);
+            if(entry.onEvict) entry.onEvict(key, this.#decoded(entry), EvictReason.EXPIRED);
+            if(this.listenerCount("miss") > 0) this.emit("miss", {key: key});
+            return undefined;
+        }
+        this.#stats.hits++;
+        this.#policy.access(entry);
+        this.#emit("hit", entry);
+        if(loader && entry.stale > 0 && entry.stale <= now && !this.#loading.has(key)){
+            // refreshed value gets weighed again and keeps timing and callback of the stale entry
+            let refreshOptions = Object.assign({}, entry.options, {size: undefined, weight: undefined}, options, {negativeTtl: undefined, onEvict: entry.onEvict});
+            this.#load(key, loader, refreshOptions).promise.catch((error) => {
+                if(options.onError) options.onError(key, error);
+            });
+        }
+        return this.#decoded(entry, true);
+    }
+
+    /**
+     * Calls a loader and puts its result into the cache
+     * @param {*} key Key of the value that should be loaded
+     * @param {Function} loader Function that gets called with the key and returns the value or a promise of it
+     * @param {Object} options Options passed to {@code put()} when storing the loaded value
+     * @returns Object holding the promise of the loaded value that is shared by concurrent callers
+     */
+    #load(key, loader, options){
+        let load = {promise: null, superseded: false};
+        load.promise = Promise.resolve().then(() => loader(key)).then((value) => {
+            if(this.#loading.get(key) === load) this.#loading.delete(key);
+            if(!load.superseded && value !== undefined) this.put(key, value, options);
+            return value;
+        }, (error) => {
+            if(this.#loading.get(key) === load) this.#loading.delete(key);
+            if(!load.superseded && options.negativeTtl > 0) this.#failures.set(key, {error: error, expires: this.#clock() + parseInt(options.negativeTtl)});
+            throw error;
+        });
+        this.#loading.set(key, load);
+        return load;
+    }
+
+    /**
+     * Adds the entries of a snapshot to this cache
+     * @param {Object} header Header of the snapshot
+     * @param {Array} entries Entries of the snapshot in the order they were returned by the policy
+     * @param {bool} applySettings If capacity, default time-to-live and policy settings of the snapshot should be applied
+     */
+    #import(header, entries, applySettings){
+        const samePolicy = header.policy === this.#policy.constructor.name;
+        if(applySettings){
+            this.#capacity.setMax(header.maxCapacity);
+            this.setDefaultTTL(header.defaultTTL);
+            this.setDefaultStaleWhileRevalidate(header.defaultStaleWhileRevalidate);
+            if(samePolicy) this.#policy.importState(header.policyState);
+        }
+
+        // weigh entries and skip the ones that would be evicted first if not all fit
+        const now = this.#clock();
+        const sameCapacity = header.capacity === this.#capacity.constructor.name;
+        let restored = [];
+        for(let item of entries){
+            if(isExpired(item.meta, now) || this.#entries.has(item.key)) continue;
+            try {
+                const weight = this.#capacity.weigh(item.key, item.value, sameCapacity ? {size: item.meta.weight, weight: item.meta.weight} : {});
+                Object.assign(item, this.#encode(item.key, item.value, weight));
+                restored.push(item);
+            } catch(err){
+                // value cannot be weighed by this capacity strategy
+            }
+        }
+        let start = restored.length, free = this.#capacity.getMax() - this.#used;
+        while(start > 0 && restored[start - 1].weight <= free) free -= restored[--start].weight;
+
+        for(let i=start; i < restored.length; i++){
+            const item = restored[i];
+            let options = {};
+            if(item.meta.ttl !== undefined) options.ttl = item.meta.ttl;
+            if(item.meta.staleWhileRevalidate !== undefined) options.staleWhileRevalidate = item.meta.staleWhileRevalidate;
+            if(item.meta.tags) options.tags = item.meta.tags;
+            let entry = {
+                key: item.key,
+                value: item.value,
+                weight: item.weight,
+                stale: item.meta.stale || 0,
+                expires: item.meta.expires || 0,
+                options: options,
+                onEvict: undefined,
+                tags: item.meta.tags || null,
+                codec: item.codec
+            };
+            this.#used += entry.weight;
+            this.#entries.set(entry.key, entry);
+            this.#index(entry);
+            if(samePolicy) this.#policy.importEntry(entry, item.meta.policy); else this.#policy.add(entry);
+        }
+    }
+
+    /**
+     * Encodes a value with the codec of this cache
+     * @param {*} key Key of the value
+     * @param {*} value Value that should be stored
+     * @param {Number} weight Weight of the value as measured by the capacity strategy
+     * @returns Object containing the {@code value} and {@code weight} that should be stored and
+     * the {@code codec} the value has been encoded with (null if it gets stored as it is)
+     */
+    #encode(key, value, weight){
+        const encoded = this.#codec ? this.#codec.encode(value, key, weight) : null;
+        if(!encoded) return {value: value, weight: weight, codec: null};
+        return {value: encoded.value, weight: this.#capacity instanceof SizeCapacity ? encoded.weight : weight, codec: this.#codec};
+    }
+
+    /**
+     * Tells the codec of a removed entry that it does not need to keep anything about the encoded value
+     * @param {Object} entry Entry that has been removed
+     */
+    #release(entry){
+        if(entry.codec && typeof entry.codec.release === 'function') entry.codec.release(entry.value, entry.key);
+    }
+
+    /**
+     * @param {Object} entry Entry of the cache
+     * @param {bool} access If the value is read by a lookup (codecs may keep such values decoded)
+     * @returns Value of the entry as it has been put
+     */
+    #decoded(entry, access=false){
+        return entry.codec ? entry.codec.decode(entry.value, entry.key, access) : entry.value;
+    }
+
+    /**
+     * Prevents a value that is currently being loaded from being put into the cache
+     * and forgets a cached rejection of the loader
+     * @param {*} key Key of the value
+     */
+    #supersedeLoad(key){
+        let load = this.#loading.get(key);
+        if(load){
+            load.superseded = true;
+            this.#loading.delete(key);
+        }
+        this.#failures.delete(key);
+    }
+
+    /**
+     * Adds an entry to the tag and prefix indexes
+     * @param {Object} entry Entry that has been stored in the cache
+     */
+    #index(entry){
+        if(entry.tags){
+            for(let tag of entry.tags){
+                let tagged = this.#tags.get(tag);
+                if(!tagged) this.#tags.set(tag, tagged = new Set());
+                tagged.add(entry);
+            }
+        }
+        if(typeof entry.key === 'string') this.#prefixes.add(entry.key);
+    }
+
+    /**
+     * Removes an entry from the cache and the policy
+     * @param {Object} entry Entry that is stored in the cache
+     * @param {String} reason {@link EvictReason} if entry gets evicted or undefined if it gets removed explicitly
+     */
+    #delete(entry, reason){
+        this.#entries.delete(entry.key);
+        this.#used -= entry.weight;
+        this.#policy.remove(entry, reason);
+        if(entry.tags){
+            for(let tag of entry.tags){
+                let tagged = this.#tags.get(tag);
+                if(!tagged) continue;
+                tagged.delete(entry);
+                if(tagged.size === 0) this.#tags.delete(tag);
+            }
+        }
+        if(typeof entry.key === 'string') this.#prefixes.delete(entry.key);
+        this.#release(entry);
+        if(reason === EvictReason.EXPIRED){
+            this.#stats.expirations++;
+            this.#emit("expire", entry, reason);
+        } else if(reason){
+            this.#stats.evictions++;
+            this.#emit("evict", entry, reason);
+        }
+    }
+
+    /**
+     * Emits an event about an entry if there are listeners for it
+     * @param {String} event Name of the event
+     * @param {Object} entry Entry the event is about
+     * @param {String} reason {@link EvictReason} if entry got evicted
+     */
+    #emit(event, entry, reason){
+        if(this.listenerCount(event) === 0) return;
+        let data = {key: entry.key, value: entry.value, size: entry.weight};
+        if(entry.codec){
+            // only decoded if a listener reads the value
+            Object.defineProperty(data, "value", {enumerable: true, configurable: true, get: () => this.#decoded(entry)});
+        }
+        if(reason){
+            data.reason = reason;
+            data.expires = entry.expires;
+        }
+        this.emit(event, data);
+    }
+}
+
+
+module.exports = {
+    Cache,
+    EvictReason,
+    RejectReason
+}
@@ -0,0 +1,206 @@
+const { estimateSize } = require('./sizeof.js');
+
+
+/**
+ * @param {*} max Maximum passed to a capacity strategy
+ * @returns Maximum as number
+ * @throws Error if maximum is not a non-negative number
+ */
+function validateMax(max){
+    const value = typeof max === 'string' && max.trim() !== '' ? Number(max) : max;
+    if(typeof value !== 'number' || !(value >= 0) || value === Infinity) throw new Error("Maximum capacity must be a non-negative number but is " + max);
+    return value;
+}
+
+
+/**
+ * Capacity strategy limiting the amount of entries a cache can hold.
+ * Each entry weighs one.
+ * @author LupCode.com
+ */
+class CountCapacity {
+    #max;
+
+    /**
+     * @param {int} maxCount Maximum amount of key-value pairs that can be hold
+     */
+    constructor(maxCount){
+        this.#max = Math.floor(validateMax(maxCount));
+    }
+
+    /**
+     * @returns Maximum amount of key-value pairs that can be hold
+     */
+    getMax(){
+        return this.#max;
+    }
+
+    /**
+     * Sets the maximum amount of entries the cache can hold
+     * @param {int} maxCount Maximum amount of key-value pairs
+     * @throws Error if maxCount is not a non-negative number
+     */
+    setMax(maxCount){
+        this.#max = Math.floor(validateMax(maxCount));
+    }
+
+    /**
+     * @returns Always one
+     */
+    weigh(key, value, options){
+        return 1;
+    }
+}
+
+
+
+
+/**
+ * Capacity strategy limiting the total byte size of all values a cache can hold.
+ * Sizes of values that are neither {@type String} nor {@type Buffer} get estimated
+ * (see {@link estimateSize}) unless a size calculator is set.
+ * @author LupCode.com
+ */
+class SizeCapacity {
+    #max;
+    #sizeCalculator;
+    #countKeys;
+    #entryOverhead;
+    #estimateOptions;
+
+    /**
+     * @param {int} maxBytes Maximum total byte size of all values
+     * @param {Object} options Additional options that can be set:
+     *  - sizeCalculator:   Function    Function that gets called with value and key and returns the byte size of the value
+     *  - countKeys:        bool        If the byte size of keys should be counted as well (default false)
+     *  - entryOverhead:    int         Bytes that get counted additionally for each entry (default 0)
+     *  - maxDepth:         int         Maximum depth of nested values the size estimation walks
+     *  - overhead:         Object      Overrides parts of the {@link DEFAULT_OVERHEAD} model of the size estimation
+     */
+    constructor(maxBytes, options={}){
+        this.#max = Math.floor(validateMax(maxBytes));
+        this.#sizeCalculator = options.sizeCalculator || null;
+        this.#countKeys = !!options.countKeys;
+        this.#entryOverhead = parseInt(options.entryOverhead) || 0;
+        this.#estimateOptions = {maxDepth: options.maxDepth, overhead: options.overhead};
+    }
+
+    /**
+     * @returns Maximum total byte size of all values
+     */
+    getMax(){
+        return this.#max;
+    }
+
+    /**
+     * Sets the maximum total byte size of all values
+     * @param {int} maxBytes Maximum total byte size
+     * @throws Error if maxBytes is not a non-negative number
+     */
+    setMax(maxBytes){
+        this.#max = Math.floor(validateMax(maxBytes));
+    }
+
+    /**
+     * @returns Function that computes the byte size of values or null if sizes get estimated
+     */
+    getSizeCalculator(){
+        return this.#sizeCalculator;
+    }
+
+    /**
+     * Sets the function that computes the byte size of values.
+     * Does not affect entries that are already stored.
+     * @param {Function} sizeCalculator Function that gets called with value and key and returns the byte size (null to estimate sizes)
+     */
+    setSizeCalculator(sizeCalculator){
+        this.#sizeCalculator = sizeCalculator || null;
+    }
+
+    /**
+     * Computes the byte size of a value the way {@code weigh()} does if no size is given (without key and entry overhead)
+     * @param {*} value Value whose byte size should be computed
+     * @param {*} key Key of the value (passed to the size calculator)
+     * @returns Byte size of the value
+     */
+    sizeOf(value, key){
+        if(typeof value === 'string' || value instanceof String || value instanceof Buffer) return Buffer.byteLength(value);
+        if(this.#sizeCalculator) return this.#sizeCalculator(value, key);
+        return estimateSize(value, this.#estimateOptions);
+    }
+
+    /**
+     * @param {*} key Key of the entry
+     * @param {*} value Value of the entry
+     * @param {Object} options Options passed to {@code put()} where {@code size} defines the byte size of the value
+     * and {@code weight} the total byte size of the entry including key and entry overhead (e.g. when restoring entries)
+     * @returns Byte size of the entry
+     * @throws Error if the size calculator does not return a non-negative number
+     */
+    weigh(key, value, options){
+        if(options.weight !== undefined) return options.weight;
+        const size = options.size !== undefined && options.size !== null ? options.size : this.sizeOf(value, key);
+        if(typeof size !== 'number' || !(size >= 0)) throw new Error("Byte size must be a non-negative number but is " + size);
+        if(this.#countKeys) size += typeof key === 'string' ? Buffer.byteLength(key) : estimateSize(key, this.#estimateOptions);
+        return size + this.#entryOverhead;
+    }
+}
+
+
+
+
+/**
+ * Capacity strategy limiting the total weight of all values a cache can hold
+ * where the weight of each entry is computed by a given function.
+ * @author LupCode.com
+ */
+class WeightedCapacity {
+    #max;
+    #weigher;
+
+    /**
+     * @param {Number} maxWeight Maximum total weight of all entries
+     * @param {Function} weigher Function that gets called with key and value and returns the weight of the entry
+     * (not called if {@code weight} option is passed to {@code put()})
+     */
+    constructor(maxWeight, weigher=function(k,v){ return 1; }){
+        this.#max = validateMax(maxWeight);
+        this.#weigher = weigher;
+    }
+
+    /**
+     * @returns Maximum total weight of all entries
+     */
+    getMax(){
+        return this.#max;
+    }
+
+    /**
+     * Sets the maximum total weight of all entries
+     * @param {Number} maxWeight Maximum total weight
+     * @throws Error if maxWeight is not a non-negative number
+     */
+    setMax(maxWeight){
+        this.#max = validateMax(maxWeight);
+    }
+
+    /**
+     * @param {*} key Key of the entry
+     * @param {*} value Value of the entry
+     * @param {Object} options Options passed to {@code put()} where {@code weight} overrides the weigher function
+     * @returns Weight of the entry
+     * @throws Error if weight is not a non-negative number
+     */
+    weigh(key, value, options){
+        let weight = options.weight !== undefined ? options.weight : this.#weigher(key, value);
+        if(typeof weight !== 'number' || !(weight >= 0)) throw new Error("Weight must be a non-negative number but is " + weight);
+        return weight;
+    }
+}
+
+
+module.exports = {
+    CountCapacity,
+    SizeCapacity,
+    WeightedCapacity
+}
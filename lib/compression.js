@@ -0,0 +1,246 @@
+const zlib = require('zlib');
+
+
+/**
+ * Algorithms a {@link CompressionCodec} can compress values with
+ */
+const CompressionAlgorithm = Object.freeze({
+    BROTLI: "brotli",
+    GZIP: "gzip",
+    DEFLATE: "deflate"
+});
+
+const ALGORITHMS = {
+    "brotli": {
+        compress: function(data, level){ return zlib.brotliCompressSync(data, {params: {[zlib.constants.BROTLI_PARAM_QUALITY]: level, [zlib.constants.BROTLI_PARAM_SIZE_HINT]: data.length}}); },
+        decompress: function(data){ return zlib.brotliDecompressSync(data); },
+        levels: [zlib.constants.BROTLI_MIN_QUALITY, zlib.constants.BROTLI_MAX_QUALITY],
+        defaultLevel: 4 // default quality of brotli (11) is too slow for caching
+    },
+    "gzip": {
+        compress: function(data, level){ return zlib.gzipSync(data, {level: level}); },
+        decompress: function(data){ return zlib.gunzipSync(data); },
+        levels: [zlib.constants.Z_NO_COMPRESSION, zlib.constants.Z_BEST_COMPRESSION],
+        defaultLevel: zlib.constants.Z_DEFAULT_COMPRESSION
+    },
+    "deflate": {
+        compress: function(data, level){ return zlib.deflateSync(data, {level: level}); },
+        decompress: function(data){ return zlib.inflateSync(data); },
+        levels: [zlib.constants.Z_NO_COMPRESSION, zlib.constants.Z_BEST_COMPRESSION],
+        defaultLevel: zlib.constants.Z_DEFAULT_COMPRESSION
+    }
+};
+
+
+/**
+ * Value stored by a cache in place of a compressed value
+ */
+class Compressed {
+    /**
+     * @param {Buffer} data Compressed bytes
+     * @param {bool} string If the original value is a string (otherwise a Buffer)
+     */
+    constructor(data, string){
+        this.data = data;
+        this.string = string;
+    }
+}
+
+
+
+
+/**
+ * Codec that transparently compresses {@type String} and {@type Buffer} values with the built-in {@code zlib}
+ * before a cache stores them (see {@code setCodec()} of {@link Cache} or {@code enableCompression()} of {@link FixedSizeCache}).
+ * Values whose byte size is below the threshold, values of other types and values that do not get smaller stay uncompressed.
+ * The weight of a compressed entry is its weight minus the byte size of the value plus the compressed byte size,
+ * so only the compressed bytes count against the maximum size of the cache (caches that do not weigh bytes keep the weight).
+ * Values get decompressed on each lookup unless they are in the hot set that keeps the values
+ * read last decompressed (the hot set is not counted against the maximum size of the cache).
+ * Values of entries that get removed from a cache are dropped from the hot set.
+ * @author LupCode.com
+ */
+class CompressionCodec {
+    #algorithm;
+    #level;
+    #threshold;
+    #hotSetSize;
+    #hot = new Map(); // compressed value: decompressed value (in order of last access)
+    #stats;
+
+    /**
+     * Creates a new codec
+     * @param {Object} options Options that can be set:
+     *  - algorithm:    String  {@link CompressionAlgorithm} (default "brotli")
+     *  - level:        int     Compression level, quality for brotli (default 4 for brotli, zlib default otherwise)
+     *  - threshold:    int     Byte size from which on values get compressed (default 1024)
+     *  - hotSetSize:   int     Amount of values read last that are kept decompressed (default 0 disables the hot set)
+     * @throws Error if the algorithm is unknown or level is out of range
+     */
+    constructor(options={}){
+        this.#algorithm = options.algorithm !== undefined ? String(options.algorithm) : CompressionAlgorithm.BROTLI;
+        const algorithm = ALGORITHMS[this.#algorithm];
+        if(!algorithm) throw new Error("Unknown compression algorithm: " + options.algorithm);
+        this.#level = options.level !== undefined ? parseInt(options.level) : algorithm.defaultLevel;
+        if(this.#level !== algorithm.defaultLevel && !(this.#level >= algorithm.levels[0] && this.#level <= algorithm.levels[1]))
+            throw new Error("Level of " + this.#algorithm + " must be between " + algorithm.levels[0] + " and " + algorithm.levels[1] + " but is " + options.level);
+        this.#threshold = options.threshold !== undefined ? Math.max(0, parseInt(options.threshold) || 0) : 1024;
+        this.#hotSetSize = Math.max(0, parseInt(options.hotSetSize) || 0);
+        this.resetStats();
+    }
+
+    /**
+     * @returns {@link CompressionAlgorithm} used by this codec
+     */
+    getAlgorithm(){
+        return this.#algorithm;
+    }
+
+    /**
+     * @returns Compression level used by this codec
+     */
+    getLevel(){
+        return this.#level;
+    }
+
+    /**
+     * @returns Byte size from which on values get compressed
+     */
+    getThreshold(){
+        return this.#threshold;
+    }
+
+    /**
+     * @returns Amount of values that are kept decompressed
+     */
+    getHotSetSize(){
+        return this.#hotSetSize;
+    }
+
+    /**
+     * Sets how many of the values read last are kept decompressed
+     * @param {int} hotSetSize Amount of values (zero disables the hot set)
+     */
+    setHotSetSize(hotSetSize){
+        this.#hotSetSize = Math.max(0, parseInt(hotSetSize) || 0);
+        this.#trim();
+    }
+
+    /**
+     * Compresses a value if it is worth it
+     * @param {*} value Value that should be stored
+     * @param {*} key Key of the value
+     * @param {Number} weight Weight of the value as measured by the capacity strategy of the cache
+     * @returns Object containing the compressed {@code value} and its {@code weight} or null if the value should be stored as it is
+     */
+    encode(value, key, weight){
+        const string = typeof value === 'string';
+        if(!string && !Buffer.isBuffer(value)) return null;
+        const size = string ? Buffer.byteLength(value) : value.length;
+        if(size < this.#threshold || size === 0) return null;
+        const data = ALGORITHMS[this.#algorithm].compress(string ? Buffer.from(value) : value, this.#level);
+        if(data.length >= size){
+            this.#stats.skipped++;
+            return null;
+        }
+        this.#stats.compressed++;
+        this.#stats.bytesIn += size;
+        this.#stats.bytesOut += data.length;
+        return {value: new Compressed(data, string), weight: Math.max(data.length, weight - size + data.length)};
+    }
+
+    /**
+     * Decompresses a value
+     * @param {*} value Value returned by {@code encode()}
+     * @param {*} key Key of the value
+     * @param {bool} access If the value is read by a lookup and therefore becomes part of the hot set
+     * @returns Value as it has been passed to {@code encode()}
+     */
+    decode(value, key, access=false){
+        if(!(value instanceof Compressed)) return value;
+        let decoded = this.#hot.get(value);
+        if(decoded !== undefined){
+            this.#stats.hotHits++;
+            if(access){
+                this.#hot.delete(value);
+                this.#hot.set(value, decoded);
+            }
+            return decoded;
+        }
+        decoded = ALGORITHMS[this.#algorithm].decompress(value.data);
+        if(value.string) decoded = decoded.toString();
+        this.#stats.decompressions++;
+        if(access && this.#hotSetSize > 0){
+            this.#hot.set(value, decoded);
+            this.#trim();
+        }
+        return decoded;
+    }
+
+    /**
+     * Drops a value from the hot set because its entry has been removed from the cache
+     * @param {*} value Value returned by {@code encode()}
+     * @param {*} key Key of the value
+     */
+    release(value, key){
+        if(value instanceof Compressed) this.#hot.delete(value);
+    }
+
+    /**
+     * @returns Object containing statistics since creation or the last reset:
+     *  - compressed:       Amount of values that have been compressed
+     *  - skipped:          Amount of values above the threshold that did not get smaller
+     *  - bytesIn:          Total byte size of the compressed values before compression
+     *  - bytesOut:         Total byte size of the compressed values after compression
+     *  - ratio:            Compression ratio achieved ({@code bytesIn / bytesOut}, zero if nothing has been compressed)
+     *  - savedBytes:       Bytes saved by compression ({@code bytesIn - bytesOut})
+     *  - decompressions:   Amount of values that have been decompressed
+     *  - hotHits:          Amount of values that have been read from the hot set instead of being decompressed
+     *  - hotCount:         Amount of values currently in the hot set
+     */
+    getStats(){
+        const stats = this.#stats;
+        return Object.assign({}, stats, {
+            ratio: stats.bytesOut > 0 ? stats.bytesIn / stats.bytesOut : 0,
+            savedBytes: stats.bytesIn - stats.bytesOut,
+            hotCount: this.#hot.size
+        });
+    }
+
+    /**
+     * Resets the statistics to zero
+     */
+    resetStats(){
+        this.#stats = {compressed: 0, skipped: 0, bytesIn: 0, bytesOut: 0, decompressions: 0, hotHits: 0};
+    }
+
+    /**
+     * Removes all values from the hot set
+     */
+    clearHotSet(){
+        this.#hot.clear();
+    }
+
+    /**
+     * @returns String containing basic information about this codec
+     */
+    toString(){
+        const stats = this.getStats();
+        return this.constructor.name + "{algorithm=" + this.#algorithm + "; level=" + this.#level + "; threshold=" + this.#threshold +
+            "; ratio=" + stats.ratio.toFixed(2) + "; hot=" + this.#hot.size + "/" + this.#hotSetSize + "}";
+    }
+
+
+    /**
+     * Removes the values read least recently from the hot set until it fits
+     */
+    #trim(){
+        while(this.#hot.size > this.#hotSetSize) this.#hot.delete(this.#hot.keys().next().value);
+    }
+}
+
+
+module.exports = {
+    CompressionCodec,
+    CompressionAlgorithm
+}
@@ -0,0 +1,422 @@
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const { JSONSerializer } = require('./snapshot.js');
+
+
+/** First bytes of every entry file */
+const MAGIC = Buffer.from("LUPD");
+
+/** Version of the entry file format */
+const FILE_VERSION = 1;
+
+/** Extension of entry files */
+const EXTENSION = ".entry";
+
+/** Types of values stored in entry files */
+const ValueType = Object.freeze({
+    STRING: 0,
+    BUFFER: 1,
+    SERIALIZED: 2
+});
+
+
+
+
+/**
+ * Cache storing each key-value pair as a file in a local directory such that
+ * the total byte size of all files will not exceed given limit.
+ * Uses the LRU algortihm (least recently used) to evict entries if cache is full.
+ * Files are written to a temporary file first and then renamed so partially written files
+ * are never read. Corrupt files are detected by a checksum and treated as not found.
+ * {@code init()} must be called (and awaited) before the cache gets used.
+ * @author LupCode.com
+ */
+class DiskCache {
+    #directory;
+    #maxSize;
+    #serializer;
+    #clock = Date.now;
+    #size = 0;
+    #sequence = 0;
+    #index = new Map(); // key in LRU order: {file: String, size: int, weight: Number, expires: int, pending: {value: Object}}
+    #writes = new Set(); // promises of running writes
+
+    /**
+     * Creates a new cache with a fixed storing capacity
+     * @param {String} directory Directory the entries get stored in (gets created if it does not exist)
+     * @param {Number} maxSizeMB Limit how many mega bytes the files of the cache can occupy
+     * @param {Object} options Additional options that can be set:
+     *  - serializer:   Object  Object with {@code serialize(value)} returning a {@type String} or {@type Buffer}
+     *                          and {@code deserialize(buffer)} returning the value for values that are neither
+     *                          {@type String} nor {@type Buffer} (default uses JSON)
+     *  - clock:        Function    Function returning the current timestamp in milliseconds (default {@code Date.now})
+     */
+    constructor(directory, maxSizeMB, options={}){
+        if(!directory) throw new Error("Directory must be provided");
+        this.#directory = path.resolve(String(directory));
+        this.#maxSize = Math.floor(maxSizeMB * 1024 * 1024);
+        this.#serializer = options.serializer || JSONSerializer;
+        if(options.clock) this.setClock(options.clock);
+    }
+
+    /**
+     * Creates the directory and indexes the files that already exist in it.
+     * Files that are corrupt, expired or do not fit into the size limit get deleted.
+     * @returns Promise that resolves once the cache is ready to use
+     */
+    async init(){
+        await fs.promises.mkdir(this.#directory, {recursive: true});
+        const now = this.#clock();
+        let found = [];
+        for(let name of await fs.promises.readdir(this.#directory)){
+            const file = path.join(this.#directory, name);
+            if(name.endsWith(".tmp")){
+                await unlink(file);
+                continue;
+            }
+            if(!name.endsWith(EXTENSION)) continue;
+            let header = await readHeader(file);
+            if(!header || (header.expires > 0 && header.expires <= now)){
+                await unlink(file);
+                continue;
+            }
+            found.push(header);
+        }
+
+        // most recently written files are the most recently used ones
+        found.sort(function(a, b){ return a.mtime - b.mtime; });
+        for(let header of found){
+            let old = this.#index.get(header.key);
+            if(old) this.#drop(header.key, old);
+            this.#index.set(header.key, {file: header.file, size: header.size, weight: header.weight, expires: header.expires, pending: null});
+            this.#size += header.size;
+        }
+        this.#evict(0);
+    }
+
+    /**
+     * @returns Function returning the current timestamp in milliseconds
+     */
+    getClock(){
+        return this.#clock;
+    }
+
+    /**
+     * Sets the clock the expiry of entries is computed with
+     * @param {Function} clock Function returning the current timestamp in milliseconds (e.g. a fake clock in tests)
+     * @throws Error if clock is not a function
+     */
+    setClock(clock){
+        if(typeof clock !== 'function') throw new Error("Clock must be a function");
+        this.#clock = clock;
+    }
+
+    /**
+     * @returns Directory the entries are stored in
+     */
+    getDirectory(){
+        return this.#directory;
+    }
+
+    /**
+     * @returns Amount of key-value pairs stored in cache
+     */
+    getCount(){
+        return this.#index.size;
+    }
+
+    /**
+     * @returns Total size of stored files in mega bytes
+     */
+    getSizeInMB(){
+        return this.#size / 1024 / 1024;
+    }
+
+    /**
+     * @returns Maximum total size of stored files in mega bytes
+     */
+    getMaxSizeMB(){
+        return this.#maxSize / 1024 / 1024;
+    }
+
+    /**
+     * Sets the maximum size the total byte size of all files is not allowed to exceed
+     * and evicts entries if the cache is larger
+     * @param {Number} maxSizeMB Maximum byte size of all files in mega byte
+     */
+    setMaxSizeMB(maxSizeMB){
+        this.#maxSize = parseInt(maxSizeMB * 1024 * 1024);
+        this.#evict(0);
+    }
+
+    /**
+     * @param {String} key Key of the entry
+     * @returns True if an entry for the key is stored (it might still turn out to be corrupt when read)
+     */
+    has(key){
+        let item = this.#index.get(key);
+        return !!item && !(item.expires > 0 && item.expires <= this.#clock());
+    }
+
+    /**
+     * Puts a key-value pair into cache. The file gets written in the background,
+     * the value can already be read while it is written.
+     * @param {String} key Unique key to reference value in cache
+     * @param {*} value Value that should be put into cache
+     * @param {Object} options Additional options that can be set:
+     *  - ttl:      int     Time-to-live in milliseconds after which entry expires (zero means no expiry)
+     *  - expires:  int     Timestamp in milliseconds at which the entry expires (alternative to {@code ttl})
+     *  - weight:   Number  Weight the entry had in a memory cache, returned by {@code getEntry()}
+     * @returns True if the entry will be stored or false if it is too big (a previous value of the key is kept then)
+     */
+    put(key, value, options={}){
+        if(!key || (typeof key !== 'string' && !(key instanceof String))) throw new Error("Key must be defined and of type String");
+        const expires = options.expires > 0 ? options.expires : (parseInt(options.ttl) > 0 ? this.#clock() + parseInt(options.ttl) : 0);
+        const data = this.#encode(key, value, expires, options.weight);
+        if(data.length > this.#maxSize) return false;
+        let old = this.#index.get(key);
+        if(old) this.#drop(key, old);
+        this.#evict(data.length);
+
+        const file = path.join(this.#directory, crypto.createHash('sha1').update(key).digest('hex') + "-" +
+            Date.now().toString(36) + (this.#sequence++).toString(36) + EXTENSION);
+        let item = {file: file, size: data.length, weight: options.weight, expires: expires, pending: {value: value}};
+        this.#index.set(key, item);
+        this.#size += data.length;
+
+        const tmp = file + ".tmp";
+        const write = fs.promises.writeFile(tmp, data).then(() => fs.promises.rename(tmp, file)).then(() => {
+            item.pending = null;
+            // entry might have been removed while it was written
+            if(this.#index.get(key) !== item) return unlink(file);
+        }, (err) => {
+            if(this.#index.get(key) === item) this.#drop(key, item);
+            return unlink(tmp);
+        }).finally(() => {
+            this.#writes.delete(write);
+        });
+        this.#writes.add(write);
+        return true;
+    }
+
+    /**
+     * Returns a value from the cache by its key
+     * @param {String} key Key of the value that should be returned
+     * @returns Promise resolving to the value or undefined if not found, expired or corrupt
+     */
+    async get(key){
+        let entry = await this.getEntry(key);
+        return entry ? entry.value : undefined;
+    }
+
+    /**
+     * Returns a value from the cache together with the information stored alongside it
+     * @param {String} key Key of the value that should be returned
+     * @returns Promise resolving to an object containing {@code value}, {@code weight} and {@code expires}
+     * or undefined if not found, expired or corrupt
+     */
+    async getEntry(key){
+        let item = this.#index.get(key);
+        if(!item) return undefined;
+        if(item.expires > 0 && item.expires <= this.#clock()){
+            this.#drop(key, item);
+            return undefined;
+        }
+        this.#index.delete(key);
+        this.#index.set(key, item);
+        if(item.pending) return {value: item.pending.value, weight: item.weight, expires: item.expires};
+
+        let data;
+        try {
+            data = await fs.promises.readFile(item.file);
+        } catch(err){
+            data = null;
+        }
+        if(this.#index.get(key) !== item) return undefined;
+        let entry = data ? this.#decode(key, data) : undefined;
+        if(!entry){
+            this.#drop(key, item);
+            return undefined;
+        }
+        return entry;
+    }
+
+    /**
+     * Removes a key-value pair from the cache
+     * @param {String} key Key of the value that should be removed
+     * @returns True if an entry has been removed
+     */
+    remove(key){
+        let item = this.#index.get(key);
+        if(!item) return false;
+        this.#drop(key, item);
+        return true;
+    }
+
+    /**
+     * Removes all entries from the cache
+     */
+    clear(){
+        for(let [key, item] of this.#index) this.#drop(key, item);
+    }
+
+    /**
+     * @returns Promise that resolves once all files that are currently being written have been written
+     */
+    async flush(){
+        while(this.#writes.size > 0) await Promise.all(Array.from(this.#writes));
+    }
+
+    /**
+     * @returns String containing basic information about this cache
+     */
+    toString(){
+        return this.constructor.name + "{size=" + Number(this.getSizeInMB()).toFixed(2) + "/" + Number(this.getMaxSizeMB()).toFixed(2) +
+        "MB; entries=" + this.getCount() + "; directory=" + this.#directory + "}";
+    }
+
+
+    /**
+     * Removes least recently used entries until the given amount of bytes fits into the cache
+     * @param {int} size Amount of bytes that should fit
+     */
+    #evict(size){
+        for(let [key, item] of this.#index){
+            if(this.#maxSize - this.#size >= size) break;
+            this.#drop(key, item);
+        }
+    }
+
+    /**
+     * Removes an entry from the index and deletes its file in the background
+     * @param {String} key Key of the entry
+     * @param {Object} item Index item of the entry
+     */
+    #drop(key, item){
+        if(this.#index.get(key) === item) this.#index.delete(key);
+        this.#size -= item.size;
+        if(!item.pending) unlink(item.file);
+    }
+
+    /**
+     * Encodes an entry file: "LUPD", version (8-bit), value type (8-bit), meta length (32-bit), meta as JSON, value bytes
+     * @returns Buffer containing the file contents
+     */
+    #encode(key, value, expires, weight){
+        let type, bytes;
+        if(typeof value === 'string' || value instanceof String){
+            type = ValueType.STRING;
+            bytes = Buffer.from(String(value), 'utf8');
+        } else if(Buffer.isBuffer(value)){
+            type = ValueType.BUFFER;
+            bytes = value;
+        } else {
+            type = ValueType.SERIALIZED;
+            bytes = this.#serializer.serialize(value);
+            if(!Buffer.isBuffer(bytes)) bytes = Buffer.from(String(bytes), 'utf8');
+        }
+        const meta = Buffer.from(JSON.stringify({
+            key: String(key),
+            expires: expires,
+            weight: weight,
+            length: bytes.length,
+            checksum: checksum(bytes)
+        }));
+        let head = Buffer.alloc(10);
+        MAGIC.copy(head, 0);
+        head[4] = FILE_VERSION;
+        head[5] = type;
+        head.writeUInt32BE(meta.length, 6);
+        return Buffer.concat([head, meta, bytes]);
+    }
+
+    /**
+     * Decodes and verifies an entry file
+     * @returns Object containing {@code value}, {@code weight} and {@code expires} or undefined if file is corrupt
+     */
+    #decode(key, data){
+        try {
+            let header = parseHeader(data);
+            if(!header || header.key !== String(key) || data.length !== header.size) return undefined;
+            const bytes = data.subarray(data.length - header.length);
+            if(checksum(bytes) !== header.checksum) return undefined;
+            let value;
+            if(header.type === ValueType.STRING) value = bytes.toString('utf8');
+            else if(header.type === ValueType.BUFFER) value = Buffer.from(bytes);
+            else value = this.#serializer.deserialize(bytes);
+            return {value: value, weight: header.weight, expires: header.expires};
+        } catch(err){
+            return undefined;
+        }
+    }
+}
+
+
+/**
+ * Parses the header of an entry file
+ * @param {Buffer} data Beginning of an entry file (at least the complete header)
+ * @returns Object containing the meta data, {@code type} and the expected {@code size} of the file or undefined if invalid
+ */
+function parseHeader(data){
+    if(data.length < 10 || !data.subarray(0, 4).equals(MAGIC) || data[4] !== FILE_VERSION) return undefined;
+    const metaLength = data.readUInt32BE(6);
+    if(data.length < 10 + metaLength) return undefined;
+    let header = JSON.parse(data.subarray(10, 10 + metaLength).toString('utf8'));
+    if(typeof header.key !== 'string' || !(header.length >= 0)) return undefined;
+    header.type = data[5];
+    header.size = 10 + metaLength + header.length;
+    return header;
+}
+
+/**
+ * Reads the header of an entry file without reading its value
+ * @param {String} file Path of the entry file
+ * @returns Promise resolving to the header including {@code file} and {@code mtime} or undefined if the file is invalid
+ */
+async function readHeader(file){
+    let handle;
+    try {
+        handle = await fs.promises.open(file, 'r');
+        const stat = await handle.stat();
+        let head = Buffer.alloc(10);
+        if((await handle.read(head, 0, 10, 0)).bytesRead < 10) return undefined;
+        if(!head.subarray(0, 4).equals(MAGIC)) return undefined;
+        const metaLength = head.readUInt32BE(6);
+        if(10 + metaLength > stat.size) return undefined;
+        let data = Buffer.alloc(10 + metaLength);
+        head.copy(data, 0);
+        await handle.read(data, 10, metaLength, 10);
+        let header = parseHeader(data);
+        if(!header || header.size !== stat.size) return undefined;
+        header.file = file;
+        header.mtime = stat.mtimeMs;
+        return header;
+    } catch(err){
+        return undefined;
+    } finally {
+        if(handle) await handle.close();
+    }
+}
+
+/**
+ * @param {Buffer} bytes Bytes whose checksum should be computed
+ * @returns Hex encoded checksum
+ */
+function checksum(bytes){
+    return crypto.createHash('sha1').update(bytes).digest('hex');
+}
+
+/**
+ * Deletes a file ignoring errors (e.g. if it does not exist)
+ * @param {String} file Path of the file
+ * @returns Promise that resolves once the file has been deleted
+ */
+function unlink(file){
+    return fs.promises.unlink(file).catch(function(){});
+}
+
+
+module.exports = {
+    DiskCache
+}
@@ -0,0 +1,245 @@
+const { Cache } = require('./cache.js');
+const { CountCapacity, SizeCapacity } = require('./capacity.js');
+const { CompressionCodec } = require('./compression.js');
+
+
+/**
+ * Fixed size cache storing key-value pairs such that total
+ * byte size of stored values will not exceed given limit.
+ * Base class of the {@code FixedSize*} caches that only differ in their eviction policy.
+ * @author LupCode.com
+ */
+class FixedSizeCache extends Cache {
+    #autoShrink = null;
+
+    /**
+     * Creates a new cache with a fixed storing capacity
+     * @param {Number} maxSizeMB Limit how many mega bytes cache can store
+     * @param {EvictionPolicy} policy Policy that decides which entries get evicted if cache is full
+     * @param {int} defaultTTL Time-to-live in milliseconds for entries that do not specify one on {@code put()} (zero or negative means no expiry)
+     * @param {Object} sizeOptions Options that define how sizes get computed (see {@link SizeCapacity}), additionally:
+     *  - compression:  bool|Object     True or options of {@link CompressionCodec} to enable compression (see {@code enableCompression()})
+     */
+    constructor(maxSizeMB, policy, defaultTTL=0, sizeOptions={}){
+        super({capacity: new SizeCapacity(maxSizeMB * 1024 * 1024, sizeOptions), policy: policy, ttl: defaultTTL});
+        if(sizeOptions.compression) this.enableCompression(sizeOptions.compression === true ? {} : sizeOptions.compression);
+    }
+
+    /**
+     * @param {Object} header Header of a snapshot
+     * @returns Arguments that construct the cache with the maximum size of the snapshot
+     */
+    static argsFromSnapshot(header){
+        return [header.maxCapacity / 1024 / 1024];
+    }
+
+    /**
+     * @returns Total size of stored entries in mega bytes
+     */
+    getSizeInMB(){
+        return this.getUsedCapacity() / 1024 / 1024;
+    }
+
+    /**
+     * @returns Maximum total size of stored entries in mega bytes
+     */
+    getMaxSizeMB(){
+        return this.getMaxCapacity() / 1024 / 1024;
+    }
+
+    /**
+     * Sets the maximum size the total byte size of all values is not allowed to exceed
+     * and immediately evicts entries until the stored values fit (see {@code setMaxCapacity()})
+     * @param {Number} maxSizeMB Maximum byte size of all values in mega byte
+     * @returns Array of the evicted entries as objects containing {@code key}, {@code value}, {@code size} and {@code reason}
+     * @throws Error if maxSizeMB is not a non-negative number
+     */
+    setMaxSizeMB(maxSizeMB){
+        const value = typeof maxSizeMB === 'string' && maxSizeMB.trim() !== '' ? Number(maxSizeMB) : maxSizeMB;
+        if(typeof value !== 'number' || !(value >= 0) || value === Infinity) throw new Error("Maximum size must be a non-negative number of mega bytes but is " + maxSizeMB);
+        return this.setMaxCapacity(value * 1024 * 1024);
+    }
+
+    /**
+     * Periodically checks the memory usage of the process and shrinks the maximum size of this cache
+     * by the given ratio (evicting entries) while the usage is above the threshold.
+     * Once the usage drops below the threshold minus the ratio the maximum size grows back
+     * step by step up to the maximum size the cache had when calling this method.
+     * The timer does not keep the process alive.
+     * @param {Object} options Options that define when to shrink:
+     *  - thresholdMB:  Number  Memory usage in mega bytes above which the cache shrinks (required)
+     *  - metric:       String  Field of {@code process.memoryUsage()} that gets compared (default "rss")
+     *  - ratio:        Number  Part of the maximum size that gets removed per check (default 0.1)
+     *  - minSizeMB:    Number  Maximum size in mega bytes below which the cache does not shrink (default 0)
+     *  - intervalMs:   int     Milliseconds between checks (default 5000)
+     *  - onResize:     Function    Callback that gets called with the new maximum size in mega bytes and the evicted entries
+     * @throws Error if thresholdMB is not a positive number or ratio is not between 0 and 1
+     */
+    enableAutoShrink(options={}){
+        const threshold = Number(options.thresholdMB) * 1024 * 1024;
+        if(!(threshold > 0)) throw new Error("Threshold must be a positive number of mega bytes but is " + options.thresholdMB);
+        const ratio = options.ratio !== undefined ? Number(options.ratio) : 0.1;
+        if(!(ratio > 0 && ratio < 1)) throw new Error("Ratio must be between 0 and 1 but is " + options.ratio);
+        const metric = options.metric || "rss";
+        const minSizeMB = Number(options.minSizeMB) || 0;
+        const intervalMs = parseInt(options.intervalMs) || 5000;
+        this.disableAutoShrink();
+
+        const originalMB = this.getMaxSizeMB();
+        const check = () => {
+            const used = metric === "rss" ? process.memoryUsage.rss() : process.memoryUsage()[metric];
+            const current = this.getMaxSizeMB();
+            let target = current;
+            if(used > threshold) target = Math.max(minSizeMB, current * (1 - ratio));
+            else if(used < threshold * (1 - ratio) && current < originalMB) target = Math.min(originalMB, Math.max(current, minSizeMB, 1 / 1024) / (1 - ratio));
+            if(target === current) return;
+            const evicted = this.setMaxSizeMB(target);
+            if(options.onResize) options.onResize(target, evicted);
+        };
+        const timer = setInterval(check, intervalMs);
+        timer.unref();
+        this.#autoShrink = {timer: timer, originalMB: originalMB, check: check};
+    }
+
+    /**
+     * Stops shrinking the cache based on the memory usage
+     * @param {bool} restore If the maximum size the cache had when enabling should be restored
+     * @returns True if automatic shrinking was enabled
+     */
+    disableAutoShrink(restore=false){
+        if(!this.#autoShrink) return false;
+        clearInterval(this.#autoShrink.timer);
+        if(restore) this.setMaxSizeMB(this.#autoShrink.originalMB);
+        this.#autoShrink = null;
+        return true;
+    }
+
+    /**
+     * Stops the scheduler and the automatic shrinking (keeping the current maximum size)
+     */
+    dispose(){
+        super.dispose();
+        this.disableAutoShrink();
+    }
+
+    /**
+     * Stores {@type String} and {@type Buffer} values from the given byte size on compressed with {@code zlib}
+     * such that only their compressed size counts against the maximum size.
+     * Values get decompressed transparently when read (see {@link CompressionCodec}).
+     * Entries that are already stored do not get compressed.
+     * @param {Object} options Options of {@link CompressionCodec}:
+     *  - algorithm:    String  {@link CompressionAlgorithm} (default "brotli")
+     *  - level:        int     Compression level, quality for brotli (default 4 for brotli, zlib default otherwise)
+     *  - threshold:    int     Byte size from which on values get compressed (default 1024)
+     *  - hotSetSize:   int     Amount of values read last that are kept decompressed (default 0)
+     * @returns {@link CompressionCodec} used from now on
+     * @throws Error if the algorithm is unknown or level is out of range
+     */
+    enableCompression(options={}){
+        const codec = new CompressionCodec(options);
+        this.setCodec(codec);
+        return codec;
+    }
+
+    /**
+     * Stores values put from now on uncompressed (compressed entries stay compressed until they get removed)
+     * @returns True if compression was enabled
+     */
+    disableCompression(){
+        if(!(this.getCodec() instanceof CompressionCodec)) return false;
+        this.setCodec(null);
+        return true;
+    }
+
+    /**
+     * @returns Statistics of the compression (see {@code getStats()} of {@link CompressionCodec}) or null if compression is disabled
+     */
+    getCompressionStats(){
+        const codec = this.getCodec();
+        return codec instanceof CompressionCodec ? codec.getStats() : null;
+    }
+
+    /**
+     * @returns Function that computes the byte size of values or null if sizes get estimated
+     */
+    getSizeCalculator(){
+        return this.getCapacity().getSizeCalculator();
+    }
+
+    /**
+     * Sets the function that computes the byte size of values that are neither {@type String} nor {@type Buffer}.
+     * Does not affect entries that are already stored.
+     * @param {Function} sizeCalculator Function that gets called with value and key and returns the byte size (null to estimate sizes)
+     */
+    setSizeCalculator(sizeCalculator){
+        this.getCapacity().setSizeCalculator(sizeCalculator);
+    }
+
+    /**
+     * @returns String containing basic information about this cache
+     */
+    toString(){
+        return this.constructor.name + "{size=" + Number(this.getSizeInMB()).toFixed(2) + "/" + Number(this.getMaxSizeMB()).toFixed(2) + 
+        "MB; entries=" + this.getCount() + "}";
+    }
+}
+
+
+
+
+/**
+ * Cache storing fixed amount of key-value pairs.
+ * Base class of the {@code FixedCount*} caches that only differ in their eviction policy.
+ * @author LupCode.com
+ */
+class FixedCountCache extends Cache {
+
+    /**
+     * Creates a new cache with a fixed storing capacity
+     * @param {Number} maxCount Maximum amount of key-value pairs that can be hold
+     * @param {EvictionPolicy} policy Policy that decides which entries get evicted if cache is full
+     * @param {int} defaultTTL Time-to-live in milliseconds for entries that do not specify one on {@code put()} (zero or negative means no expiry)
+     */
+    constructor(maxCount, policy, defaultTTL=0){
+        super({capacity: new CountCapacity(maxCount), policy: policy, ttl: defaultTTL});
+    }
+
+    /**
+     * @param {Object} header Header of a snapshot
+     * @returns Arguments that construct the cache with the maximum count of the snapshot
+     */
+    static argsFromSnapshot(header){
+        return [header.maxCapacity];
+    }
+
+    /**
+     * @returns Maximum amount of key-value pairs that can be hold
+     */
+    getMaxCount(){
+        return this.getMaxCapacity();
+    }
+
+    /**
+     * Sets the maximum amount of entries the cache can hold
+     * and immediately evicts entries until the stored entries fit (see {@code setMaxCapacity()})
+     * @param {int} maxCount Maximum amount of key-value pairs
+     * @returns Array of the evicted entries as objects containing {@code key}, {@code value}, {@code size} and {@code reason}
+     * @throws Error if maxCount is not a non-negative number
+     */
+    setMaxCount(maxCount){
+        return this.setMaxCapacity(maxCount);
+    }
+
+    /**
+     * @returns String containing basic information about this cache
+     */
+    toString(){
+        return this.constructor.name + "{entries=" + this.getCount() + "/" + this.getMaxCount() + "}";
+    }
+}
+
+
+module.exports = {
+    FixedSizeCache,
+    FixedCountCache
+}
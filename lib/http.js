@@ -0,0 +1,212 @@
+const crypto = require('crypto');
+const { FixedSizeCache } = require('./fixed.js');
+const { LRUPolicy } = require('./policies/lru.js');
+
+
+/**
+ * @param {String} header Value of a {@code Cache-Control} header
+ * @returns Object containing the directives in lower case (values of directives without value are true)
+ */
+function parseCacheControl(header){
+    let directives = {};
+    if(!header) return directives;
+    for(let part of String(header).split(",")){
+        const index = part.indexOf("=");
+        const name = (index < 0 ? part : part.substring(0, index)).trim().toLowerCase();
+        if(name) directives[name] = index < 0 ? true : part.substring(index + 1).trim().replace(/^"|"$/g, "");
+    }
+    return directives;
+}
+
+/**
+ * @param {String} header Value of a {@code If-None-Match} header
+ * @param {String} etag ETag of the response
+ * @returns True if the header matches the ETag (weak comparison)
+ */
+function matchesETag(header, etag){
+    if(!header || !etag) return false;
+    const opaque = String(etag).replace(/^W\//, "");
+    return String(header).split(",").some(function(tag){
+        tag = tag.trim();
+        return tag === "*" || tag.replace(/^W\//, "") === opaque;
+    });
+}
+
+/**
+ * @param {*} chunk Chunk passed to {@code write()} or {@code end()}
+ * @param {String} encoding Encoding of string chunks
+ * @returns Chunk as Buffer
+ */
+function toBuffer(chunk, encoding){
+    if(Buffer.isBuffer(chunk)) return chunk;
+    if(chunk instanceof Uint8Array) return Buffer.from(chunk.buffer, chunk.byteOffset, chunk.byteLength);
+    return Buffer.from(String(chunk), typeof encoding === 'string' ? encoding : 'utf8');
+}
+
+
+
+
+/**
+ * Creates a middleware that caches the bodies and headers of responses to {@code GET} requests
+ * and answers {@code GET} and {@code HEAD} requests from the cache.
+ * Works with {@code http.createServer()} (call it with a {@code next} function) and Express-style servers.
+ *  - Keys consist of method, {@code Host} header, URL and the request headers listed in {@code vary}.
+ *    Responses with a {@code Vary} header naming other headers are not cached.
+ *  - Only responses with status 200 and without {@code Set-Cookie} get cached.
+ *    {@code Cache-Control: no-store} and {@code private} prevent caching, responses to requests with an {@code Authorization}
+ *    header only get cached if they are {@code public} or have {@code s-maxage} (RFC 9111 section 3.5),
+ *    {@code s-maxage} or {@code max-age} define the time-to-live (otherwise {@code ttl} is used).
+ *    Requests with {@code Cache-Control: no-store} or {@code no-cache} bypass the cache.
+ *  - Responses without {@code ETag} get one computed from their body
+ *    and requests with a matching {@code If-None-Match} header get answered with 304.
+ *  - Cached responses count with the byte size of body and headers towards the limit of the cache.
+ *    Their {@code Age} header is computed with the clock of the cache.
+ * Responses that may get cached are buffered until they are complete.
+ * @param {Object} options Additional options that can be set:
+ *  - cache:    Cache       Cache storing the responses (default is a LRU cache of 50MB)
+ *  - vary:     Array       Names of request headers that are part of the key (e.g. ["accept-encoding"])
+ *  - ttl:      int         Time-to-live in milliseconds for responses without {@code max-age} (if not set default TTL of the cache is used)
+ *  - keyPrefix: String     Prefix of all keys (default "http:")
+ * @returns Function that gets called with request, response and a function continuing with the next handler
+ */
+function httpCache(options={}){
+    const cache = options.cache || new FixedSizeCache(50, new LRUPolicy());
+    const vary = (options.vary || []).map(function(name){ return String(name).toLowerCase(); });
+    const keyPrefix = options.keyPrefix !== undefined ? String(options.keyPrefix) : "http:";
+
+    function keyOf(req){
+        let key = keyPrefix + "GET " + (req.headers.host || "") + req.url;
+        for(let name of vary){
+            const value = req.headers[name];
+            key += "\n" + name + ":" + (Array.isArray(value) ? value.join(",") : (value || ""));
+        }
+        return key;
+    }
+
+    function varies(res){
+        const header = res.getHeader('vary');
+        if(!header) return false;
+        return String(header).split(",").some(function(name){
+            name = name.trim().toLowerCase();
+            return name && !vary.includes(name);
+        });
+    }
+
+    function send(req, res, entry){
+        const etag = entry.headers.etag;
+        for(let name in entry.headers) res.setHeader(name, entry.headers[name]);
+        res.setHeader('age', Math.max(0, Math.floor((cache.getClock()() - entry.created) / 1000)));
+        if(matchesETag(req.headers['if-none-match'], etag)){
+            res.statusCode = 304;
+            res.removeHeader('content-length');
+            res.end();
+            return;
+        }
+        res.statusCode = entry.status;
+        res.end(req.method === 'HEAD' ? undefined : entry.body);
+    }
+
+    return function(req, res, next){
+        if(req.method !== 'GET' && req.method !== 'HEAD') return next();
+        const requestControl = parseCacheControl(req.headers['cache-control']);
+        if(requestControl['no-store']) return next();
+
+        const key = keyOf(req);
+        if(!requestControl['no-cache']){
+            const entry = cache.get(key);
+            if(entry !== undefined) return send(req, res, entry);
+        }
+        if(req.method === 'HEAD') return next();
+
+        const writeHead = res.writeHead, write = res.write, end = res.end;
+        let chunks = [], decided = false;
+
+        function restore(){
+            res.writeHead = writeHead;
+            res.write = write;
+            res.end = end;
+        }
+
+        // decides once status and headers are known if the response gets buffered for caching
+        function decide(){
+            if(decided) return !!chunks;
+            decided = true;
+            const control = parseCacheControl(res.getHeader('cache-control'));
+            const maxAge = control['s-maxage'] !== undefined ? control['s-maxage'] : control['max-age'];
+            const shared = !req.headers.authorization || control['public'] || control['s-maxage'] !== undefined;
+            if(res.statusCode !== 200 || control['no-store'] || control['private'] || control['no-cache'] || !shared ||
+                    (maxAge !== undefined && !(parseInt(maxAge) > 0)) || res.getHeader('set-cookie') || varies(res)){
+                chunks = null;
+                restore();
+                return false;
+            }
+            return true;
+        }
+
+        res.writeHead = function(status, message, headers){
+            if(typeof message !== 'string'){
+                headers = message;
+                message = undefined;
+            }
+            if(Array.isArray(headers)){
+                // raw header lists cannot be merged, so the response does not get cached
+                decided = true;
+                chunks = null;
+                restore();
+                return writeHead.apply(res, arguments);
+            }
+            res.statusCode = status;
+            if(message) res.statusMessage = message;
+            if(headers) for(let name in headers) res.setHeader(name, headers[name]);
+            decide();
+            return res;
+        };
+
+        res.write = function(chunk, encoding, callback){
+            if(!decide()) return write.apply(res, arguments);
+            if(typeof encoding === 'function') callback = encoding;
+            if(chunk !== undefined && chunk !== null) chunks.push(toBuffer(chunk, encoding));
+            if(callback) process.nextTick(callback);
+            return true;
+        };
+
+        res.end = function(chunk, encoding, callback){
+            if(!decide()) return end.apply(res, arguments);
+            if(typeof chunk === 'function'){
+                callback = chunk;
+                chunk = undefined;
+            } else if(typeof encoding === 'function'){
+                callback = encoding;
+                encoding = undefined;
+            }
+            if(chunk !== undefined && chunk !== null) chunks.push(toBuffer(chunk, encoding));
+            restore();
+
+            const body = Buffer.concat(chunks);
+            if(!res.getHeader('etag')) res.setHeader('etag', "\"" + crypto.createHash('sha1').update(body).digest('base64url') + "\"");
+            res.setHeader('content-length', body.length);
+
+            let headers = res.getHeaders();
+            const control = parseCacheControl(res.getHeader('cache-control'));
+            const maxAge = control['s-maxage'] !== undefined ? control['s-maxage'] : control['max-age'];
+            let putOptions = {size: body.length + Buffer.byteLength(JSON.stringify(headers)) + key.length};
+            if(maxAge !== undefined) putOptions.ttl = parseInt(maxAge) * 1000;
+            else if(options.ttl !== undefined) putOptions.ttl = options.ttl;
+            cache.put(key, {status: res.statusCode, headers: headers, body: body, created: cache.getClock()()}, putOptions);
+
+            if(matchesETag(req.headers['if-none-match'], headers.etag)){
+                res.statusCode = 304;
+                res.removeHeader('content-length');
+                return res.end(callback);
+            }
+            return res.end(body, callback);
+        };
+        next();
+    };
+}
+
+
+module.exports = {
+    httpCache,
+    parseCacheControl
+}
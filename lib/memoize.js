@@ -0,0 +1,121 @@
+const { FixedCountCache } = require('./fixed.js');
+const { LRUPolicy } = require('./policies/lru.js');
+const { SizeCapacity } = require('./capacity.js');
+
+
+/**
+ * Default function that turns the arguments of a memoized function into a cache key
+ * @param  {...any} args Arguments of the call
+ * @returns JSON of the arguments
+ */
+function defaultKeyResolver(...args){
+    return JSON.stringify(args);
+}
+
+/**
+ * Result stored by a memoized function that remembers if it has been returned as a promise
+ */
+class MemoizedResult {
+    /**
+     * @param {Function} owner Memoized function that stored the result
+     * @param {*} value Result of the call (resolved value if the function returned a promise)
+     * @param {bool} async If the function returned a promise
+     */
+    constructor(owner, value, async){
+        this.owner = owner;
+        this.value = value;
+        this.async = async;
+    }
+}
+
+/**
+ * @param {Cache} cache Cache or namespace of a cache
+ * @returns Capacity strategy of the cache or null if it has none
+ */
+function capacityOf(cache){
+    while(typeof cache.getParent === 'function') cache = cache.getParent();
+    return typeof cache.getCapacity === 'function' ? cache.getCapacity() : null;
+}
+
+
+/**
+ * Wraps a function so its results get stored in a cache and repeated calls with the same arguments return them.
+ * Works with synchronous functions and functions returning promises. Concurrent calls of an async function
+ * with the same arguments share one call, rejected promises do not get cached.
+ * Results that are undefined do not get cached. Each result is stored together with the information
+ * if it has been returned as a promise, so cached results are returned the same way the function returned them.
+ * Because results are stored wrapped in an object, the cache must keep values as they are (no disk or shared memory cache).
+ * @param {Function} fn Function whose results should be cached
+ * @param {Object} options Additional options that can be set:
+ *  - cache:        Cache       Cache (or namespace of a cache) storing the results (default is a LRU cache of 1000 entries)
+ *  - keyResolver:  Function    Function that gets called with the arguments and returns the cache key (default JSON of the arguments)
+ *  - ttl:          int         Time-to-live in milliseconds of the results (if not set default TTL of the cache is used)
+ *  - sizeOf:       Function    Function that gets called with result and arguments and returns the byte size of the result
+ *                              (if not set or returns undefined, caches with a {@link SizeCapacity} measure the result instead of its wrapper)
+ * @returns Function with the same signature that additionally has the properties:
+ *  - cache:        Cache storing the results
+ *  - clear():      Removes all results stored by this function (clears the whole cache if it cannot iterate its entries)
+ *  - invalidate(...args):  Removes the result for the given arguments
+ */
+function memoize(fn, options={}){
+    if(typeof fn !== 'function') throw new Error("Function to memoize must be provided");
+    const cache = options.cache || new FixedCountCache(1000, new LRUPolicy());
+    const keyResolver = options.keyResolver || defaultKeyResolver;
+    const capacity = capacityOf(cache);
+    let pending = new Map(); // key: Promise
+
+    function store(key, value, async, args){
+        let putOptions = {};
+        if(options.ttl !== undefined) putOptions.ttl = options.ttl;
+        let size = options.sizeOf ? options.sizeOf(value, args) : undefined;
+        if(size === undefined && capacity instanceof SizeCapacity) size = capacity.sizeOf(value, key);
+        if(size !== undefined) putOptions.size = size;
+        cache.put(key, new MemoizedResult(memoized, value, async), putOptions);
+    }
+
+    const memoized = function(...args){
+        const key = keyResolver.apply(this, args);
+        const stored = cache.get(key);
+        if(stored instanceof MemoizedResult && stored.owner === memoized) return stored.async ? Promise.resolve(stored.value) : stored.value;
+        let promise = pending.get(key);
+        if(promise) return promise;
+
+        const result = fn.apply(this, args);
+        if(!result || typeof result.then !== 'function'){
+            if(result !== undefined) store(key, result, false, args);
+            return result;
+        }
+
+        promise = Promise.resolve(result).then(function(value){
+            if(pending.get(key) !== promise) return value; // invalidated while in flight
+            pending.delete(key);
+            if(value !== undefined) store(key, value, true, args);
+            return value;
+        }, function(error){
+            if(pending.get(key) === promise) pending.delete(key);
+            throw error;
+        });
+        pending.set(key, promise);
+        return promise;
+    };
+
+    memoized.cache = cache;
+    memoized.clear = function(){
+        pending.clear();
+        if(typeof cache.entries !== 'function') return cache.clear();
+        let keys = [];
+        for(let [key, stored] of cache.entries()) if(stored instanceof MemoizedResult && stored.owner === memoized) keys.push(key);
+        for(let key of keys) cache.remove(key);
+    };
+    memoized.invalidate = function(...args){
+        const key = keyResolver.apply(this, args);
+        pending.delete(key);
+        cache.remove(key);
+    };
+    return memoized;
+}
+
+
+module.exports = {
+    memoize
+}
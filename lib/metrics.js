@@ -0,0 +1,128 @@
+/**
+ * Metrics exported for each cache: name suffix, Prometheus type, help text and function reading the value
+ */
+const METRICS = [
+    ["hits_total", "counter", "Lookups that returned a value", function(c, s){ return s.hits; }],
+    ["misses_total", "counter", "Lookups that did not find a value", function(c, s){ return s.misses; }],
+    ["puts_total", "counter", "Values put into the cache", function(c, s){ return s.puts; }],
+    ["rejected_puts_total", "counter", "Values that did not fit into the cache", function(c, s){ return s.rejectedPuts; }],
+    ["evictions_total", "counter", "Entries evicted to make space or by clearing", function(c, s){ return s.evictions; }],
+    ["expirations_total", "counter", "Entries removed because their time-to-live elapsed", function(c, s){ return s.expirations; }],
+    ["vetoed_evictions_total", "counter", "Evictions prevented by an onEvict callback", function(c, s){ return s.vetoedEvictions; }],
+    ["removals_total", "counter", "Entries removed explicitly", function(c, s){ return s.removals; }],
+    ["entries", "gauge", "Entries stored in the cache", function(c, s){ return c.getCount(); }],
+    ["used_capacity", "gauge", "Total weight of all entries as measured by the capacity strategy", function(c, s){ return c.getUsedCapacity(); }],
+    ["max_capacity", "gauge", "Maximum total weight of all entries", function(c, s){ return c.getMaxCapacity(); }]
+];
+
+/**
+ * @param {String} value Value of a label
+ * @returns Value escaped for the Prometheus text format
+ */
+function escapeLabel(value){
+    return String(value).replace(/\\/g, "\\\\").replace(/\n/g, "\\n").replace(/"/g, "\\\"");
+}
+
+
+
+
+/**
+ * Registry of named caches whose statistics can be exported in the Prometheus text format
+ * so all caches of a process can be scraped from a single endpoint.
+ * @author LupCode.com
+ */
+class MetricsRegistry {
+    #prefix;
+    #caches = new Map(); // name: Cache
+
+    /**
+     * Creates a new registry
+     * @param {String} prefix Prefix of all metric names
+     */
+    constructor(prefix="lup_cache"){
+        if(!/^[a-zA-Z_:][a-zA-Z0-9_:]*$/.test(prefix)) throw new Error("Prefix '" + prefix + "' is not a valid metric name");
+        this.#prefix = prefix;
+    }
+
+    /**
+     * Adds a cache to the registry
+     * @param {String} name Unique name of the cache that gets used as {@code cache} label
+     * @param {Cache} cache Cache whose statistics should be exported
+     * @throws Error if another cache is already registered with the same name
+     */
+    register(name, cache){
+        name = String(name);
+        if(this.#caches.has(name) && this.#caches.get(name) !== cache) throw new Error("A cache with name '" + name + "' is already registered");
+        this.#caches.set(name, cache);
+    }
+
+    /**
+     * Removes a cache from the registry
+     * @param {String} name Name the cache has been registered with
+     * @returns True if a cache was registered with the name
+     */
+    unregister(name){
+        return this.#caches.delete(String(name));
+    }
+
+    /**
+     * @param {String} name Name the cache has been registered with
+     * @returns Cache or undefined if no cache is registered with the name
+     */
+    getCache(name){
+        return this.#caches.get(String(name));
+    }
+
+    /**
+     * @returns Names of all registered caches
+     */
+    getNames(){
+        return Array.from(this.#caches.keys());
+    }
+
+    /**
+     * Removes all caches from the registry
+     */
+    clear(){
+        this.#caches.clear();
+    }
+
+    /**
+     * @returns Object containing the statistics (see {@code Cache.getStats()}) of each registered cache by its name
+     */
+    getStats(){
+        let stats = {};
+        for(let [name, cache] of this.#caches) stats[name] = cache.getStats();
+        return stats;
+    }
+
+    /**
+     * Creates the statistics of all registered caches in the Prometheus text format
+     * (use {@link MetricsRegistry.CONTENT_TYPE} as content type when serving them)
+     * @returns String containing the metrics
+     */
+    toPrometheus(){
+        let stats = [];
+        for(let [name, cache] of this.#caches) stats.push([escapeLabel(name), cache, cache.getStats()]);
+
+        let lines = [];
+        for(let [suffix, type, help, read] of METRICS){
+            const metric = this.#prefix + "_" + suffix;
+            lines.push("# HELP " + metric + " " + help, "# TYPE " + metric + " " + type);
+            for(let [label, cache, s] of stats) lines.push(metric + "{cache=\"" + label + "\"} " + read(cache, s));
+        }
+        return lines.join("\n") + "\n";
+    }
+}
+
+/** Content type of the Prometheus text format */
+MetricsRegistry.CONTENT_TYPE = "text/plain; version=0.0.4; charset=utf-8";
+
+/** Registry that can be shared by all modules of a process */
+const defaultRegistry = new MetricsRegistry();
+
+
+module.exports = {
+    MetricsRegistry,
+    defaultRegistry
+}
@@ -0,0 +1,227 @@
+/**
+ * View of a cache whose keys and tags get prefixed with the name of the namespace.
+ * Shares the capacity, eviction policy and time-to-live defaults with its parent cache
+ * but only sees the entries that have been put through it (or through the parent with the prefixed key).
+ * Keys of a namespace must be strings or numbers.
+ * @author LupCode.com
+ */
+class CacheNamespace {
+    #parent;
+    #name;
+    #separator;
+    #prefix;
+
+    /**
+     * Creates a new namespace (use {@code cache.namespace(name)} instead)
+     * @param {Cache} parent Cache storing the entries
+     * @param {String} name Name of the namespace that gets prepended to all keys and tags
+     * @param {String} separator String put between name and key
+     */
+    constructor(parent, name, separator=":"){
+        this.#parent = parent;
+        this.#name = String(name);
+        this.#separator = String(separator);
+        this.#prefix = this.#name + this.#separator;
+    }
+
+    /**
+     * @returns Name of the namespace (including the names of parent namespaces)
+     */
+    getName(){
+        return this.#name;
+    }
+
+    /**
+     * @returns Cache storing the entries of this namespace
+     */
+    getParent(){
+        return this.#parent;
+    }
+
+    /**
+     * Creates a namespace inside of this namespace
+     * @param {String} name Name of the nested namespace
+     * @returns View of this namespace whose keys are prefixed with the given name
+     */
+    namespace(name){
+        return new CacheNamespace(this.#parent, this.#prefix + name, this.#separator);
+    }
+
+    /**
+     * Puts a key-value pair into the namespace (see {@code Cache.put()})
+     * @param {String|Number} key Unique key inside of this namespace
+     * @param {*} value Value that should be put into cache
+     * @param {Object} options Options of {@code Cache.put()} (tags are scoped to this namespace)
+     * @returns True if successfully put key-value pair into cache or false if value is too big to fit into cache
+     */
+    put(key, value, options={}){
+        return this.#parent.put(this.#key(key), value, this.#options(options));
+    }
+
+    /**
+     * Same as {@code put()} but returns the namespace
+     * @param {String|Number} key Unique key inside of this namespace
+     * @param {*} value Value that should be put into cache
+     * @param {Object} options Options of {@code Cache.put()}
+     * @returns This namespace
+     */
+    set(key, value, options={}){
+        this.put(key, value, options);
+        return this;
+    }
+
+    /**
+     * @param {String|Number} key Key inside of this namespace
+     * @returns Value if found or undefined if not found (see {@code Cache.get()})
+     */
+    get(key){
+        return this.#parent.get(this.#key(key));
+    }
+
+    /**
+     * @param {String|Number} key Key inside of this namespace
+     * @returns Value if found without counting it as an access (see {@code Cache.peek()})
+     */
+    peek(key){
+        return this.#parent.peek(this.#key(key));
+    }
+
+    /**
+     * @param {String|Number} key Key inside of this namespace
+     * @returns True if a value is stored for the key and has not expired
+     */
+    has(key){
+        return this.#parent.has(this.#key(key));
+    }
+
+    /**
+     * Returns a value or loads it if it is not in the cache (see {@code Cache.getOrLoad()})
+     * @param {String|Number} key Key inside of this namespace
+     * @param {Function} loader Function that gets called with the key (without prefix) and returns the value or a promise of it
+     * @param {Object} options Options of {@code Cache.getOrLoad()} (tags are scoped to this namespace)
+     * @returns Promise resolving to the cached or loaded value
+     */
+    getOrLoad(key, loader, options={}){
+        return this.#parent.getOrLoad(this.#key(key), function(){ return loader(key); }, this.#options(options));
+    }
+
+    /**
+     * @param {String|Number} key Key inside of this namespace
+     * @returns Value of the removed key-value pair or undefined if not found
+     */
+    remove(key){
+        return this.#parent.remove(this.#key(key));
+    }
+
+    /**
+     * @param {String|Number} key Key inside of this namespace
+     * @returns True if an entry has been removed
+     */
+    delete(key){
+        return this.#parent.delete(this.#key(key));
+    }
+
+    /**
+     * Removes all entries of this namespace that have been put with the given tag
+     * @param {String} tag Tag inside of this namespace
+     * @returns Amount of removed entries
+     */
+    invalidateTag(tag){
+        return this.#parent.invalidateTag(this.#prefix + tag);
+    }
+
+    /**
+     * Removes all entries of this namespace whose keys start with the given prefix
+     * @param {String} prefix Prefix of keys inside of this namespace
+     * @returns Amount of removed entries
+     */
+    invalidatePrefix(prefix){
+        return this.#parent.invalidatePrefix(this.#prefix + prefix);
+    }
+
+    /**
+     * Removes all entries of this namespace (including nested namespaces)
+     * @returns Amount of removed entries
+     */
+    clear(){
+        return this.#parent.invalidatePrefix(this.#prefix);
+    }
+
+    /**
+     * Amount of entries in this namespace (including nested namespaces and expired entries that have not been removed yet)
+     */
+    get size(){
+        return this.#parent.getCountWithPrefix(this.#prefix);
+    }
+
+    /**
+     * Iterates over the entries of this namespace in eviction order (see {@code Cache.entries()})
+     * @returns Iterator over {@code [key, value]} pairs with keys without prefix
+     */
+    *entries(){
+        for(let [key, value] of this.#parent.entries()){
+            if(typeof key === 'string' && key.startsWith(this.#prefix)) yield [key.substring(this.#prefix.length), value];
+        }
+    }
+
+    /**
+     * @returns Iterator over the keys of this namespace in eviction order
+     */
+    *keys(){
+        for(let [key] of this.entries()) yield key;
+    }
+
+    /**
+     * @returns Iterator over the values of this namespace in eviction order
+     */
+    *values(){
+        for(let [, value] of this.entries()) yield value;
+    }
+
+    /**
+     * @returns Iterator over {@code [key, value]} pairs in eviction order
+     */
+    [Symbol.iterator](){
+        return this.entries();
+    }
+
+    /**
+     * Calls a function for each entry of this namespace in eviction order
+     * @param {Function} callback Function that gets called with value, key and this namespace
+     * @param {*} thisArg Value used as {@code this} when calling the function
+     */
+    forEach(callback, thisArg=undefined){
+        for(let [key, value] of this.entries()) callback.call(thisArg, value, key, this);
+    }
+
+    /**
+     * @returns String containing basic information about this namespace
+     */
+    toString(){
+        return this.constructor.name + "{name=" + this.#name + "; parent=" + this.#parent.toString() + "}";
+    }
+
+    /**
+     * @param {String|Number} key Key inside of this namespace
+     * @returns Key used in the parent cache
+     * @throws Error if key is neither a string nor a number
+     */
+    #key(key){
+        if(typeof key !== 'string' && typeof key !== 'number') throw new Error("Key of a namespace must be of type String or Number");
+        return this.#prefix + key;
+    }
+
+    /**
+     * @param {Object} options Options passed to this namespace
+     * @returns Options with tags scoped to this namespace
+     */
+    #options(options){
+        if(!options.tags) return options;
+        return Object.assign({}, options, {tags: [].concat(options.tags).map((tag) => this.#prefix + tag)});
+    }
+}
+
+
+module.exports = {
+    CacheNamespace
+}
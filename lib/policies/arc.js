@@ -0,0 +1,116 @@
+const { EvictionPolicy } = require('./policy.js');
+const { EntryList, GhostList } = require('./list.js');
+const { EvictReason } = require('../cache.js');
+
+
+/**
+ * Adaptive Replacement Cache: splits the cache into entries that have been read once ({@code T1})
+ * and entries that have been read at least twice ({@code T2}) and remembers keys evicted from
+ * both ({@code B1}, {@code B2}). Hits on remembered keys shift the target size of {@code T1}
+ * so the cache continuously adapts between recency and frequency without any tuning.
+ * Weights of entries are taken into account so it can be used with byte based capacities.
+ * @author LupCode.com
+ */
+class ARCPolicy extends EvictionPolicy {
+    #target = 0; // target weight of T1
+    #t1 = new EntryList();
+    #t2 = new EntryList();
+    #b1 = new GhostList();
+    #b2 = new GhostList();
+
+    /**
+     * @returns Current target weight of the recency segment ({@code T1})
+     */
+    getTarget(){
+        return this.#target;
+    }
+
+    add(entry){
+        const max = this.capacity.getMax();
+        if(this.#b1.has(entry.key)){
+            // entry was evicted too early from recency segment so give it more room
+            const delta = Math.max(this.#b2.weight / Math.max(this.#b1.weight, 1), 1) * entry.weight;
+            this.#target = Math.min(this.#target + delta, max);
+            this.#b1.delete(entry.key);
+            this.#t2.push(entry);
+        } else if(this.#b2.has(entry.key)){
+            // entry was evicted too early from frequency segment so give it more room
+            const delta = Math.max(this.#b1.weight / Math.max(this.#b2.weight, 1), 1) * entry.weight;
+            this.#target = Math.max(this.#target - delta, 0);
+            this.#b2.delete(entry.key);
+            this.#t2.push(entry);
+        } else {
+            this.#t1.push(entry);
+        }
+    }
+
+    access(entry){
+        if(entry.list === this.#t1){
+            this.#t1.remove(entry);
+            this.#t2.push(entry);
+        } else {
+            this.#t2.moveToTail(entry);
+        }
+    }
+
+    remove(entry, reason){
+        let list = entry.list;
+        list.remove(entry);
+        if(reason !== EvictReason.CAPACITY) return;
+        (list === this.#t1 ? this.#b1 : this.#b2).add(entry.key, entry.weight);
+
+        // directory of remembered keys must not grow beyond capacity
+        const max = this.capacity.getMax();
+        this.#b1.trim(Math.max(max - this.#t1.weight, 0));
+        this.#b2.trim(Math.max(2 * max - this.#t1.weight - this.#t2.weight - this.#b1.weight, 0));
+    }
+
+    clear(){
+        this.#target = 0;
+        this.#t1.clear();
+        this.#t2.clear();
+        this.#b1.clear();
+        this.#b2.clear();
+    }
+
+    *victims(){
+        let e1 = this.#t1.head, e2 = this.#t2.head;
+        while(e1 || e2){
+            let entry;
+            if(e1 && (!e2 || this.#t1.weight > this.#target)){
+                entry = e1;
+                e1 = e1.next;
+            } else {
+                entry = e2;
+                e2 = e2.next;
+            }
+            yield entry;
+        }
+    }
+
+    *entries(){
+        yield* this.#t1;
+        yield* this.#t2;
+    }
+
+    exportEntry(entry){
+        return entry.list === this.#t2 ? {frequent: true} : undefined;
+    }
+
+    importEntry(entry, meta){
+        (meta && meta.frequent ? this.#t2 : this.#t1).push(entry);
+    }
+
+    exportState(){
+        return {target: this.#target};
+    }
+
+    importState(state){
+        if(state && state.target >= 0) this.#target = Number(state.target);
+    }
+}
+
+
+module.exports = {
+    ARCPolicy
+}
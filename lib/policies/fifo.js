@@ -0,0 +1,92 @@
+const { EvictionPolicy } = require('./policy.js');
+const { EntryList } = require('./list.js');
+
+
+/**
+ * Evicts entries in the order they have been put into the cache (first in, first out).
+ * Reading an entry has no effect on its position.
+ * @author LupCode.com
+ */
+class FIFOPolicy extends EvictionPolicy {
+    #list = new EntryList();
+
+    add(entry){
+        this.#list.push(entry);
+    }
+
+    remove(entry, reason){
+        this.#list.remove(entry);
+    }
+
+    clear(){
+        this.#list.clear();
+    }
+
+    victims(){
+        return this.#list[Symbol.iterator]();
+    }
+}
+
+
+
+
+/**
+ * Approximates LRU with the CLOCK algorithm (second chance FIFO):
+ * reading an entry only sets its reference bit, on eviction the clock hand
+ * passes over referenced entries once (clearing their bit) and evicts the first unreferenced one.
+ * Cheaper than LRU on reads since entries never get moved on {@code get()}.
+ * @author LupCode.com
+ */
+class ClockPolicy extends EvictionPolicy {
+    #list = new EntryList(); // head is the position of the clock hand
+
+    add(entry){
+        entry.referenced = false;
+        this.#list.push(entry);
+    }
+
+    access(entry){
+        entry.referenced = true;
+    }
+
+    remove(entry, reason){
+        this.#list.remove(entry);
+    }
+
+    clear(){
+        this.#list.clear();
+    }
+
+    entries(){
+        return this.#list[Symbol.iterator]();
+    }
+
+    exportEntry(entry){
+        return entry.referenced ? {referenced: true} : undefined;
+    }
+
+    importEntry(entry, meta){
+        this.add(entry);
+        entry.referenced = !!(meta && meta.referenced);
+    }
+
+    *victims(){
+        // two rounds are enough to clear every reference bit once
+        let steps = this.#list.size * 2;
+        while(steps-- > 0 && this.#list.head){
+            let entry = this.#list.head;
+            this.#list.moveToTail(entry);
+            if(entry.referenced){
+                entry.referenced = false;
+                continue;
+            }
+            yield entry;
+        }
+    }
+}
+
+
+module.exports = {
+    FIFOPolicy,
+    ClockPolicy
+}
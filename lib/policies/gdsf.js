@@ -0,0 +1,189 @@
+const { EvictionPolicy } = require('./policy.js');
+const { EvictReason } = require('../cache.js');
+
+const KEPT = -2; // heap index of entries put aside while iterating over victims
+
+
+/**
+ * @param {Object} entry Entry of a cache
+ * @returns Cost of recomputing the value of the entry (option {@code cost} of {@code put()}, default 1)
+ */
+function costOf(entry){
+    return entry.options && entry.options.cost !== undefined ? Number(entry.options.cost) : 1;
+}
+
+
+
+
+/**
+ * Cost aware eviction with the GreedyDual-Size-Frequency algorithm (GDSF).
+ * Each entry gets the priority {@code L + frequency * cost / size} where {@code cost} is the option
+ * {@code cost} of {@code put()} (default 1), {@code size} the weight measured by the capacity strategy
+ * and {@code L} an inflation value that gets raised to the priority of each evicted entry.
+ * The entry with the lowest priority gets evicted first, so large values that are cheap to recompute
+ * leave before many small or expensive ones and entries that are not accessed anymore age
+ * as {@code L} grows. The priority gets recomputed on every access.
+ * Without frequency the plain GreedyDual-Size algorithm is used ({@code L + cost / size}, recency only).
+ * Entries are kept in a binary heap so all operations run in logarithmic time.
+ * @author LupCode.com
+ */
+class GDSFPolicy extends EvictionPolicy {
+    #frequency;
+    #inflation = 0;
+    #heap = [];
+    #kept = [];
+
+    /**
+     * @param {bool} frequency If the access frequency is part of the priority (GDSF) or not (GreedyDual-Size)
+     */
+    constructor(frequency=true){
+        super();
+        this.#frequency = !!frequency;
+    }
+
+    /**
+     * @returns True if the access frequency is part of the priority (GDSF)
+     */
+    usesFrequency(){
+        return this.#frequency;
+    }
+
+    /**
+     * @returns Current inflation value {@code L} (priority of the entry evicted last)
+     */
+    getInflation(){
+        return this.#inflation;
+    }
+
+    add(entry){
+        entry.frequency = 1;
+        entry.priority = this.#priority(entry);
+        this.#push(entry);
+    }
+
+    access(entry){
+        entry.frequency++;
+        entry.priority = this.#priority(entry);
+        if(entry.heapIndex >= 0) this.#update(entry.heapIndex);
+    }
+
+    remove(entry, reason){
+        if(reason === EvictReason.CAPACITY && entry.priority > this.#inflation) this.#inflation = entry.priority;
+        if(entry.heapIndex >= 0) this.#removeAt(entry.heapIndex);
+        else entry.heapIndex = -1;
+    }
+
+    clear(){
+        for(let entry of this.#heap) entry.heapIndex = -1;
+        for(let entry of this.#kept) entry.heapIndex = -1;
+        this.#heap = [];
+        this.#inflation = 0;
+    }
+
+    *victims(){
+        // entries that stay in the cache get put aside so the next lowest priority can be returned
+        const kept = this.#kept = [];
+        try {
+            while(this.#heap.length > 0){
+                const entry = this.#heap[0];
+                yield entry;
+                if(this.#heap[0] === entry){
+                    this.#removeAt(0);
+                    entry.heapIndex = KEPT;
+                    kept.push(entry);
+                }
+            }
+        } finally {
+            for(let entry of kept) if(entry.heapIndex === KEPT) this.#push(entry);
+            if(this.#kept === kept) this.#kept = [];
+        }
+    }
+
+    entries(){
+        return this.#heap.slice().sort(function(a, b){ return a.priority - b.priority; })[Symbol.iterator]();
+    }
+
+    exportEntry(entry){
+        return {frequency: entry.frequency, priority: entry.priority};
+    }
+
+    importEntry(entry, meta){
+        entry.frequency = meta && meta.frequency > 0 ? meta.frequency : 1;
+        entry.priority = meta && meta.priority >= 0 ? meta.priority : this.#priority(entry);
+        this.#push(entry);
+    }
+
+    exportState(){
+        return {frequency: this.#frequency, inflation: this.#inflation};
+    }
+
+    importState(state){
+        if(!state) return;
+        if(state.frequency !== undefined) this.#frequency = !!state.frequency;
+        if(state.inflation >= 0) this.#inflation = state.inflation;
+    }
+
+
+    /**
+     * @param {Object} entry Entry of the cache
+     * @returns Priority of the entry based on the current inflation value
+     */
+    #priority(entry){
+        const value = costOf(entry) / Math.max(entry.weight, Number.MIN_VALUE);
+        return this.#inflation + (this.#frequency ? entry.frequency * value : value);
+    }
+
+    #push(entry){
+        entry.heapIndex = this.#heap.length;
+        this.#heap.push(entry);
+        this.#up(entry.heapIndex);
+    }
+
+    #removeAt(index){
+        const entry = this.#heap[index];
+        const last = this.#heap.pop();
+        entry.heapIndex = -1;
+        if(last === entry) return;
+        this.#heap[index] = last;
+        last.heapIndex = index;
+        this.#update(index);
+    }
+
+    #update(index){
+        if(index > 0 && this.#heap[index].priority < this.#heap[(index - 1) >> 1].priority) this.#up(index);
+        else this.#down(index);
+    }
+
+    #up(index){
+        const entry = this.#heap[index];
+        while(index > 0){
+            const parent = (index - 1) >> 1;
+            if(this.#heap[parent].priority <= entry.priority) break;
+            this.#heap[index] = this.#heap[parent];
+            this.#heap[index].heapIndex = index;
+            index = parent;
+        }
+        this.#heap[index] = entry;
+        entry.heapIndex = index;
+    }
+
+    #down(index){
+        const entry = this.#heap[index], length = this.#heap.length;
+        while(true){
+            let child = 2 * index + 1;
+            if(child >= length) break;
+            if(child + 1 < length && this.#heap[child + 1].priority < this.#heap[child].priority) child++;
+            if(this.#heap[child].priority >= entry.priority) break;
+            this.#heap[index] = this.#heap[child];
+            this.#heap[index].heapIndex = index;
+            index = child;
+        }
+        this.#heap[index] = entry;
+        entry.heapIndex = index;
+    }
+}
+
+
+module.exports = {
+    GDSFPolicy
+}
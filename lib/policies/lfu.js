@@ -0,0 +1,211 @@
+const { EvictionPolicy } = require('./policy.js');
+
+
+/**
+ * Keeps entries grouped in buckets of equal access counts so that the least frequently
+ * used entry can be found, incremented and removed in constant time.
+ * Buckets form a doubly linked list sorted ascending by access count and each bucket
+ * holds a doubly linked list of its entries ordered from least to most recently used.
+ * Entries need to have the properties {@code key} and {@code accesses} and get
+ * the properties {@code bucket}, {@code prev} and {@code next} assigned.
+ */
+class FrequencyList {
+    #head = null; // bucket with lowest access count: {accesses: int, head: Object, tail: Object, prev: Object, next: Object}
+    #tail = null; // bucket with highest access count
+
+    /**
+     * Adds an entry to the bucket matching its access counter
+     * @param {Object} entry Entry that is not part of the list yet
+     */
+    add(entry){
+        let bucket = this.#head;
+        while(bucket && bucket.accesses < entry.accesses) bucket = bucket.next;
+        if(!bucket || bucket.accesses !== entry.accesses) bucket = this.#insertBucket(entry.accesses, bucket ? bucket.prev : this.#tail);
+        this.#append(bucket, entry);
+    }
+
+    /**
+     * Increments the access counter of an entry and moves it into the next bucket
+     * @param {Object} entry Entry that is part of the list
+     */
+    increment(entry){
+        let bucket = entry.bucket;
+        entry.accesses++;
+        let next = bucket.next;
+        if(!next || next.accesses !== entry.accesses) next = this.#insertBucket(entry.accesses, bucket);
+        this.remove(entry);
+        this.#append(next, entry);
+    }
+
+    /**
+     * Removes an entry from the list
+     * @param {Object} entry Entry that is part of the list
+     */
+    remove(entry){
+        let bucket = entry.bucket;
+        if(entry.prev) entry.prev.next = entry.next; else bucket.head = entry.next;
+        if(entry.next) entry.next.prev = entry.prev; else bucket.tail = entry.prev;
+        entry.bucket = entry.prev = entry.next = null;
+        if(!bucket.head){
+            if(bucket.prev) bucket.prev.next = bucket.next; else this.#head = bucket.next;
+            if(bucket.next) bucket.next.prev = bucket.prev; else this.#tail = bucket.prev;
+        }
+    }
+
+    /**
+     * Halfs the access counter of all entries and merges buckets that end up with equal counters.
+     * Entries that had fewer accesses before stay in front of the merged bucket.
+     */
+    halve(){
+        let bucket = this.#head;
+        while(bucket){
+            bucket.accesses = Math.floor(bucket.accesses / 2);
+            for(let entry = bucket.head; entry; entry = entry.next) entry.accesses = bucket.accesses;
+            let prev = bucket.prev;
+            if(prev && prev.accesses === bucket.accesses){
+                for(let entry = bucket.head; entry; entry = entry.next) entry.bucket = prev;
+                prev.tail.next = bucket.head;
+                bucket.head.prev = prev.tail;
+                prev.tail = bucket.tail;
+                prev.next = bucket.next;
+                if(bucket.next) bucket.next.prev = prev; else this.#tail = prev;
+            }
+            bucket = bucket.next;
+        }
+    }
+
+    /**
+     * Removes all entries from the list
+     */
+    clear(){
+        this.#head = this.#tail = null;
+    }
+
+    /**
+     * Iterates over all entries starting with the least frequently used one.
+     * The entry that has been returned last may be removed while iterating.
+     */
+    *[Symbol.iterator](){
+        let bucket = this.#head;
+        while(bucket){
+            let nextBucket = bucket.next;
+            let entry = bucket.head;
+            while(entry){
+                let next = entry.next;
+                yield entry;
+                entry = next;
+            }
+            bucket = nextBucket;
+        }
+    }
+
+    #insertBucket(accesses, prev){
+        let bucket = {accesses: accesses, head: null, tail: null, prev: prev, next: prev ? prev.next : this.#head};
+        if(bucket.next) bucket.next.prev = bucket; else this.#tail = bucket;
+        if(prev) prev.next = bucket; else this.#head = bucket;
+        return bucket;
+    }
+
+    #append(bucket, entry){
+        entry.bucket = bucket;
+        entry.prev = bucket.tail;
+        entry.next = null;
+        if(bucket.tail) bucket.tail.next = entry; else bucket.head = entry;
+        bucket.tail = entry;
+    }
+}
+
+
+
+
+/**
+ * Evicts the least frequently used entry first.
+ * Additionally an expire interval can be set that repeatedly halfs the access counter of each entry
+ * so that formerly popular entries can be evicted eventually. The interval starts with the first tick
+ * and counters get halved on the first tick after it has elapsed (ticks happen on reads, writes
+ * and runs of the scheduler of the cache).
+ * Entries are kept in buckets of equal access counts so that all operations run in constant time.
+ * @author LupCode.com
+ */
+class LFUPolicy extends EvictionPolicy {
+    #expireMs;
+    #nextExpire = null;
+    #frequencies = new FrequencyList();
+
+    /**
+     * @param {int} expireMs If >= 0 expire interval in milliseconds at which access counters are halfed
+     */
+    constructor(expireMs=60000){
+        super();
+        this.#expireMs = parseInt(expireMs);
+    }
+
+    /**
+     * @returns Milliseconds interval at which the access counter of entry entry gets halfed (negative means disabled)
+     */
+    getExpireTime(){
+        return this.#expireMs;
+    }
+
+    /**
+     * Sets the interval at which the access counter of each entry gets halfed (the interval restarts with the next tick)
+     * @param {int} expireMs Milliseconds of interval at which the access counters of all entries are halfed (negative means disabled)
+     */
+    setExpireTime(expireMs){
+        this.#expireMs = parseInt(expireMs);
+        this.#nextExpire = null;
+    }
+
+    tick(now){
+        // half all 'access' counters if expired
+        if(!(this.#expireMs >= 0)) return;
+        if(this.#nextExpire === null) this.#nextExpire = now + this.#expireMs;
+        else if(this.#nextExpire < now){
+            this.#nextExpire = now + this.#expireMs;
+            this.#frequencies.halve();
+        }
+    }
+
+    add(entry){
+        entry.accesses = 1;
+        this.#frequencies.add(entry);
+    }
+
+    access(entry){
+        this.#frequencies.increment(entry);
+    }
+
+    remove(entry, reason){
+        this.#frequencies.remove(entry);
+    }
+
+    clear(){
+        this.#frequencies.clear();
+    }
+
+    victims(){
+        return this.#frequencies[Symbol.iterator]();
+    }
+
+    exportEntry(entry){
+        return {accesses: entry.accesses};
+    }
+
+    importEntry(entry, meta){
+        entry.accesses = meta && meta.accesses >= 0 ? meta.accesses : 1;
+        this.#frequencies.add(entry);
+    }
+
+    exportState(){
+        return {expireMs: this.#expireMs};
+    }
+
+    importState(state){
+        if(state && state.expireMs !== undefined) this.setExpireTime(state.expireMs);
+    }
+}
+
+
+module.exports = {
+    LFUPolicy
+}
@@ -0,0 +1,147 @@
+/**
+ * Doubly linked list of cache entries that keeps track of the total weight of its entries.
+ * Entries get the properties {@code list}, {@code prev} and {@code next} assigned
+ * so an entry can only be part of one list at a time.
+ */
+class EntryList {
+    head = null; // oldest entry
+    tail = null; // newest entry
+    weight = 0;
+    size = 0;
+
+    /**
+     * Appends an entry at the tail of the list
+     * @param {Object} entry Entry that is not part of any list
+     */
+    push(entry){
+        entry.list = this;
+        entry.prev = this.tail;
+        entry.next = null;
+        if(this.tail) this.tail.next = entry; else this.head = entry;
+        this.tail = entry;
+        this.weight += entry.weight;
+        this.size++;
+    }
+
+    /**
+     * Inserts an entry at the head of the list
+     * @param {Object} entry Entry that is not part of any list
+     */
+    unshift(entry){
+        entry.list = this;
+        entry.prev = null;
+        entry.next = this.head;
+        if(this.head) this.head.prev = entry; else this.tail = entry;
+        this.head = entry;
+        this.weight += entry.weight;
+        this.size++;
+    }
+
+    /**
+     * Removes an entry from the list
+     * @param {Object} entry Entry that is part of this list
+     */
+    remove(entry){
+        if(entry.prev) entry.prev.next = entry.next; else this.head = entry.next;
+        if(entry.next) entry.next.prev = entry.prev; else this.tail = entry.prev;
+        entry.list = entry.prev = entry.next = null;
+        this.weight -= entry.weight;
+        this.size--;
+    }
+
+    /**
+     * Moves an entry of this list to its tail
+     * @param {Object} entry Entry that is part of this list
+     */
+    moveToTail(entry){
+        if(entry === this.tail) return;
+        this.remove(entry);
+        this.push(entry);
+    }
+
+    /**
+     * Removes all entries from the list
+     */
+    clear(){
+        this.head = this.tail = null;
+        this.weight = this.size = 0;
+    }
+
+    /**
+     * Iterates from head to tail.
+     * The entry that has been returned last may be removed while iterating.
+     */
+    *[Symbol.iterator](){
+        let entry = this.head;
+        while(entry){
+            let next = entry.next;
+            yield entry;
+            entry = next;
+        }
+    }
+}
+
+
+
+
+/**
+ * Remembers keys (and weights) of recently evicted entries in insertion order
+ * with a limited total weight, used to detect entries that come back shortly after being evicted.
+ */
+class GhostList {
+    #keys = new Map(); // key: weight
+    weight = 0;
+
+    /**
+     * @param {String} key Key of an evicted entry
+     * @param {Number} weight Weight the entry had
+     */
+    add(key, weight){
+        this.delete(key);
+        this.#keys.set(key, weight);
+        this.weight += weight;
+    }
+
+    /**
+     * @param {String} key Key of an evicted entry
+     * @returns True if the key is remembered
+     */
+    has(key){
+        return this.#keys.has(key);
+    }
+
+    /**
+     * Forgets a key
+     * @param {String} key Key that should be forgotten
+     * @returns True if the key was remembered
+     */
+    delete(key){
+        let weight = this.#keys.get(key);
+        if(weight === undefined) return false;
+        this.#keys.delete(key);
+        this.weight -= weight;
+        return true;
+    }
+
+    /**
+     * Forgets the oldest keys until the total weight does not exceed the given limit
+     * @param {Number} maxWeight Maximum total weight of remembered keys
+     */
+    trim(maxWeight){
+        while(this.weight > maxWeight && this.#keys.size > 0) this.delete(this.#keys.keys().next().value);
+    }
+
+    /**
+     * Forgets all keys
+     */
+    clear(){
+        this.#keys.clear();
+        this.weight = 0;
+    }
+}
+
+
+module.exports = {
+    EntryList,
+    GhostList
+}
@@ -0,0 +1,49 @@
+const { EvictionPolicy } = require('./policy.js');
+
+
+/**
+ * Evicts the least recently used entry first.
+ * Cheaper and faster than LFU but not as many cache hits.
+ * @author LupCode.com
+ */
+class LRUPolicy extends EvictionPolicy {
+    #head = null; // least recently used entry
+    #tail = null; // most recently used entry
+
+    add(entry){
+        entry.prev = this.#tail;
+        entry.next = null;
+        if(this.#tail) this.#tail.next = entry; else this.#head = entry;
+        this.#tail = entry;
+    }
+
+    access(entry){
+        if(entry === this.#tail) return;
+        this.remove(entry);
+        this.add(entry);
+    }
+
+    remove(entry, reason){
+        if(entry.prev) entry.prev.next = entry.next; else this.#head = entry.next;
+        if(entry.next) entry.next.prev = entry.prev; else this.#tail = entry.prev;
+        entry.prev = entry.next = null;
+    }
+
+    clear(){
+        this.#head = this.#tail = null;
+    }
+
+    *victims(){
+        let entry = this.#head;
+        while(entry){
+            let next = entry.next;
+            yield entry;
+            entry = next;
+        }
+    }
+}
+
+
+module.exports = {
+    LRUPolicy
+}
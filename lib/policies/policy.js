@@ -0,0 +1,103 @@
+/**
+ * Base class of eviction policies that decide which entries a {@link Cache} evicts if it is full.
+ * Custom policies extend this class and override the methods they need.
+ * Entries are plain objects owned by the cache that contain at least {@code key}, {@code value}
+ * and {@code weight}. Policies may store their own bookkeeping properties on them.
+ * A policy instance must only be used by a single cache.
+ * @author LupCode.com
+ */
+class EvictionPolicy {
+
+    /**
+     * Called once by the cache that uses this policy
+     * @param {Object} capacity Capacity strategy of the cache (provides {@code getMax()})
+     */
+    bind(capacity){
+        this.capacity = capacity;
+    }
+
+    /**
+     * Called on each {@code put()} before entries get evicted
+     * @param {int} now Current timestamp in milliseconds
+     */
+    tick(now){}
+
+    /**
+     * Called after a new entry has been stored in the cache
+     * @param {Object} entry Entry that has been added
+     */
+    add(entry){}
+
+    /**
+     * Called if an entry has been read from the cache
+     * @param {Object} entry Entry that has been accessed
+     */
+    access(entry){}
+
+    /**
+     * Called after an entry has been removed from the cache
+     * @param {Object} entry Entry that has been removed
+     * @param {String} reason {@link EvictReason} if entry got evicted or undefined if it got removed explicitly
+     */
+    remove(entry, reason){}
+
+    /**
+     * Called after all entries have been removed from the cache at once
+     */
+    clear(){}
+
+    /**
+     * Iterates over the stored entries in the order in which they should be evicted.
+     * The cache may remove the entry that has been returned last before continuing the iteration.
+     * @returns Iterator over entries
+     */
+    *victims(){
+        throw new Error(this.constructor.name + " does not implement victims()");
+    }
+
+    /**
+     * Iterates over the stored entries in eviction order without modifying the policy.
+     * Policies whose {@code victims()} reorganizes entries must override this method.
+     * @returns Iterator over entries
+     */
+    entries(){
+        return this.victims();
+    }
+
+    /**
+     * Returns the metadata of an entry that is needed to restore its position from a snapshot
+     * @param {Object} entry Entry that is stored in the cache
+     * @returns JSON serializable object or undefined if nothing needs to be stored
+     */
+    exportEntry(entry){
+        return undefined;
+    }
+
+    /**
+     * Adds an entry restored from a snapshot instead of {@code add()}.
+     * Entries get imported in the order they were returned by {@code entries()}.
+     * @param {Object} entry Entry that has been added
+     * @param {Object} meta Metadata that was returned by {@code exportEntry()}
+     */
+    importEntry(entry, meta){
+        this.add(entry);
+    }
+
+    /**
+     * @returns JSON serializable settings and state of the policy that should be stored in a snapshot
+     */
+    exportState(){
+        return undefined;
+    }
+
+    /**
+     * Restores settings and state from a snapshot before any entries get imported
+     * @param {Object} state Object that was returned by {@code exportState()}
+     */
+    importState(state){}
+}
+
+
+module.exports = {
+    EvictionPolicy
+}
@@ -0,0 +1,79 @@
+const { EvictionPolicy } = require('./policy.js');
+const { EntryList } = require('./list.js');
+
+
+/**
+ * Segmented LRU: new entries are put into a probationary segment and only get promoted
+ * into the protected segment if they are read again. Evicts from the probationary segment first
+ * so entries that are only read once (e.g. by a scan) cannot flush frequently read entries.
+ * @author LupCode.com
+ */
+class SLRUPolicy extends EvictionPolicy {
+    #protectedRatio;
+    #probation = new EntryList();
+    #protected = new EntryList();
+
+    /**
+     * @param {Number} protectedRatio Share between 0 and 1 of the capacity reserved for the protected segment
+     */
+    constructor(protectedRatio=0.8){
+        super();
+        this.#protectedRatio = Math.min(Math.max(Number(protectedRatio), 0), 1);
+    }
+
+    add(entry){
+        this.#probation.push(entry);
+    }
+
+    access(entry){
+        if(entry.list === this.#protected){
+            this.#protected.moveToTail(entry);
+            return;
+        }
+        this.#probation.remove(entry);
+        this.#protected.push(entry);
+
+        // demote least recently used protected entries if segment is full
+        const maxProtected = this.capacity.getMax() * this.#protectedRatio;
+        while(this.#protected.weight > maxProtected && this.#protected.head !== entry){
+            let demoted = this.#protected.head;
+            this.#protected.remove(demoted);
+            this.#probation.push(demoted);
+        }
+    }
+
+    remove(entry, reason){
+        entry.list.remove(entry);
+    }
+
+    clear(){
+        this.#probation.clear();
+        this.#protected.clear();
+    }
+
+    *victims(){
+        yield* this.#probation;
+        yield* this.#protected;
+    }
+
+    exportEntry(entry){
+        return entry.list === this.#protected ? {protected: true} : undefined;
+    }
+
+    importEntry(entry, meta){
+        (meta && meta.protected ? this.#protected : this.#probation).push(entry);
+    }
+
+    exportState(){
+        return {protectedRatio: this.#protectedRatio};
+    }
+
+    importState(state){
+        if(state && state.protectedRatio !== undefined) this.#protectedRatio = Number(state.protectedRatio);
+    }
+}
+
+
+module.exports = {
+    SLRUPolicy
+}
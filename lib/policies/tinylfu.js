@@ -0,0 +1,277 @@
+const { EvictionPolicy } = require('./policy.js');
+const { EntryList } = require('./list.js');
+
+
+/**
+ * Probabilistic frequency estimator using four rows of 4-bit counters (count-min sketch).
+ * Counters get halfed after a sample of increments so estimates reflect recent popularity.
+ * Objects and functions are hashed by their identity, other keys by their string representation.
+ */
+class CountMinSketch {
+    #width;
+    #table = null;
+    #additions = 0;
+    #sampleSize;
+
+    /**
+     * @param {int} expectedEntries Amount of distinct keys that should be tracked accurately
+     */
+    constructor(expectedEntries){
+        this.resize(expectedEntries);
+    }
+
+    /**
+     * @returns Amount of distinct keys that can be tracked accurately
+     */
+    getWidth(){
+        return this.#width;
+    }
+
+    /**
+     * Adjusts the table to the given amount of keys while keeping the estimated frequencies
+     * @param {int} expectedEntries Amount of distinct keys that should be tracked accurately
+     */
+    resize(expectedEntries){
+        let width = 16;
+        while(width < expectedEntries && width < (1 << 24)) width *= 2;
+        const old = this.#table, oldWidth = this.#width;
+        this.#width = width;
+        this.#table = new Uint8Array(width * 4);
+        this.#sampleSize = width * 10;
+        if(old === null) return;
+
+        // widths are powers of two so each slot takes the counter of the old slot the same hashes mapped to
+        // (the highest one if several old slots map to it when shrinking)
+        for(let row=0; row < 4; row++){
+            for(let i=0; i < Math.max(width, oldWidth); i++){
+                const from = row * oldWidth + (i & (oldWidth - 1)), to = row * width + (i & (width - 1));
+                if(old[from] > this.#table[to]) this.#table[to] = old[from];
+            }
+        }
+    }
+
+    /**
+     * Increments the frequency of a key
+     * @param {*} key Key that has been accessed
+     */
+    increment(key){
+        const h1 = hash(key), h2 = rehash(h1);
+        let added = false;
+        for(let row=0; row < 4; row++){
+            const index = row * this.#width + ((h1 + row * h2) & (this.#width - 1));
+            if(this.#table[index] < 15){
+                this.#table[index]++;
+                added = true;
+            }
+        }
+        if(added && ++this.#additions >= this.#sampleSize) this.#age();
+    }
+
+    /**
+     * @param {*} key Key whose frequency should be estimated
+     * @returns Estimated amount of recent accesses (at most 15)
+     */
+    estimate(key){
+        const h1 = hash(key), h2 = rehash(h1);
+        let min = 15;
+        for(let row=0; row < 4; row++){
+            min = Math.min(min, this.#table[row * this.#width + ((h1 + row * h2) & (this.#width - 1))]);
+        }
+        return min;
+    }
+
+    #age(){
+        for(let i=0; i < this.#table.length; i++) this.#table[i] >>= 1;
+        this.#additions = Math.floor(this.#additions / 2);
+    }
+}
+
+/** Identities of object and function keys (garbage collected together with the keys) */
+const identities = new WeakMap();
+let nextIdentity = 1;
+
+/**
+ * @param {*} key Key that should be hashed
+ * @returns 32-bit hash of the identity of object and function keys, otherwise FNV-1a hash of the key as string
+ */
+function hash(key){
+    if((typeof key === 'object' && key !== null) || typeof key === 'function'){
+        let id = identities.get(key);
+        if(id === undefined) identities.set(key, id = nextIdentity++);
+        return rehash(id);
+    }
+    key = String(key);
+    let h = 0x811c9dc5;
+    for(let i=0; i < key.length; i++){
+        h ^= key.charCodeAt(i);
+        h = Math.imul(h, 0x01000193);
+    }
+    return h >>> 0;
+}
+
+/**
+ * @param {int} h Hash that should be mixed
+ * @returns Second independent hash derived from the given one (odd so all slots get reached)
+ */
+function rehash(h){
+    h = Math.imul(h ^ (h >>> 16), 0x85ebca6b);
+    h = Math.imul(h ^ (h >>> 13), 0xc2b2ae35);
+    return ((h ^ (h >>> 16)) | 1) >>> 0;
+}
+
+
+
+
+/**
+ * Window TinyLFU: new entries are put into a small LRU window, entries leaving the window
+ * compete with the least recently used entry of the main segment (segmented LRU) and only
+ * get admitted if a count-min sketch estimates that they have been accessed more often.
+ * Combines scan resistance with fast adaption to changing workloads.
+ * @author LupCode.com
+ */
+class WTinyLFUPolicy extends EvictionPolicy {
+    #windowRatio;
+    #protectedRatio;
+    #window = new EntryList();
+    #probation = new EntryList();
+    #protected = new EntryList();
+    #sketch = new CountMinSketch(16);
+
+    /**
+     * @param {Number} windowRatio Share between 0 and 1 of the capacity reserved for the LRU window
+     * @param {Number} protectedRatio Share between 0 and 1 of the main segment reserved for its protected part
+     */
+    constructor(windowRatio=0.01, protectedRatio=0.8){
+        super();
+        this.#windowRatio = Math.min(Math.max(Number(windowRatio), 0), 1);
+        this.#protectedRatio = Math.min(Math.max(Number(protectedRatio), 0), 1);
+    }
+
+    add(entry){
+        this.#sketch.increment(entry.key);
+        this.#window.push(entry);
+
+        // grow sketch once more entries are stored than it can track accurately
+        const count = this.#window.size + this.#probation.size + this.#protected.size;
+        if(count > this.#sketch.getWidth()) this.#sketch.resize(count * 2);
+    }
+
+    access(entry){
+        this.#sketch.increment(entry.key);
+        if(entry.list !== this.#probation){
+            entry.list.moveToTail(entry);
+            return;
+        }
+        this.#probation.remove(entry);
+        this.#protected.push(entry);
+
+        // demote least recently used protected entries if segment is full
+        const maxProtected = this.capacity.getMax() * (1 - this.#windowRatio) * this.#protectedRatio;
+        while(this.#protected.weight > maxProtected && this.#protected.head !== entry){
+            let demoted = this.#protected.head;
+            this.#protected.remove(demoted);
+            this.#probation.push(demoted);
+        }
+    }
+
+    remove(entry, reason){
+        entry.list.remove(entry);
+    }
+
+    clear(){
+        this.#window.clear();
+        this.#probation.clear();
+        this.#protected.clear();
+    }
+
+    *victims(){
+        // entries leaving the window become candidates at the end of the probation segment
+        const maxWindow = Math.max(this.capacity.getMax() * this.#windowRatio, 1);
+        let candidates = [];
+        while(this.#window.weight > maxWindow && this.#window.head){
+            let entry = this.#window.head;
+            this.#window.remove(entry);
+            this.#probation.push(entry);
+            candidates.push(entry);
+        }
+
+        // let candidates compete with the least recently used entries of the main segment
+        let skipped = new Set(candidates), vetoed = new Set();
+        let committed = false; // if an eviction has happened
+        let last = null; // entry returned last (cache may stop iterating right after evicting it)
+        try {
+            let victim = this.#probation.head;
+            let index = 0;
+            while(true){
+                while(victim && skipped.has(victim)) victim = victim.next;
+                while(index < candidates.length && candidates[index].list !== this.#probation) index++;
+                let candidate = candidates[index];
+                if(!victim && !candidate) break;
+
+                if(candidate && (!victim || this.#sketch.estimate(candidate.key) <= this.#sketch.estimate(victim.key))){
+                    index++;
+                    yield last = candidate;
+                    if(candidate.list === null) committed = true; else vetoed.add(candidate);
+                } else {
+                    skipped.add(victim);
+                    let next = victim.next;
+                    yield last = victim;
+                    if(victim.list === null) committed = true;
+                    victim = next;
+                }
+            }
+            for(let entry of this.#protected){
+                yield last = entry;
+                if(entry.list === null) committed = true;
+            }
+            for(let entry of this.#window){
+                yield last = entry;
+                if(entry.list === null) committed = true;
+            }
+        } finally {
+            if(last && last.list === null) committed = true;
+            // candidates only leave the window if evicting made room, vetoed ones stay in the window
+            for(let i=candidates.length - 1; i >= 0; i--){
+                const entry = candidates[i];
+                if(entry.list === this.#probation && (!committed || vetoed.has(entry))){
+                    this.#probation.remove(entry);
+                    this.#window.unshift(entry);
+                }
+            }
+        }
+    }
+
+    *entries(){
+        yield* this.#probation;
+        yield* this.#protected;
+        yield* this.#window;
+    }
+
+    exportEntry(entry){
+        if(entry.list === this.#window) return {segment: "window"};
+        if(entry.list === this.#protected) return {segment: "protected"};
+        return undefined;
+    }
+
+    importEntry(entry, meta){
+        const segment = meta ? meta.segment : undefined;
+        (segment === "window" ? this.#window : segment === "protected" ? this.#protected : this.#probation).push(entry);
+        this.#sketch.increment(entry.key);
+    }
+
+    exportState(){
+        return {windowRatio: this.#windowRatio, protectedRatio: this.#protectedRatio};
+    }
+
+    importState(state){
+        if(!state) return;
+        if(state.windowRatio !== undefined) this.#windowRatio = Number(state.windowRatio);
+        if(state.protectedRatio !== undefined) this.#protectedRatio = Number(state.protectedRatio);
+    }
+}
+
+
+module.exports = {
+    CountMinSketch,
+    WTinyLFUPolicy
+}
@@ -0,0 +1,95 @@
+const { EvictionPolicy } = require('./policy.js');
+const { EntryList, GhostList } = require('./list.js');
+const { EvictReason } = require('../cache.js');
+
+
+/**
+ * 2Q algorithm: new entries are put into a FIFO queue ({@code A1in}) and keys evicted from it
+ * are remembered in a ghost queue ({@code A1out}). Only entries that come back while being
+ * remembered are put into the main LRU queue ({@code Am}) so one-off scans cannot flush it.
+ * @author LupCode.com
+ */
+class TwoQPolicy extends EvictionPolicy {
+    #inRatio;
+    #outRatio;
+    #in = new EntryList();
+    #main = new EntryList();
+    #out = new GhostList();
+
+    /**
+     * @param {Number} inRatio Share between 0 and 1 of the capacity the FIFO queue may occupy before it gets evicted from first
+     * @param {Number} outRatio Total weight of remembered keys relative to the capacity
+     */
+    constructor(inRatio=0.25, outRatio=0.5){
+        super();
+        this.#inRatio = Number(inRatio);
+        this.#outRatio = Number(outRatio);
+    }
+
+    add(entry){
+        if(this.#out.delete(entry.key)) this.#main.push(entry); else this.#in.push(entry);
+    }
+
+    access(entry){
+        if(entry.list === this.#main) this.#main.moveToTail(entry);
+    }
+
+    remove(entry, reason){
+        let list = entry.list;
+        list.remove(entry);
+        if(list === this.#in && reason === EvictReason.CAPACITY){
+            this.#out.add(entry.key, entry.weight);
+            this.#out.trim(this.capacity.getMax() * this.#outRatio);
+        }
+    }
+
+    clear(){
+        this.#in.clear();
+        this.#main.clear();
+        this.#out.clear();
+    }
+
+    *victims(){
+        const maxIn = this.capacity.getMax() * this.#inRatio;
+        let entry = this.#in.head;
+        while(entry && this.#in.weight > maxIn){
+            let next = entry.next;
+            yield entry;
+            entry = next;
+        }
+        yield* this.#main;
+        while(entry){
+            let next = entry.next;
+            yield entry;
+            entry = next;
+        }
+    }
+
+    *entries(){
+        yield* this.#in;
+        yield* this.#main;
+    }
+
+    exportEntry(entry){
+        return entry.list === this.#main ? {main: true} : undefined;
+    }
+
+    importEntry(entry, meta){
+        (meta && meta.main ? this.#main : this.#in).push(entry);
+    }
+
+    exportState(){
+        return {inRatio: this.#inRatio, outRatio: this.#outRatio};
+    }
+
+    importState(state){
+        if(!state) return;
+        if(state.inRatio !== undefined) this.#inRatio = Number(state.inRatio);
+        if(state.outRatio !== undefined) this.#outRatio = Number(state.outRatio);
+    }
+}
+
+
+module.exports = {
+    TwoQPolicy
+}
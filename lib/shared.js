@@ -0,0 +1,543 @@
+/** Identifies buffers created by {@link SharedFixedSizeLRUCache} */
+const MAGIC = 0x4c555053; // "LUPS"
+
+/** Indexes of the header fields (32-bit integers) */
+const LOCK = 0, MAGIC_FIELD = 1, MAX_ENTRIES = 2, BUCKETS = 3, BLOCK_SIZE = 4, BLOCK_COUNT = 5, MAX_BYTES = 6,
+    USED_BYTES = 7, COUNT = 8, HEAD = 9, TAIL = 10, FREE_SLOT = 11, FREE_BLOCK = 12, FREE_BLOCKS = 13, DEFAULT_TTL = 14;
+const HEADER_FIELDS = 16;
+
+/** Fields of an entry slot (32-bit integers) */
+const HASH_NEXT = 0, PREV = 1, NEXT = 2, BLOCK = 3, KEY_LENGTH = 4, VALUE_LENGTH = 5, TYPE = 6, HASH = 7;
+const SLOT_FIELDS = 8;
+
+/** Types of stored values */
+const TYPE_STRING = 0, TYPE_BUFFER = 1;
+
+/** Marks the end of a chain */
+const NONE = -1;
+
+/**
+ * @param {Buffer} bytes Bytes of a key
+ * @returns 32-bit FNV-1a hash of the bytes
+ */
+function hash(bytes){
+    let h = 0x811c9dc5;
+    for(let i=0; i < bytes.length; i++){
+        h ^= bytes[i];
+        h = Math.imul(h, 0x01000193);
+    }
+    return h >>> 0;
+}
+
+/**
+ * @param {int} offset Byte offset
+ * @param {int} alignment Alignment in bytes
+ * @returns Smallest multiple of alignment that is not smaller than offset
+ */
+function align(offset, alignment){
+    return Math.ceil(offset / alignment) * alignment;
+}
+
+
+
+
+/**
+ * Fixed size cache storing {@type String} and {@type Buffer} values in a {@code SharedArrayBuffer}
+ * so all {@code worker_threads} of a process can use the same entries instead of keeping own copies.
+ * Keeps the LRU order (least recently used) and byte limit of {@link FixedSizeLRUCache}.
+ * All operations hold a lock (using {@code Atomics}) so concurrent calls from different threads are safe.
+ * Keys must be strings, values get copied into and out of the shared memory
+ * (so {@code get()} returns a copy of a stored Buffer).
+ * Pass {@code getSharedBuffer()} to a worker (e.g. as {@code workerData}) and
+ * call {@link SharedFixedSizeLRUCache.attach} there to use the same cache.
+ * @author LupCode.com
+ */
+class SharedFixedSizeLRUCache {
+    #buffer;
+    #header;
+    #buckets;
+    #slots;
+    #expires;
+    #blockNext;
+    #arena;
+    #clock = Date.now;
+
+    /**
+     * Creates a new cache with a fixed storing capacity
+     * @param {Number} maxSizeMB Limit how many mega bytes of values the cache can store
+     * @param {int} defaultTTL Time-to-live in milliseconds for entries that do not specify one on {@code put()} (zero or negative means no expiry)
+     * @param {Object} options Options defining the layout of the shared memory:
+     *  - maxEntries:   int     Maximum amount of entries (default one per 256 bytes of maximum size)
+     *  - blockSize:    int     Size in bytes of the blocks keys and values are stored in (default 64)
+     *  - keyBytes:     int     Average expected byte length of keys, used to reserve memory for them (default 32)
+     *  - buffer:       SharedArrayBuffer   Buffer of an existing cache (other options except clock are ignored, use {@link SharedFixedSizeLRUCache.attach})
+     *  - clock:        Function    Function returning the current timestamp in milliseconds (default {@code Date.now},
+     *                              should return the same time in all threads)
+     */
+    constructor(maxSizeMB, defaultTTL=0, options={}){
+        if(options.clock) this.setClock(options.clock);
+        if(options.buffer){
+            this.#map(options.buffer);
+            if(this.#header[MAGIC_FIELD] !== MAGIC) throw new Error("Buffer does not belong to a " + this.constructor.name);
+            return;
+        }
+        const maxBytes = Math.floor(maxSizeMB * 1024 * 1024);
+        if(!(maxBytes > 0) || maxBytes > 0x7fffffff) throw new Error("Maximum size must be greater than zero and less than 2048 MB");
+        const maxEntries = Math.max(1, parseInt(options.maxEntries) || Math.ceil(maxBytes / 256));
+        const blockSize = Math.max(8, parseInt(options.blockSize) || 64);
+        const keyBytes = options.keyBytes !== undefined ? Math.max(0, parseInt(options.keyBytes)) : 32;
+        // every entry wastes less than one block
+        const blockCount = Math.ceil((maxBytes + maxEntries * keyBytes) / blockSize) + maxEntries;
+        let buckets = 16;
+        while(buckets < maxEntries) buckets *= 2;
+
+        const layout = SharedFixedSizeLRUCache.#layout(maxEntries, buckets, blockSize, blockCount);
+        const buffer = new SharedArrayBuffer(layout.size);
+        const header = new Int32Array(buffer, 0, HEADER_FIELDS);
+        header[MAX_ENTRIES] = maxEntries;
+        header[BUCKETS] = buckets;
+        header[BLOCK_SIZE] = blockSize;
+        header[BLOCK_COUNT] = blockCount;
+        header[MAX_BYTES] = maxBytes;
+        header[DEFAULT_TTL] = parseInt(defaultTTL) || 0;
+        this.#map(buffer);
+        this.#reset();
+        Atomics.store(header, MAGIC_FIELD, MAGIC);
+    }
+
+    /**
+     * Uses the shared memory of a cache created in another thread
+     * @param {SharedArrayBuffer} buffer Buffer returned by {@code getSharedBuffer()} of the other cache
+     * @param {Object} options Additional options that can be set:
+     *  - clock:    Function    Function returning the current timestamp in milliseconds (default {@code Date.now})
+     * @returns Cache operating on the same entries
+     */
+    static attach(buffer, options={}){
+        return new this(0, 0, {buffer: buffer, clock: options.clock});
+    }
+
+    /**
+     * @returns Function returning the current timestamp in milliseconds
+     */
+    getClock(){
+        return this.#clock;
+    }
+
+    /**
+     * Sets the clock the expiry of entries is computed with
+     * @param {Function} clock Function returning the current timestamp in milliseconds (e.g. a fake clock in tests)
+     * @throws Error if clock is not a function
+     */
+    setClock(clock){
+        if(typeof clock !== 'function') throw new Error("Clock must be a function");
+        this.#clock = clock;
+    }
+
+    /**
+     * @returns Shared memory holding all entries that can be passed to other threads
+     */
+    getSharedBuffer(){
+        return this.#buffer;
+    }
+
+    /**
+     * @returns Amount of key-value pairs stored in cache
+     */
+    getCount(){
+        return Atomics.load(this.#header, COUNT);
+    }
+
+    /**
+     * @returns Total size of stored values in mega bytes
+     */
+    getSizeInMB(){
+        return Atomics.load(this.#header, USED_BYTES) / 1024 / 1024;
+    }
+
+    /**
+     * @returns Maximum total size of stored values in mega bytes
+     */
+    getMaxSizeMB(){
+        return Atomics.load(this.#header, MAX_BYTES) / 1024 / 1024;
+    }
+
+    /**
+     * Sets the maximum total size of all values (evicts entries if the cache is too full).
+     * Cannot exceed the size the shared memory has been created for.
+     * @param {Number} maxSizeMB Maximum byte size of all values in mega byte
+     */
+    setMaxSizeMB(maxSizeMB){
+        const maxBytes = Math.floor(maxSizeMB * 1024 * 1024);
+        if(!(maxBytes >= 0)) throw new Error("Maximum size must not be negative");
+        this.#locked(() => {
+            const header = this.#header;
+            header[MAX_BYTES] = Math.min(maxBytes, header[BLOCK_COUNT] * header[BLOCK_SIZE]);
+            while(header[USED_BYTES] > header[MAX_BYTES] && header[HEAD] !== NONE) this.#unlink(header[HEAD]);
+        });
+    }
+
+    /**
+     * @returns Time-to-live in milliseconds used for entries that do not specify one (zero means no expiry)
+     */
+    getDefaultTTL(){
+        return Atomics.load(this.#header, DEFAULT_TTL);
+    }
+
+    /**
+     * Sets the time-to-live used for entries that get put without specifying one (for all threads)
+     * @param {int} defaultTTL Time-to-live in milliseconds (zero or negative means no expiry)
+     */
+    setDefaultTTL(defaultTTL){
+        Atomics.store(this.#header, DEFAULT_TTL, parseInt(defaultTTL) || 0);
+    }
+
+    /**
+     * Puts a key-value pair into cache. If the key already exists its previous value gets replaced.
+     * @param {String} key Unique key to reference value in cache
+     * @param {String|Buffer} value Value that should be put into cache
+     * @param {Object} options Additional options that can be set:
+     *  - ttl:  int     Time-to-live in milliseconds after which entry expires (if not set default TTL of cache is used, zero means no expiry)
+     * @returns True if successfully put key-value pair into cache or false if value is too big to fit into cache
+     * @throws Error if key is not a string or value is neither a string nor a Buffer
+     */
+    put(key, value, options={}){
+        const keyBytes = this.#keyBytes(key);
+        let type, valueBytes;
+        if(typeof value === 'string' || value instanceof String){
+            type = TYPE_STRING;
+            valueBytes = Buffer.from(String(value), 'utf8');
+        } else if(value instanceof Uint8Array){
+            type = TYPE_BUFFER;
+            valueBytes = value;
+        } else throw new Error("Value must be of type String or Buffer");
+
+        const header = this.#header;
+        const blockSize = header[BLOCK_SIZE];
+        const blocks = Math.max(1, Math.ceil((keyBytes.length + valueBytes.length) / blockSize));
+        const h = hash(keyBytes);
+
+        return this.#locked(() => {
+            // previous value is only replaced once the new one is known to fit (after evicting all others if needed)
+            if(valueBytes.length > header[MAX_BYTES] || blocks > header[BLOCK_COUNT]) return false;
+            const old = this.#find(keyBytes, h);
+            if(old !== NONE) this.#unlink(old);
+            while(header[HEAD] !== NONE && (header[USED_BYTES] + valueBytes.length > header[MAX_BYTES] ||
+                    header[FREE_BLOCKS] < blocks || header[FREE_SLOT] === NONE)){
+                this.#unlink(header[HEAD]);
+            }
+            if(header[USED_BYTES] + valueBytes.length > header[MAX_BYTES] || header[FREE_BLOCKS] < blocks) return false;
+
+            // take slot from free list
+            const slot = header[FREE_SLOT];
+            const base = slot * SLOT_FIELDS;
+            header[FREE_SLOT] = this.#slots[base + NEXT];
+
+            // take blocks from free list and copy key and value into them
+            let first = NONE, previous = NONE, written = 0;
+            const total = keyBytes.length + valueBytes.length;
+            for(let i=0; i < blocks; i++){
+                const block = header[FREE_BLOCK];
+                header[FREE_BLOCK] = this.#blockNext[block];
+                this.#blockNext[block] = NONE;
+                if(previous === NONE) first = block; else this.#blockNext[previous] = block;
+                previous = block;
+                const start = block * blockSize, end = Math.min(total, written + blockSize);
+                for(let at = start; written < end; written++, at++){
+                    this.#arena[at] = written < keyBytes.length ? keyBytes[written] : valueBytes[written - keyBytes.length];
+                }
+            }
+            header[FREE_BLOCKS] -= blocks;
+
+            const ttl = options.ttl !== undefined ? parseInt(options.ttl) : header[DEFAULT_TTL];
+            this.#slots[base + BLOCK] = first;
+            this.#slots[base + KEY_LENGTH] = keyBytes.length;
+            this.#slots[base + VALUE_LENGTH] = valueBytes.length;
+            this.#slots[base + TYPE] = type;
+            this.#slots[base + HASH] = h | 0;
+            this.#expires[slot] = ttl > 0 ? this.#clock() + ttl : 0;
+
+            // insert into hash bucket and at tail of LRU list
+            const bucket = h & (header[BUCKETS] - 1);
+            this.#slots[base + HASH_NEXT] = this.#buckets[bucket];
+            this.#buckets[bucket] = slot;
+            this.#slots[base + PREV] = header[TAIL];
+            this.#slots[base + NEXT] = NONE;
+            if(header[TAIL] !== NONE) this.#slots[header[TAIL] * SLOT_FIELDS + NEXT] = slot; else header[HEAD] = slot;
+            header[TAIL] = slot;
+            header[USED_BYTES] += valueBytes.length;
+            header[COUNT]++;
+            return true;
+        });
+    }
+
+    /**
+     * Returns a value from the cache by its key and marks it as most recently used
+     * @param {String} key Key of the value that should be returned
+     * @returns Value (copy of a stored Buffer) if found or undefined if not found or expired
+     */
+    get(key){
+        const keyBytes = this.#keyBytes(key);
+        const h = hash(keyBytes);
+        return this.#locked(() => {
+            const slot = this.#find(keyBytes, h);
+            if(slot === NONE) return undefined;
+            if(this.#isExpired(slot)){
+                this.#unlink(slot);
+                return undefined;
+            }
+            this.#moveToTail(slot);
+            return this.#read(slot);
+        });
+    }
+
+    /**
+     * Returns a value without marking it as most recently used
+     * @param {String} key Key of the value that should be returned
+     * @returns Value (copy of a stored Buffer) if found or undefined if not found or expired
+     */
+    peek(key){
+        const keyBytes = this.#keyBytes(key);
+        const h = hash(keyBytes);
+        return this.#locked(() => {
+            const slot = this.#find(keyBytes, h);
+            if(slot === NONE || this.#isExpired(slot)) return undefined;
+            return this.#read(slot);
+        });
+    }
+
+    /**
+     * @param {String} key Key that should be checked
+     * @returns True if a value is stored for the key and has not expired
+     */
+    has(key){
+        const keyBytes = this.#keyBytes(key);
+        const h = hash(keyBytes);
+        return this.#locked(() => {
+            const slot = this.#find(keyBytes, h);
+            return slot !== NONE && !this.#isExpired(slot);
+        });
+    }
+
+    /**
+     * Removes a key-value pair from the cache immediatly
+     * @param {String} key Key of the value that should be removed
+     * @returns True if an entry has been removed
+     */
+    remove(key){
+        const keyBytes = this.#keyBytes(key);
+        const h = hash(keyBytes);
+        return this.#locked(() => {
+            const slot = this.#find(keyBytes, h);
+            if(slot === NONE) return false;
+            this.#unlink(slot);
+            return true;
+        });
+    }
+
+    /**
+     * Removes all entries (for all threads)
+     */
+    clear(){
+        this.#locked(() => this.#reset());
+    }
+
+    /**
+     * @returns String containing basic information about this cache
+     */
+    toString(){
+        return this.constructor.name + "{size=" + Number(this.getSizeInMB()).toFixed(2) + "/" + Number(this.getMaxSizeMB()).toFixed(2) +
+        "MB; entries=" + this.getCount() + "}";
+    }
+
+
+    /**
+     * Computes the offsets of all sections inside of the shared memory
+     * @returns Object containing the byte offsets of the sections and the total size
+     */
+    static #layout(maxEntries, buckets, blockSize, blockCount){
+        let layout = {buckets: HEADER_FIELDS * 4};
+        layout.slots = layout.buckets + buckets * 4;
+        layout.expires = align(layout.slots + maxEntries * SLOT_FIELDS * 4, 8);
+        layout.blockNext = layout.expires + maxEntries * 8;
+        layout.arena = layout.blockNext + blockCount * 4;
+        layout.size = layout.arena + blockCount * blockSize;
+        return layout;
+    }
+
+    /**
+     * Creates the views on the sections of the shared memory
+     * @param {SharedArrayBuffer} buffer Shared memory
+     */
+    #map(buffer){
+        this.#buffer = buffer;
+        this.#header = new Int32Array(buffer, 0, HEADER_FIELDS);
+        const header = this.#header;
+        const layout = SharedFixedSizeLRUCache.#layout(header[MAX_ENTRIES], header[BUCKETS], header[BLOCK_SIZE], header[BLOCK_COUNT]);
+        this.#buckets = new Int32Array(buffer, layout.buckets, header[BUCKETS]);
+        this.#slots = new Int32Array(buffer, layout.slots, header[MAX_ENTRIES] * SLOT_FIELDS);
+        this.#expires = new Float64Array(buffer, layout.expires, header[MAX_ENTRIES]);
+        this.#blockNext = new Int32Array(buffer, layout.blockNext, header[BLOCK_COUNT]);
+        this.#arena = new Uint8Array(buffer, layout.arena, header[BLOCK_COUNT] * header[BLOCK_SIZE]);
+    }
+
+    /**
+     * Runs a function while holding the lock of the shared memory
+     * @param {Function} operation Function that accesses the shared memory
+     * @returns Result of the function
+     */
+    #locked(operation){
+        const header = this.#header;
+        while(Atomics.compareExchange(header, LOCK, 0, 1) !== 0) Atomics.wait(header, LOCK, 1);
+        try {
+            return operation();
+        } finally {
+            Atomics.store(header, LOCK, 0);
+            Atomics.notify(header, LOCK, 1);
+        }
+    }
+
+    /**
+     * Empties all sections (lock must be held or memory must not be shared yet)
+     */
+    #reset(){
+        const header = this.#header;
+        const maxEntries = header[MAX_ENTRIES], blockCount = header[BLOCK_COUNT];
+        this.#buckets.fill(NONE);
+        for(let slot=0; slot < maxEntries; slot++) this.#slots[slot * SLOT_FIELDS + NEXT] = slot + 1 < maxEntries ? slot + 1 : NONE;
+        for(let block=0; block < blockCount; block++) this.#blockNext[block] = block + 1 < blockCount ? block + 1 : NONE;
+        header[USED_BYTES] = 0;
+        header[COUNT] = 0;
+        header[HEAD] = header[TAIL] = NONE;
+        header[FREE_SLOT] = 0;
+        header[FREE_BLOCK] = 0;
+        header[FREE_BLOCKS] = blockCount;
+    }
+
+    /**
+     * @param {String} key Key of an entry
+     * @returns UTF-8 bytes of the key
+     * @throws Error if key is not a string
+     */
+    #keyBytes(key){
+        if(typeof key !== 'string' && !(key instanceof String)) throw new Error("Key must be of type String");
+        return Buffer.from(String(key), 'utf8');
+    }
+
+    /**
+     * Looks up the slot of a key (lock must be held)
+     * @param {Buffer} keyBytes UTF-8 bytes of the key
+     * @param {int} h Hash of the key bytes
+     * @returns Index of the slot or {@code NONE} if not found
+     */
+    #find(keyBytes, h){
+        const blockSize = this.#header[BLOCK_SIZE];
+        let slot = this.#buckets[h & (this.#header[BUCKETS] - 1)];
+        search: while(slot !== NONE){
+            const base = slot * SLOT_FIELDS;
+            if(this.#slots[base + HASH] === (h | 0) && this.#slots[base + KEY_LENGTH] === keyBytes.length){
+                let block = this.#slots[base + BLOCK];
+                for(let i=0; i < keyBytes.length; i++){
+                    if(i > 0 && i % blockSize === 0) block = this.#blockNext[block];
+                    if(this.#arena[block * blockSize + i % blockSize] !== keyBytes[i]){
+                        slot = this.#slots[base + HASH_NEXT];
+                        continue search;
+                    }
+                }
+                return slot;
+            }
+            slot = this.#slots[base + HASH_NEXT];
+        }
+        return NONE;
+    }
+
+    /**
+     * @param {int} slot Index of a used slot
+     * @returns True if the time-to-live of the entry has elapsed
+     */
+    #isExpired(slot){
+        const expires = this.#expires[slot];
+        return expires > 0 && expires <= this.#clock();
+    }
+
+    /**
+     * Copies the value of an entry out of the shared memory (lock must be held)
+     * @param {int} slot Index of a used slot
+     * @returns Value of the entry
+     */
+    #read(slot){
+        const base = slot * SLOT_FIELDS;
+        const blockSize = this.#header[BLOCK_SIZE];
+        const keyLength = this.#slots[base + KEY_LENGTH], valueLength = this.#slots[base + VALUE_LENGTH];
+        let value = Buffer.allocUnsafe(valueLength);
+        let block = this.#slots[base + BLOCK], offset = 0;
+        for(let i = 0; i < keyLength + valueLength; i += blockSize){
+            const start = Math.max(i, keyLength), end = Math.min(i + blockSize, keyLength + valueLength);
+            if(start < end){
+                value.set(this.#arena.subarray(block * blockSize + start - i, block * blockSize + end - i), offset);
+                offset += end - start;
+            }
+            block = this.#blockNext[block];
+        }
+        return this.#slots[base + TYPE] === TYPE_STRING ? value.toString('utf8') : value;
+    }
+
+    /**
+     * Moves an entry to the tail of the LRU list (lock must be held)
+     * @param {int} slot Index of a used slot
+     */
+    #moveToTail(slot){
+        const header = this.#header;
+        if(header[TAIL] === slot) return;
+        const base = slot * SLOT_FIELDS;
+        const prev = this.#slots[base + PREV], next = this.#slots[base + NEXT];
+        if(prev !== NONE) this.#slots[prev * SLOT_FIELDS + NEXT] = next; else header[HEAD] = next;
+        this.#slots[next * SLOT_FIELDS + PREV] = prev;
+        this.#slots[base + PREV] = header[TAIL];
+        this.#slots[base + NEXT] = NONE;
+        this.#slots[header[TAIL] * SLOT_FIELDS + NEXT] = slot;
+        header[TAIL] = slot;
+    }
+
+    /**
+     * Removes an entry from its hash bucket and the LRU list and frees its memory (lock must be held)
+     * @param {int} slot Index of a used slot
+     */
+    #unlink(slot){
+        const header = this.#header;
+        const base = slot * SLOT_FIELDS;
+
+        // hash bucket
+        const bucket = (this.#slots[base + HASH] >>> 0) & (header[BUCKETS] - 1);
+        if(this.#buckets[bucket] === slot){
+            this.#buckets[bucket] = this.#slots[base + HASH_NEXT];
+        } else {
+            let current = this.#buckets[bucket];
+            while(this.#slots[current * SLOT_FIELDS + HASH_NEXT] !== slot) current = this.#slots[current * SLOT_FIELDS + HASH_NEXT];
+            this.#slots[current * SLOT_FIELDS + HASH_NEXT] = this.#slots[base + HASH_NEXT];
+        }
+
+        // LRU list
+        const prev = this.#slots[base + PREV], next = this.#slots[base + NEXT];
+        if(prev !== NONE) this.#slots[prev * SLOT_FIELDS + NEXT] = next; else header[HEAD] = next;
+        if(next !== NONE) this.#slots[next * SLOT_FIELDS + PREV] = prev; else header[TAIL] = prev;
+
+        // give blocks and slot back
+        let block = this.#slots[base + BLOCK], last = block, blocks = 1;
+        while(this.#blockNext[last] !== NONE){
+            last = this.#blockNext[last];
+            blocks++;
+        }
+        this.#blockNext[last] = header[FREE_BLOCK];
+        header[FREE_BLOCK] = block;
+        header[FREE_BLOCKS] += blocks;
+        this.#slots[base + NEXT] = header[FREE_SLOT];
+        header[FREE_SLOT] = slot;
+        header[USED_BYTES] -= this.#slots[base + VALUE_LENGTH];
+        header[COUNT]--;
+    }
+}
+
+
+module.exports = {
+    SharedFixedSizeLRUCache
+}
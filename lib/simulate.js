@@ -0,0 +1,149 @@
+const { TraceOp } = require('./trace.js');
+const { FixedSizeCache, FixedCountCache } = require('./fixed.js');
+const { LRUPolicy } = require('./policies/lru.js');
+const { LFUPolicy } = require('./policies/lfu.js');
+const { ARCPolicy } = require('./policies/arc.js');
+const { TwoQPolicy } = require('./policies/twoq.js');
+const { SLRUPolicy } = require('./policies/slru.js');
+const { WTinyLFUPolicy } = require('./policies/tinylfu.js');
+const { FIFOPolicy, ClockPolicy } = require('./policies/fifo.js');
+const { GDSFPolicy } = require('./policies/gdsf.js');
+
+
+/**
+ * Policies that can be simulated by the name used in the class names of the caches
+ */
+const SIMULATED_POLICIES = Object.freeze({
+    "LRU": function(){ return new LRUPolicy(); },
+    "LFU": function(expireMs){ return new LFUPolicy(expireMs); },
+    "ARC": function(){ return new ARCPolicy(); },
+    "2Q": function(){ return new TwoQPolicy(); },
+    "SLRU": function(){ return new SLRUPolicy(); },
+    "WTinyLFU": function(){ return new WTinyLFUPolicy(); },
+    "FIFO": function(){ return new FIFOPolicy(); },
+    "Clock": function(){ return new ClockPolicy(); },
+    "GDSF": function(){ return new GDSFPolicy(); }
+});
+
+
+
+
+/**
+ * Replays a trace recorded by a {@link TraceRecorder} against every combination of the given policies and capacities.
+ * Lookups that miss do not put anything, the trace contains the puts that followed them in the recorded application.
+ * The caches use the timestamps of the trace as clock so time based behavior like the LFU decay is replayed as recorded.
+ * @param {Object} trace Trace returned by {@link readTrace}
+ * @param {Object} options Options that define the grid:
+ *  - capacities:   Array   Capacities that should be simulated (required)
+ *  - unit:         String  "entries" to simulate {@code FixedCount*} caches or "MB" to simulate {@code FixedSize*} caches (default "entries")
+ *  - policies:     Array   Names of the policies (keys of {@code SIMULATED_POLICIES}, default all)
+ *  - expireMs:     Array   Intervals at which LFU halves its access counters (default [60000], negative disables)
+ * @returns Array of results in grid order, each containing {@code policy}, {@code capacity}, {@code unit},
+ * {@code expireMs} (null for other policies than LFU), {@code lookups}, {@code hits}, {@code hitRate}, {@code byteHitRate},
+ * {@code evictions} and {@code opsPerSec} (replayed records per second)
+ * @throws Error if a policy is unknown or no capacities are given
+ */
+function simulate(trace, options={}){
+    const unit = options.unit || "entries";
+    if(unit !== "entries" && unit !== "MB") throw new Error("Unit must be \"entries\" or \"MB\" but is " + unit);
+    const capacities = [].concat(options.capacities || []).map(Number);
+    if(capacities.length === 0 || capacities.some(function(c){ return !(c > 0); }))
+        throw new Error("Capacities must be positive numbers");
+    const policies = options.policies ? [].concat(options.policies) : Object.keys(SIMULATED_POLICIES);
+    for(let name of policies) if(!SIMULATED_POLICIES[name]) throw new Error("Unknown policy: " + name);
+    const expireMs = options.expireMs ? [].concat(options.expireMs).map(Number) : [60000];
+
+    // lookups before the first put of a key count with the size of that put
+    let firstSizes = new Float64Array(trace.keys);
+    let seen = new Uint8Array(trace.keys);
+    for(let i=0; i < trace.length; i++){
+        if(trace.ops[i] !== TraceOp.PUT || seen[trace.keyIds[i]]) continue;
+        seen[trace.keyIds[i]] = 1;
+        firstSizes[trace.keyIds[i]] = trace.sizes[i];
+    }
+
+    let results = [];
+    for(let name of policies){
+        for(let capacity of capacities){
+            for(let expire of (name === "LFU" ? expireMs : [null])){
+                const policy = SIMULATED_POLICIES[name](expire);
+                const cache = unit === "MB" ? new FixedSizeCache(capacity, policy) : new FixedCountCache(capacity, policy);
+                results.push(Object.assign({policy: name, capacity: capacity, unit: unit, expireMs: expire}, replay(trace, cache, firstSizes)));
+            }
+        }
+    }
+    return results;
+}
+
+/**
+ * Replays a trace against a single cache
+ * @param {Object} trace Trace returned by {@link readTrace}
+ * @param {Cache} cache Empty cache
+ * @param {Float64Array} firstSizes Size of the first put of each key
+ * @returns Object containing the counters of the replay
+ */
+function replay(trace, cache, firstSizes){
+    let now = trace.start;
+    cache.setClock(function(){ return now; });
+    let sizes = Float64Array.from(firstSizes);
+    let lookups = 0, hits = 0, bytes = 0, hitBytes = 0;
+    const started = process.hrtime.bigint();
+    for(let i=0; i < trace.length; i++){
+        now = trace.times[i];
+        const key = trace.keyIds[i];
+        switch(trace.ops[i]){
+            case TraceOp.GET:
+                lookups++;
+                bytes += sizes[key];
+                if(cache.get(key) !== undefined){
+                    hits++;
+                    hitBytes += sizes[key];
+                }
+                break;
+            case TraceOp.PUT:
+                sizes[key] = trace.sizes[i];
+                cache.put(key, true, {size: trace.sizes[i]});
+                break;
+            case TraceOp.REMOVE:
+                cache.remove(key);
+                break;
+            case TraceOp.CLEAR:
+                cache.clear();
+                break;
+        }
+    }
+    const seconds = Number(process.hrtime.bigint() - started) / 1e9;
+    return {
+        lookups: lookups,
+        hits: hits,
+        hitRate: lookups > 0 ? hits / lookups : 0,
+        byteHitRate: bytes > 0 ? hitBytes / bytes : 0,
+        evictions: cache.getStats().evictions,
+        opsPerSec: seconds > 0 ? Math.round(trace.length / seconds) : 0
+    };
+}
+
+/**
+ * @param {Array} results Results returned by {@link simulate}
+ * @returns String containing the results as text table sorted as given
+ */
+function formatResults(results){
+    const header = ["policy", "capacity", "expireMs", "hit rate", "byte hit rate", "evictions", "ops/sec"];
+    const rows = results.map(function(r){
+        return [r.policy, r.capacity + (r.unit === "MB" ? "MB" : ""), r.expireMs === null ? "-" : String(r.expireMs),
+            (r.hitRate * 100).toFixed(2) + "%", (r.byteHitRate * 100).toFixed(2) + "%", String(r.evictions), String(r.opsPerSec)];
+    });
+    const widths = header.map(function(title, i){
+        return Math.max(title.length, ...rows.map(function(row){ return String(row[i]).length; }));
+    });
+    return [header].concat(rows).map(function(row){
+        return row.map(function(cell, i){ return i === 0 ? String(cell).padEnd(widths[i]) : String(cell).padStart(widths[i]); }).join("  ");
+    }).join("\n");
+}
+
+
+module.exports = {
+    SIMULATED_POLICIES,
+    simulate,
+    formatResults
+}
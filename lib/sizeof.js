@@ -0,0 +1,90 @@
+/**
+ * Default model of the bytes values need in memory besides their content
+ * (roughly matches V8 on 64-bit systems)
+ */
+const DEFAULT_OVERHEAD = Object.freeze({
+    /** Header of objects, arrays, Maps, Sets, Dates and binary data */
+    object: 16,
+    /** Slot of a property, array element or Map/Set entry */
+    slot: 8,
+    /** Header of strings (content is counted in UTF-8 bytes) */
+    string: 12,
+    /** Numbers, BigInts (without their digits) and symbols */
+    number: 8,
+    /** Booleans, null and undefined */
+    boolean: 4
+});
+
+/** Default maximum depth of nested values that gets walked */
+const DEFAULT_MAX_DEPTH = 16;
+
+
+
+
+/**
+ * Estimates the amount of bytes a value needs in memory by walking it recursively.
+ * Supports primitives, objects, arrays, Maps, Sets, TypedArrays, ArrayBuffers, DataViews, Dates and Buffers.
+ * Values referenced multiple times (including cycles) are counted once.
+ * @param {*} value Value whose size should be estimated
+ * @param {Object} options Additional options that can be set:
+ *  - maxDepth:     int     Maximum depth of nested values that gets walked (deeper values only count as a reference)
+ *  - overhead:     Object  Overrides parts of the {@link DEFAULT_OVERHEAD} model
+ * @returns Estimated amount of bytes
+ */
+function estimateSize(value, options={}){
+    const maxDepth = options.maxDepth !== undefined ? parseInt(options.maxDepth) : DEFAULT_MAX_DEPTH;
+    const overhead = options.overhead ? Object.assign({}, DEFAULT_OVERHEAD, options.overhead) : DEFAULT_OVERHEAD;
+    let seen = new Set();
+
+    function walk(value, depth){
+        switch(typeof value){
+            case 'string': return overhead.string + Buffer.byteLength(value);
+            case 'number': return overhead.number;
+            case 'bigint': return overhead.number + Math.ceil(value.toString(16).length / 2);
+            case 'symbol': return overhead.number;
+            case 'boolean':
+            case 'undefined': return overhead.boolean;
+            case 'function': return overhead.object;
+        }
+        if(value === null) return overhead.boolean;
+        if(seen.has(value) || depth > maxDepth) return 0;
+        seen.add(value);
+
+        if(ArrayBuffer.isView(value)){
+            // views sharing a buffer count the viewed bytes only
+            return overhead.object + value.byteLength;
+        }
+        if(value instanceof ArrayBuffer || (typeof SharedArrayBuffer !== 'undefined' && value instanceof SharedArrayBuffer)){
+            return overhead.object + value.byteLength;
+        }
+        if(value instanceof Date) return overhead.object + overhead.number;
+        if(value instanceof String) return overhead.object + walk(value.valueOf(), depth);
+
+        let size = overhead.object;
+        if(value instanceof Map){
+            for(let [k, v] of value) size += overhead.slot * 2 + walk(k, depth + 1) + walk(v, depth + 1);
+            return size;
+        }
+        if(value instanceof Set){
+            for(let v of value) size += overhead.slot + walk(v, depth + 1);
+            return size;
+        }
+        if(Array.isArray(value)){
+            for(let i=0; i < value.length; i++) size += overhead.slot + walk(value[i], depth + 1);
+            return size;
+        }
+        for(let key of Object.keys(value)){
+            size += overhead.slot + Buffer.byteLength(key) + walk(value[key], depth + 1);
+        }
+        return size;
+    }
+
+    return walk(value, 0);
+}
+
+
+module.exports = {
+    DEFAULT_OVERHEAD,
+    DEFAULT_MAX_DEPTH,
+    estimateSize
+}
@@ -0,0 +1,164 @@
+const fs = require('fs');
+const path = require('path');
+
+
+/** First bytes of every snapshot */
+const MAGIC = Buffer.from("LUPC");
+
+/** Counter making the names of temporary files unique among concurrent writes of this process */
+let tmpSequence = 0;
+
+/** Version of the format written by {@link encodeSnapshot}, older versions can still be read */
+const SNAPSHOT_VERSION = 1;
+
+/** Types of values stored in a snapshot */
+const ValueType = Object.freeze({
+    STRING: 0,
+    BUFFER: 1,
+    SERIALIZED: 2
+});
+
+/**
+ * Serializer used for values that are neither {@type String} nor {@type Buffer}
+ */
+const JSONSerializer = Object.freeze({
+    serialize: function(value){ return JSON.stringify(value); },
+    deserialize: function(buffer){ return JSON.parse(buffer.toString('utf8')); }
+});
+
+
+/**
+ * Encodes a snapshot in the following format (numbers are unsigned 32-bit big endian):
+ *  - "LUPC", version (16-bit), header length, header as JSON
+ *  - for each entry: meta length, meta as JSON, value type (8-bit), value length, value bytes
+ * Entries whose value the serializer cannot represent (it returns undefined or null, like JSON for
+ * {@code undefined}, functions and symbols) are skipped, so a single entry cannot make the snapshot unreadable.
+ * @param {Object} header JSON serializable information about the cache
+ * @param {Iterable} entries Objects with {@code key}, {@code value} and {@code meta} (JSON serializable) in the order they should be restored
+ * @param {Object} serializer Object with {@code serialize(value)} returning a {@type String} or {@type Buffer}
+ * @returns Buffer containing the snapshot
+ */
+function encodeSnapshot(header, entries, serializer=JSONSerializer){
+    let chunks = [];
+    let head = Buffer.alloc(6);
+    MAGIC.copy(head, 0);
+    head.writeUInt16BE(SNAPSHOT_VERSION, 4);
+    chunks.push(head, lengthPrefixed(Buffer.from(JSON.stringify(header))));
+
+    for(let entry of entries){
+        let type, bytes;
+        if(typeof entry.value === 'string' || entry.value instanceof String){
+            type = ValueType.STRING;
+            bytes = Buffer.from(String(entry.value), 'utf8');
+        } else if(Buffer.isBuffer(entry.value)){
+            type = ValueType.BUFFER;
+            bytes = entry.value;
+        } else {
+            type = ValueType.SERIALIZED;
+            bytes = serializer.serialize(entry.value);
+            if(bytes === undefined || bytes === null) continue;
+            if(!Buffer.isBuffer(bytes)) bytes = Buffer.from(String(bytes), 'utf8');
+        }
+        chunks.push(lengthPrefixed(Buffer.from(JSON.stringify(Object.assign({key: entry.key}, entry.meta)))));
+        chunks.push(Buffer.from([type]), lengthPrefixed(bytes));
+    }
+    return Buffer.concat(chunks);
+}
+
+/**
+ * Decodes a snapshot created by {@link encodeSnapshot}
+ * @param {Buffer} buffer Bytes of the snapshot
+ * @param {Object} serializer Object with {@code deserialize(buffer)} returning the value
+ * @returns Object with {@code version}, {@code header} and {@code entries} (array of objects with {@code key}, {@code value} and {@code meta})
+ * @throws Error if buffer is not a snapshot, has been written by a newer version or is truncated
+ */
+function decodeSnapshot(buffer, serializer=JSONSerializer){
+    if(buffer.length < 6 || !buffer.subarray(0, 4).equals(MAGIC)) throw new Error("Data is not a cache snapshot");
+    const version = buffer.readUInt16BE(4);
+    if(version < 1 || version > SNAPSHOT_VERSION) throw new Error("Snapshot version " + version + " is not supported (supported up to " + SNAPSHOT_VERSION + ")");
+
+    let offset = 6;
+    function next(){
+        if(offset + 4 > buffer.length) throw new Error("Snapshot is truncated");
+        const length = buffer.readUInt32BE(offset);
+        if(offset + 4 + length > buffer.length) throw new Error("Snapshot is truncated");
+        const bytes = buffer.subarray(offset + 4, offset + 4 + length);
+        offset += 4 + length;
+        return bytes;
+    }
+
+    const header = JSON.parse(next().toString('utf8'));
+    let entries = [];
+    while(offset < buffer.length){
+        let meta = JSON.parse(next().toString('utf8'));
+        if(offset >= buffer.length) throw new Error("Snapshot is truncated");
+        const type = buffer[offset++];
+        const bytes = next();
+        let value;
+        if(type === ValueType.STRING) value = bytes.toString('utf8');
+        else if(type === ValueType.BUFFER) value = Buffer.from(bytes);
+        else if(type === ValueType.SERIALIZED) value = serializer.deserialize(bytes);
+        else throw new Error("Unknown value type " + type + " in snapshot");
+        const key = meta.key;
+        delete meta.key;
+        entries.push({key: key, value: value, meta: meta});
+    }
+    return {version: version, header: header, entries: entries};
+}
+
+/**
+ * Writes a snapshot to a file (atomically by renaming a temporary file that gets removed if writing fails) or a writable stream
+ * @param {Buffer} buffer Bytes of the snapshot
+ * @param {String|Writable} target File path or writable stream (does not get ended)
+ * @returns Promise that resolves once the snapshot has been written
+ */
+async function writeSnapshot(buffer, target){
+    if(typeof target === 'string' || target instanceof String){
+        const file = path.resolve(String(target));
+        const tmp = file + "." + process.pid + "-" + (tmpSequence++).toString(36) + ".tmp";
+        try {
+            await fs.promises.writeFile(tmp, buffer);
+            await fs.promises.rename(tmp, file);
+        } catch(err){
+            await fs.promises.unlink(tmp).catch(function(){});
+            throw err;
+        }
+        return;
+    }
+    await new Promise(function(resolve, reject){
+        target.write(buffer, function(err){ if(err) reject(err); else resolve(); });
+    });
+}
+
+/**
+ * Reads a snapshot from a file or a readable stream
+ * @param {String|Readable|Buffer} source File path, readable stream or the snapshot itself
+ * @returns Promise resolving to the bytes of the snapshot
+ */
+async function readSnapshot(source){
+    if(Buffer.isBuffer(source)) return source;
+    if(typeof source === 'string' || source instanceof String) return fs.promises.readFile(String(source));
+    let chunks = [];
+    for await (let chunk of source) chunks.push(typeof chunk === 'string' ? Buffer.from(chunk) : chunk);
+    return Buffer.concat(chunks);
+}
+
+/**
+ * @param {Buffer} bytes Bytes that should be prefixed
+ * @returns Buffer containing the length of the given bytes followed by the bytes
+ */
+function lengthPrefixed(bytes){
+    let length = Buffer.alloc(4);
+    length.writeUInt32BE(bytes.length, 0);
+    return Buffer.concat([length, bytes]);
+}
+
+
+module.exports = {
+    SNAPSHOT_VERSION,
+    JSONSerializer,
+    encodeSnapshot,
+    decodeSnapshot,
+    writeSnapshot,
+    readSnapshot
+}
@@ -0,0 +1,42 @@
+/**
+ * Base class of adapters that connect a {@link StoreBackedCache} to a persistent store
+ * (e.g. a database, a key-value server or the file system).
+ * Subclasses implement {@code get()}, {@code set()} and {@code delete()} which may return promises.
+ * Any object providing these three functions can be used as adapter, extending this class is optional.
+ * @author LupCode.com
+ */
+class StoreAdapter {
+
+    /**
+     * Reads a value from the store
+     * @param {*} key Key of the value that should be returned
+     * @returns Value (or promise of it) or undefined if the store does not contain the key
+     */
+    get(key){
+        throw new Error(this.constructor.name + " does not implement get()");
+    }
+
+    /**
+     * Writes a value into the store
+     * @param {*} key Key of the value
+     * @param {*} value Value that should be stored
+     * @returns Promise that resolves once the value has been stored
+     */
+    set(key, value){
+        throw new Error(this.constructor.name + " does not implement set()");
+    }
+
+    /**
+     * Removes a value from the store (removing a key that does not exist is not an error)
+     * @param {*} key Key of the value that should be removed
+     * @returns Promise that resolves once the value has been removed
+     */
+    delete(key){
+        throw new Error(this.constructor.name + " does not implement delete()");
+    }
+}
+
+
+module.exports = {
+    StoreAdapter
+}
@@ -0,0 +1,157 @@
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const { StoreAdapter } = require('./adapter.js');
+const { JSONSerializer } = require('../snapshot.js');
+
+
+/**
+ * Types of values stored in value files
+ */
+const ValueType = Object.freeze({
+    STRING: 0,
+    BUFFER: 1,
+    SERIALIZED: 2
+});
+
+const EXTENSION = ".value";
+
+
+
+
+/**
+ * Store adapter keeping each value in a file of a local directory.
+ * File names are derived from a hash of the key and files get written to a temporary file first
+ * and then renamed so a value is never read partially written.
+ * Keys must be strings or numbers (numbers are stored as strings).
+ * @author LupCode.com
+ */
+class FileSystemAdapter extends StoreAdapter {
+    #directory;
+    #serializer;
+    #ready = null;
+    #sequence = 0;
+
+    /**
+     * Creates a new adapter
+     * @param {String} directory Directory the values get stored in (gets created if it does not exist)
+     * @param {Object} options Additional options that can be set:
+     *  - serializer:   Object  Object with {@code serialize(value)} returning a {@type String} or {@type Buffer}
+     *                          and {@code deserialize(buffer)} returning the value for values that are neither
+     *                          {@type String} nor {@type Buffer} (default uses JSON)
+     */
+    constructor(directory, options={}){
+        super();
+        if(!directory) throw new Error("Directory must be provided");
+        this.#directory = path.resolve(String(directory));
+        this.#serializer = options.serializer || JSONSerializer;
+    }
+
+    /**
+     * @returns Absolute path of the directory the values are stored in
+     */
+    getDirectory(){
+        return this.#directory;
+    }
+
+    /**
+     * @param {String|Number} key Key of the value that should be returned
+     * @returns Promise resolving to the value or undefined if no file exists for the key
+     */
+    async get(key){
+        let data;
+        try {
+            data = await fs.promises.readFile(this.#file(key));
+        } catch(err){
+            if(err.code === 'ENOENT') return undefined;
+            throw err;
+        }
+        const name = Buffer.from(String(key), 'utf8');
+        if(data.length < 5 || data.readUInt32BE(1) !== name.length || !data.subarray(5, 5 + name.length).equals(name)) return undefined;
+        const bytes = data.subarray(5 + name.length);
+        if(data[0] === ValueType.STRING) return bytes.toString('utf8');
+        if(data[0] === ValueType.BUFFER) return Buffer.from(bytes);
+        return this.#serializer.deserialize(bytes);
+    }
+
+    /**
+     * @param {String|Number} key Key of the value
+     * @param {*} value Value that should be written
+     * @returns Promise that resolves once the file has been written
+     */
+    async set(key, value){
+        const file = this.#file(key);
+        const data = this.#encode(key, value);
+        if(!this.#ready) this.#ready = fs.promises.mkdir(this.#directory, {recursive: true}).catch((err) => {
+            this.#ready = null;
+            throw err;
+        });
+        await this.#ready;
+        const tmp = file + "." + process.pid + "-" + (this.#sequence++).toString(36) + ".tmp";
+        try {
+            await fs.promises.writeFile(tmp, data);
+            await fs.promises.rename(tmp, file);
+        } catch(err){
+            await fs.promises.unlink(tmp).catch(function(){});
+            throw err;
+        }
+    }
+
+    /**
+     * @param {String|Number} key Key of the value that should be removed
+     * @returns Promise that resolves once the file has been deleted
+     */
+    async delete(key){
+        try {
+            await fs.promises.unlink(this.#file(key));
+        } catch(err){
+            if(err.code !== 'ENOENT') throw err;
+        }
+    }
+
+    /**
+     * @returns String containing basic information about this adapter
+     */
+    toString(){
+        return this.constructor.name + "{directory=" + this.#directory + "}";
+    }
+
+
+    /**
+     * @param {String|Number} key Key of a value
+     * @returns Path of the file storing the value
+     */
+    #file(key){
+        if(typeof key !== 'string' && typeof key !== 'number') throw new Error("Key must be of type String or Number");
+        return path.join(this.#directory, crypto.createHash('sha1').update(String(key)).digest('hex') + EXTENSION);
+    }
+
+    /**
+     * Encodes a value file: value type (8-bit), key length (32-bit), key, value bytes
+     * @returns Buffer containing the file contents
+     */
+    #encode(key, value){
+        let type, bytes;
+        if(typeof value === 'string' || value instanceof String){
+            type = ValueType.STRING;
+            bytes = Buffer.from(String(value), 'utf8');
+        } else if(Buffer.isBuffer(value)){
+            type = ValueType.BUFFER;
+            bytes = value;
+        } else {
+            type = ValueType.SERIALIZED;
+            bytes = this.#serializer.serialize(value);
+            if(!Buffer.isBuffer(bytes)) bytes = Buffer.from(String(bytes), 'utf8');
+        }
+        const name = Buffer.from(String(key), 'utf8');
+        let head = Buffer.alloc(5);
+        head[0] = type;
+        head.writeUInt32BE(name.length, 1);
+        return Buffer.concat([head, name, bytes]);
+    }
+}
+
+
+module.exports = {
+    FileSystemAdapter
+}
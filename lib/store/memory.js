@@ -0,0 +1,91 @@
+const { StoreAdapter } = require('./adapter.js');
+
+
+/**
+ * Store adapter keeping all values in a {@code Map}. Intended for tests of code using a
+ * {@link StoreBackedCache}: it counts the calls it receives, can delay them to simulate
+ * a slow store and can be told to fail a number of upcoming calls.
+ * @author LupCode.com
+ */
+class MemoryAdapter extends StoreAdapter {
+    #map = new Map();
+    #delay;
+    #calls = {get: 0, set: 0, delete: 0};
+    #failures = 0;
+    #error = null;
+
+    /**
+     * Creates a new empty in-memory store
+     * @param {Object} options Additional options that can be set:
+     *  - delayMs:  int     Milliseconds each call takes before it completes (default 0)
+     */
+    constructor(options={}){
+        super();
+        this.#delay = Math.max(0, parseInt(options.delayMs) || 0);
+    }
+
+    /**
+     * @returns Map containing the stored key-value pairs (can be modified directly)
+     */
+    getMap(){
+        return this.#map;
+    }
+
+    /**
+     * @returns Object containing how often {@code get}, {@code set} and {@code delete} have been called
+     */
+    getCalls(){
+        return Object.assign({}, this.#calls);
+    }
+
+    /**
+     * Resets the counted calls to zero
+     */
+    resetCalls(){
+        this.#calls = {get: 0, set: 0, delete: 0};
+    }
+
+    /**
+     * Lets the next calls fail
+     * @param {int} count Amount of upcoming calls that should be rejected
+     * @param {Error} error Error the calls get rejected with (default is a generic error)
+     */
+    failNext(count=1, error=null){
+        this.#failures = Math.max(0, parseInt(count) || 0);
+        this.#error = error;
+    }
+
+    async get(key){
+        await this.#call("get");
+        return this.#map.get(key);
+    }
+
+    async set(key, value){
+        await this.#call("set");
+        this.#map.set(key, value);
+    }
+
+    async delete(key){
+        await this.#call("delete");
+        this.#map.delete(key);
+    }
+
+
+    /**
+     * Counts a call, waits the configured delay and throws if the call should fail
+     * @param {String} name Name of the called function
+     */
+    async #call(name){
+        this.#calls[name]++;
+        if(this.#delay > 0) await new Promise((resolve) => setTimeout(resolve, this.#delay));
+        if(this.#failures > 0){
+            this.#failures--;
+            throw this.#error || new Error("Simulated failure of " + name + "()");
+        }
+    }
+}
+
+
+module.exports = {
+    MemoryAdapter
+}
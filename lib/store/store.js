@@ -0,0 +1,292 @@
+/**
+ * Modes in which a {@link StoreBackedCache} writes into its store
+ */
+const WriteMode = Object.freeze({
+    THROUGH: "write-through",
+    BEHIND: "write-behind"
+});
+
+/**
+ * @param {int} ms Milliseconds to wait
+ * @returns Promise that resolves after the given time
+ */
+function sleep(ms){
+    return new Promise(function(resolve){ setTimeout(resolve, ms); });
+}
+
+
+
+
+/**
+ * Puts a cache of this module in front of a slower persistent store that is accessed through an adapter
+ * (e.g. {@link FileSystemAdapter}, {@link MemoryAdapter} or any object with {@code get}, {@code set} and {@code delete}).
+ * Values not found in the cache get read from the store and put into the cache.
+ *  - In write-through mode {@code put()} and {@code remove()} resolve once the store has been updated
+ *    and the cache only gets updated if the store could be updated.
+ *  - In write-behind mode the cache gets updated immediately and the changes are marked dirty.
+ *    Dirty changes get written in batches once no further change happened for {@code flushDelayMs}
+ *    (but at the latest after {@code maxFlushDelayMs}) or once {@code batchSize} changes are dirty.
+ *    If the cache evicts an entry whose change is still dirty a flush starts immediately
+ *    and reads return the dirty value until it has been written, so evicting never loses a change.
+ *    Changes that could not be written are kept dirty and retried with the next flush.
+ *    Timers do not keep the process alive, so {@code close()} should be awaited before exiting.
+ *    The delays are measured with the clock of the cache.
+ * Failed calls of the adapter get retried with exponential backoff.
+ * @author LupCode.com
+ */
+class StoreBackedCache {
+    #cache;
+    #adapter;
+    #mode;
+    #batchSize;
+    #flushDelay;
+    #maxFlushDelay;
+    #retries;
+    #retryDelay;
+    #onError;
+    #dirty = new Map(); // key in order of last change: {value: Object, deleted: bool}
+    #dirtySince = 0;
+    #timer = null;
+    #flushing = null;
+    #closed = false;
+    #evictListener;
+    #loader;
+
+    /**
+     * Creates a new cache backed by a store
+     * @param {Cache} cache Cache keeping the values in memory (e.g. {@link FixedSizeLRUCache})
+     * @param {StoreAdapter} adapter Adapter of the store with {@code get(key)}, {@code set(key, value)} and {@code delete(key)}
+     * (each may return a promise)
+     * @param {Object} options Additional options that can be set:
+     *  - mode:             String  {@link WriteMode} (default "write-through")
+     *  - batchSize:        int     Maximum amount of changes written at the same time (default 100)
+     *  - flushDelayMs:     int     Milliseconds without changes after which dirty changes get written (default 1000)
+     *  - maxFlushDelayMs:  int     Milliseconds after which dirty changes get written even if changes keep coming (default 10000)
+     *  - retries:          int     How often a failed call of the adapter gets retried (default 3)
+     *  - retryDelayMs:     int     Milliseconds before the first retry, doubled for each further retry (default 100)
+     *  - onError:          Function    Called with error and key if a dirty change could not be written (write-behind only)
+     */
+    constructor(cache, adapter, options={}){
+        if(!cache) throw new Error("Cache must be provided");
+        if(!adapter || typeof adapter.get !== 'function' || typeof adapter.set !== 'function' || typeof adapter.delete !== 'function')
+            throw new Error("Adapter must provide get(), set() and delete()");
+        const mode = options.mode !== undefined ? options.mode : WriteMode.THROUGH;
+        if(!Object.values(WriteMode).includes(mode)) throw new Error("Unknown write mode: " + mode);
+        if(options.onError !== undefined && options.onError !== null && typeof options.onError !== 'function')
+            throw new Error("onError must be a function");
+
+        this.#cache = cache;
+        this.#adapter = adapter;
+        this.#mode = mode;
+        this.#batchSize = Math.max(1, parseInt(options.batchSize) || 100);
+        this.#flushDelay = options.flushDelayMs !== undefined ? Math.max(0, parseInt(options.flushDelayMs) || 0) : 1000;
+        this.#maxFlushDelay = options.maxFlushDelayMs !== undefined ? Math.max(0, parseInt(options.maxFlushDelayMs) || 0) : 10000;
+        this.#retries = options.retries !== undefined ? Math.max(0, parseInt(options.retries) || 0) : 3;
+        this.#retryDelay = options.retryDelayMs !== undefined ? Math.max(0, parseInt(options.retryDelayMs) || 0) : 100;
+        this.#onError = options.onError || null;
+
+        this.#loader = (key) => this.#attempt(() => this.#adapter.get(key));
+        this.#evictListener = (event) => {
+            if(this.#dirty.has(event.key)) this.#schedule(true);
+        };
+        this.#cache.on("evict", this.#evictListener);
+    }
+
+    /**
+     * @returns Cache keeping the values in memory
+     */
+    getCache(){
+        return this.#cache;
+    }
+
+    /**
+     * @returns Adapter of the store
+     */
+    getAdapter(){
+        return this.#adapter;
+    }
+
+    /**
+     * @returns {@link WriteMode} of this cache
+     */
+    getMode(){
+        return this.#mode;
+    }
+
+    /**
+     * @returns Amount of changes that have not been written into the store yet
+     */
+    getDirtyCount(){
+        return this.#dirty.size;
+    }
+
+    /**
+     * Puts a key-value pair into the cache and the store
+     * @param {*} key Unique key to reference value
+     * @param {*} value Value that should be stored
+     * @param {Object} options Options passed to {@code put()} of the cache
+     * @returns Promise resolving to true if the value has been put into the cache
+     * (in write-through mode the promise rejects if the store could not be updated)
+     */
+    async put(key, value, options={}){
+        if(this.#closed) throw new Error(this.constructor.name + " has been closed");
+        if(this.#mode === WriteMode.THROUGH){
+            await this.#attempt(() => this.#adapter.set(key, value));
+            return this.#cache.put(key, value, options);
+        }
+        this.#markDirty(key, {value: value, deleted: false});
+        return this.#cache.put(key, value, options);
+    }
+
+    /**
+     * Returns a value from the cache or if not found from the store in which case it gets put into the cache.
+     * Concurrent calls for the same key share a single read of the store.
+     * @param {*} key Key of the value that should be returned
+     * @param {Object} options Options passed to {@code put()} of the cache when storing a value read from the store
+     * @returns Promise resolving to the value or undefined if neither the cache nor the store contain it
+     */
+    async get(key, options={}){
+        const dirty = this.#dirty.get(key);
+        if(dirty){
+            if(dirty.deleted) return undefined;
+            const value = this.#cache.get(key);
+            return value !== undefined ? value : dirty.value;
+        }
+        return this.#cache.getOrLoad(key, this.#loader, options);
+    }
+
+    /**
+     * Removes a key-value pair from the cache and the store
+     * @param {*} key Key of the value that should be removed
+     * @returns Promise resolving to the value removed from the cache or undefined if it was not cached
+     * (in write-through mode the promise rejects if the store could not be updated)
+     */
+    async remove(key){
+        if(this.#closed) throw new Error(this.constructor.name + " has been closed");
+        if(this.#mode === WriteMode.THROUGH){
+            await this.#attempt(() => this.#adapter.delete(key));
+            return this.#cache.remove(key);
+        }
+        const dirty = this.#dirty.get(key);
+        let value = this.#cache.remove(key);
+        if(value === undefined && dirty && !dirty.deleted) value = dirty.value;
+        this.#markDirty(key, {value: undefined, deleted: true});
+        return value;
+    }
+
+    /**
+     * Writes all dirty changes into the store
+     * @returns Promise that resolves once all changes have been written or rejects with the first error
+     * if changes could not be written (these stay dirty)
+     */
+    async flush(){
+        while(this.#flushing) await this.#flushing.catch(function(){});
+        if(this.#dirty.size === 0) return;
+        this.#flushing = this.#write().finally(() => {
+            this.#flushing = null;
+        });
+        return this.#flushing;
+    }
+
+    /**
+     * Detaches from the cache and writes all dirty changes
+     * @returns Promise that resolves once all dirty changes have been written
+     */
+    async close(){
+        this.#closed = true;
+        this.#cache.off("evict", this.#evictListener);
+        if(this.#timer){
+            clearTimeout(this.#timer);
+            this.#timer = null;
+        }
+        await this.flush();
+    }
+
+    /**
+     * @returns String containing basic information about this cache
+     */
+    toString(){
+        return this.constructor.name + "{mode=" + this.#mode + "; dirty=" + this.#dirty.size + "; cache=" + this.#cache.toString() + "}";
+    }
+
+
+    /**
+     * Marks a change as dirty and schedules a flush
+     * @param {*} key Key of the changed value
+     * @param {Object} change Object containing {@code value} and {@code deleted}
+     */
+    #markDirty(key, change){
+        if(this.#dirty.size === 0) this.#dirtySince = this.#cache.getClock()();
+        this.#dirty.delete(key);
+        this.#dirty.set(key, change);
+        this.#schedule(this.#dirty.size >= this.#batchSize);
+    }
+
+    /**
+     * (Re-)starts the timer of the next flush
+     * @param {bool} immediate If the flush should start without delay
+     */
+    #schedule(immediate){
+        if(this.#closed) return;
+        if(this.#timer) clearTimeout(this.#timer);
+        const delay = immediate ? 0 : Math.max(0, Math.min(this.#flushDelay, this.#dirtySince + this.#maxFlushDelay - this.#cache.getClock()()));
+        this.#timer = setTimeout(() => {
+            this.#timer = null;
+            this.flush().catch(function(){}); // failures have been reported to onError
+        }, delay);
+        this.#timer.unref();
+    }
+
+    /**
+     * Writes the changes that are dirty when called in batches
+     * @returns Promise that resolves once written or rejects with the first error
+     */
+    async #write(){
+        if(this.#timer){
+            clearTimeout(this.#timer);
+            this.#timer = null;
+        }
+        const changes = Array.from(this.#dirty);
+        let failure = null;
+        for(let i=0; i < changes.length; i += this.#batchSize){
+            const results = await Promise.allSettled(changes.slice(i, i + this.#batchSize).map(([key, change]) => {
+                return this.#attempt(() => change.deleted ? this.#adapter.delete(key) : this.#adapter.set(key, change.value)).then(() => {
+                    // change might have been superseded while it was written
+                    if(this.#dirty.get(key) === change) this.#dirty.delete(key);
+                }, (error) => {
+                    if(this.#onError) this.#onError(error, key);
+                    throw error;
+                });
+            }));
+            for(let result of results) if(result.status === 'rejected' && !failure) failure = result.reason;
+        }
+        if(this.#dirty.size > 0){
+            // changes that failed or happened while writing get written by the next flush
+            this.#dirtySince = this.#cache.getClock()();
+            this.#schedule(false);
+        }
+        if(failure) throw failure;
+    }
+
+    /**
+     * Calls the adapter and retries with exponential backoff if the call fails
+     * @param {Function} operation Function calling the adapter
+     * @returns Promise resolving to the result of the call or rejecting with the error of the last retry
+     */
+    async #attempt(operation){
+        for(let attempt=0; ; attempt++){
+            try {
+                return await operation();
+            } catch(err){
+                if(attempt >= this.#retries) throw err;
+                await sleep(this.#retryDelay * Math.pow(2, attempt));
+            }
+        }
+    }
+}
+
+
+module.exports = {
+    StoreBackedCache,
+    WriteMode
+}
@@ -0,0 +1,141 @@
+const { EvictReason } = require('./cache.js');
+
+
+/**
+ * Two-tier cache consisting of a memory tier (any cache of this module) and a {@link DiskCache}.
+ * Entries the memory tier evicts to make space get moved into the disk tier instead of being lost.
+ * If a key is not found in the memory tier the disk tier gets checked and a found entry gets
+ * moved back into the memory tier. The {@code onEvict} callbacks of the memory tier are not affected.
+ * @author LupCode.com
+ */
+class TieredCache {
+    #memory;
+    #disk;
+    #spill;
+
+    /**
+     * Creates a new tiered cache
+     * @param {Cache} memory Cache used as memory tier (e.g. {@link FixedSizeLRUCache})
+     * @param {DiskCache} disk Initialized disk cache used as overflow tier
+     */
+    constructor(memory, disk){
+        this.#memory = memory;
+        this.#disk = disk;
+        this.#spill = (event) => {
+            if(event.reason !== EvictReason.CAPACITY) return;
+            try {
+                this.#disk.put(event.key, event.value, {expires: event.expires, weight: event.size});
+            } catch(err){
+                // value cannot be serialized so it cannot be kept
+            }
+        };
+        this.#memory.on("evict", this.#spill);
+    }
+
+    /**
+     * @returns Cache used as memory tier
+     */
+    getMemoryTier(){
+        return this.#memory;
+    }
+
+    /**
+     * @returns Disk cache used as overflow tier
+     */
+    getDiskTier(){
+        return this.#disk;
+    }
+
+    /**
+     * Puts a key-value pair into the memory tier and removes an older value from the disk tier.
+     * If the memory tier cannot store the value it gets put into the disk tier directly
+     * and an older value gets removed from the memory tier. If neither tier can store it, older values are kept.
+     * @param {String} key Unique key to reference value in cache
+     * @param {*} value Value that should be put into cache
+     * @param {Object} options Options passed to {@code put()} of the memory tier
+     * @returns True if successfully put key-value pair into one of the tiers
+     */
+    put(key, value, options={}){
+        if(this.#memory.put(key, value, options)){
+            this.#disk.remove(key);
+            return true;
+        }
+        const ttl = options.ttl !== undefined ? options.ttl : this.#memory.getDefaultTTL();
+        try {
+            if(!this.#disk.put(key, value, {ttl: ttl})) return false;
+        } catch(err){
+            return false;
+        }
+        this.#memory.remove(key);
+        return true;
+    }
+
+    /**
+     * Returns a value from the memory tier or if not found from the disk tier
+     * in which case the entry gets moved into the memory tier
+     * @param {String} key Key of the value that should be returned
+     * @returns Promise resolving to the value or undefined if not found
+     */
+    async get(key){
+        let value = this.#memory.get(key);
+        if(value !== undefined) return value;
+
+        let entry = await this.#disk.getEntry(key);
+        if(!entry) return undefined;
+        const now = this.#memory.getClock()();
+        if(entry.expires > 0 && entry.expires <= now) return undefined;
+        try {
+            const options = {size: entry.weight, weight: entry.weight, ttl: entry.expires > 0 ? entry.expires - now : 0};
+            if(this.#memory.put(key, entry.value, options)) this.#disk.remove(key);
+        } catch(err){
+            // memory tier cannot weigh value so it stays in disk tier
+        }
+        return entry.value;
+    }
+
+    /**
+     * Removes a key-value pair from both tiers
+     * @param {String} key Key of the value that should be removed
+     * @returns Value removed from the memory tier or undefined if it was not in the memory tier
+     */
+    remove(key){
+        this.#disk.remove(key);
+        return this.#memory.remove(key);
+    }
+
+    /**
+     * Removes all entries from both tiers without calling the {@code onEvict} callbacks
+     */
+    clear(){
+        this.#memory.clear();
+        this.#disk.clear();
+    }
+
+    /**
+     * @returns Promise that resolves once all entries moved into the disk tier have been written
+     */
+    async flush(){
+        await this.#disk.flush();
+    }
+
+    /**
+     * Detaches from the memory tier so evicted entries are no longer moved into the disk tier
+     * @returns Promise that resolves once all pending writes of the disk tier are done
+     */
+    async close(){
+        this.#memory.off("evict", this.#spill);
+        await this.flush();
+    }
+
+    /**
+     * @returns String containing basic information about this cache
+     */
+    toString(){
+        return this.constructor.name + "{memory=" + this.#memory.toString() + "; disk=" + this.#disk.toString() + "}";
+    }
+}
+
+
+module.exports = {
+    TieredCache
+}
@@ -0,0 +1,268 @@
+const fs = require('fs');
+const path = require('path');
+const { SizeCapacity } = require('./capacity.js');
+const { estimateSize } = require('./sizeof.js');
+
+
+const MAGIC = Buffer.from("LUPT");
+
+/** Version of the trace format */
+const TRACE_VERSION = 1;
+
+/** Bytes collected before they get written */
+const CHUNK_SIZE = 64 * 1024;
+
+/**
+ * Operations stored in a trace
+ */
+const TraceOp = Object.freeze({
+    GET: 0,
+    PUT: 1,
+    REMOVE: 2,
+    CLEAR: 3
+});
+
+
+/**
+ * Appends an unsigned integer as LEB128 varint
+ * @param {Array} bytes Array the bytes get pushed to
+ * @param {Number} value Non-negative integer (up to 2^53)
+ */
+function pushVarint(bytes, value){
+    while(value >= 128){
+        bytes.push((value % 128) | 128);
+        value = Math.floor(value / 128);
+    }
+    bytes.push(value);
+}
+
+
+
+
+/**
+ * Records the {@code get}, {@code put} and {@code remove} operations of a live cache into a compact binary trace
+ * that can be replayed against other policies and capacities with {@link simulate} or {@code lup-caches simulate}.
+ * Operations are taken from the events of the cache, so lookups by {@code getOrLoad()} and values put by loaders are recorded as well.
+ * Keys are not written, each distinct key gets replaced by a number so traces contain no data of the cache.
+ * Each record consists of the operation, the milliseconds since the previous record, the key number and for puts the size:
+ * the byte size measured by the cache if it uses a {@link SizeCapacity}, otherwise the estimated size of the value.
+ * Recording stops once {@code maxKeys} distinct keys or {@code maxRecords} records are reached,
+ * so the numbers of the keys kept in memory do not grow without bound (the trace stays a valid prefix).
+ * Format: "LUPT", version (8-bit), start timestamp (64-bit float), records of varints.
+ * @author LupCode.com
+ */
+class TraceRecorder {
+    #cache;
+    #stream;
+    #ownsStream;
+    #listeners;
+    #sizeOf;
+    #keys = new Map(); // key: number of the key in the trace
+    #bytes = [];
+    #last;
+    #count = 0;
+    #maxKeys;
+    #maxRecords;
+    #limitReached = false;
+    #closed = null;
+    #error = null;
+
+    /**
+     * Starts recording the operations of a cache
+     * @param {Cache} cache Cache whose operations should be recorded
+     * @param {String|Writable} target File path (gets replaced) or writable stream (does not get ended)
+     * @param {Object} options Additional options that can be set:
+     *  - sizeOf:   Function    Function that gets called with value and key and returns the byte size
+     *                          recorded for puts (default as described above)
+     *  - maxKeys:  int     Amount of distinct keys after which recording stops (default 1000000)
+     *  - maxRecords:   int     Amount of records after which recording stops (default unlimited)
+     */
+    constructor(cache, target, options={}){
+        if(!target) throw new Error("Target must be provided");
+        this.#cache = cache;
+        this.#ownsStream = typeof target === 'string' || target instanceof String;
+        this.#stream = this.#ownsStream ? fs.createWriteStream(path.resolve(String(target))) : target;
+        this.#stream.on('error', (err) => { this.#error = this.#error || err; });
+        const bytes = cache.getCapacity() instanceof SizeCapacity;
+        this.#sizeOf = options.sizeOf || function(value, key, size){ return bytes ? size : estimateSize(value); };
+        this.#maxKeys = options.maxKeys !== undefined ? Number(options.maxKeys) : 1000000;
+        this.#maxRecords = options.maxRecords !== undefined ? Number(options.maxRecords) : Infinity;
+        if(!(this.#maxKeys > 0)) throw new Error("Max keys must be a positive number but is " + options.maxKeys);
+        if(!(this.#maxRecords > 0)) throw new Error("Max records must be a positive number but is " + options.maxRecords);
+
+        this.#last = cache.getClock()();
+        let head = Buffer.alloc(13);
+        MAGIC.copy(head, 0);
+        head[4] = TRACE_VERSION;
+        head.writeDoubleBE(this.#last, 5);
+        this.#stream.write(head);
+
+        this.#listeners = {
+            hit: (event) => this.#record(TraceOp.GET, event.key),
+            miss: (event) => this.#record(TraceOp.GET, event.key),
+            set: (event) => this.#record(TraceOp.PUT, event.key, this.#sizeOf(event.value, event.key, event.size)),
+            delete: (event) => this.#record(TraceOp.REMOVE, event.key),
+            clear: () => this.#record(TraceOp.CLEAR)
+        };
+        for(let event in this.#listeners) this.#cache.on(event, this.#listeners[event]);
+    }
+
+    /**
+     * @returns Amount of operations recorded so far
+     */
+    getCount(){
+        return this.#count;
+    }
+
+    /**
+     * @returns Amount of distinct keys recorded so far
+     */
+    getKeyCount(){
+        return this.#keys.size;
+    }
+
+    /**
+     * @returns True if recording has been stopped because {@code maxKeys} or {@code maxRecords} has been reached
+     */
+    isLimitReached(){
+        return this.#limitReached;
+    }
+
+    /**
+     * @returns True if recording has been stopped
+     */
+    isClosed(){
+        return this.#closed !== null;
+    }
+
+    /**
+     * Stops recording and writes the remaining records
+     * @returns Promise that resolves once the trace has been written completely
+     */
+    close(){
+        if(this.#closed) return this.#closed;
+        this.#stop();
+        this.#closed = new Promise((resolve, reject) => {
+            const done = (err) => { err = err || this.#error; if(err) reject(err); else resolve(); };
+            if(this.#ownsStream) this.#stream.end(done);
+            else this.#stream.write(Buffer.alloc(0), done);
+        });
+        return this.#closed;
+    }
+
+
+    /**
+     * Appends a record
+     * @param {int} op {@link TraceOp}
+     * @param {*} key Key of the operation (not used for clears)
+     * @param {Number} size Size of the value for puts
+     */
+    #record(op, key, size){
+        if(this.#limitReached) return;
+        let id = op !== TraceOp.CLEAR ? this.#keys.get(key) : undefined;
+        if(op !== TraceOp.CLEAR && id === undefined){
+            if(this.#keys.size >= this.#maxKeys) return this.#stop(true);
+            this.#keys.set(key, id = this.#keys.size);
+        }
+        const now = this.#cache.getClock()();
+        this.#bytes.push(op);
+        pushVarint(this.#bytes, Math.max(0, Math.round(now - this.#last)));
+        this.#last = Math.max(this.#last, now);
+        if(op !== TraceOp.CLEAR) pushVarint(this.#bytes, id);
+        if(op === TraceOp.PUT) pushVarint(this.#bytes, Math.max(0, Math.ceil(Number(size) || 0)));
+        this.#count++;
+        if(this.#count >= this.#maxRecords) this.#stop(true);
+        else if(this.#bytes.length >= CHUNK_SIZE) this.#write();
+    }
+
+    /**
+     * Stops listening to the cache and writes the collected bytes
+     * @param {boolean} limitReached If recording stops because a limit has been reached
+     */
+    #stop(limitReached=false){
+        for(let event in this.#listeners) this.#cache.off(event, this.#listeners[event]);
+        this.#write();
+        if(limitReached) this.#limitReached = true;
+    }
+
+    /**
+     * Writes the collected bytes to the stream
+     */
+    #write(){
+        if(this.#bytes.length === 0) return;
+        this.#stream.write(Buffer.from(this.#bytes));
+        this.#bytes = [];
+    }
+}
+
+
+
+
+/**
+ * Reads a trace written by a {@link TraceRecorder}
+ * @param {String|Readable|Buffer} source File path, readable stream or the trace itself
+ * @returns Promise resolving to an object containing the amount of records {@code length}, the amount of distinct
+ * {@code keys}, the {@code start} timestamp and per record typed arrays of the {@code ops} ({@link TraceOp}),
+ * {@code keyIds}, {@code sizes} (zero if not a put) and {@code times} (timestamps in milliseconds)
+ * @throws Error if the source is not a trace, has been written by a newer version or is truncated
+ */
+async function readTrace(source){
+    let data;
+    if(Buffer.isBuffer(source)) data = source;
+    else if(typeof source === 'string' || source instanceof String) data = await fs.promises.readFile(String(source));
+    else {
+        let chunks = [];
+        for await (let chunk of source) chunks.push(typeof chunk === 'string' ? Buffer.from(chunk) : chunk);
+        data = Buffer.concat(chunks);
+    }
+    if(data.length < 13 || !data.subarray(0, 4).equals(MAGIC)) throw new Error("Data is not a trace");
+    if(data[4] > TRACE_VERSION) throw new Error("Trace has been written by a newer version (" + data[4] + ")");
+    const start = data.readDoubleBE(5);
+
+    let offset = 13;
+    function varint(){
+        let value = 0, factor = 1;
+        while(true){
+            if(offset >= data.length) throw new Error("Trace is truncated");
+            const byte = data[offset++];
+            value += (byte & 127) * factor;
+            if(byte < 128) return value;
+            factor *= 128;
+        }
+    }
+
+    // a record takes at least two bytes
+    const capacity = Math.floor((data.length - 13) / 2);
+    let ops = new Uint8Array(capacity), keyIds = new Uint32Array(capacity), sizes = new Float64Array(capacity), times = new Float64Array(capacity);
+    let length = 0, keys = 0, time = start;
+    while(offset < data.length){
+        const op = data[offset++];
+        if(op > TraceOp.CLEAR) throw new Error("Trace contains unknown operation " + op);
+        time += varint();
+        ops[length] = op;
+        times[length] = time;
+        if(op !== TraceOp.CLEAR){
+            keyIds[length] = varint();
+            keys = Math.max(keys, keyIds[length] + 1);
+        }
+        if(op === TraceOp.PUT) sizes[length] = varint();
+        length++;
+    }
+    return {
+        length: length,
+        keys: keys,
+        start: start,
+        ops: ops.subarray(0, length),
+        keyIds: keyIds.subarray(0, length),
+        sizes: sizes.subarray(0, length),
+        times: times.subarray(0, length)
+    };
+}
+
+
+module.exports = {
+    TraceRecorder,
+    TraceOp,
+    TRACE_VERSION,
+    readTrace
+}
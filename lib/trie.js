@@ -0,0 +1,173 @@
+/**
+ * Radix tree (compressed prefix tree) of string keys that finds and counts all keys
+ * starting with a prefix without looking at keys that do not.
+ * Edges are labeled with substrings, so keys sharing a common part share its nodes
+ * and each node knows the amount of keys below it.
+ */
+class KeyTrie {
+    #root = KeyTrie.#node("");
+    size = 0;
+
+    /**
+     * Adds a key to the tree
+     * @param {String} key Key that should be added
+     */
+    add(key){
+        // counts get increased on the way down and reverted if the key already exists
+        let node = this.#root, i = 0;
+        node.count++;
+        while(i < key.length){
+            let child = node.children !== null ? node.children.get(key[i]) : undefined;
+            if(!child){
+                child = KeyTrie.#node(key.substring(i));
+                KeyTrie.#children(node).set(key[i], child);
+                node = child;
+                node.count++;
+                break;
+            }
+            const label = child.label;
+            let common = 1;
+            while(common < label.length && i + common < key.length && label[common] === key[i + common]) common++;
+            if(common < label.length){
+                // split the edge at the end of the common part
+                let middle = KeyTrie.#node(label.substring(0, common));
+                middle.count = child.count;
+                child.label = label.substring(common);
+                middle.children = new Map([[child.label[0], child]]);
+                node.children.set(key[i], middle);
+                child = middle;
+            }
+            i += common;
+            node = child;
+            node.count++;
+        }
+        if(!node.end){
+            node.end = true;
+            this.size++;
+            return;
+        }
+        node = this.#root;
+        node.count--;
+        for(i = 0; i < key.length; i += node.label.length){
+            node = node.children.get(key[i]);
+            node.count--;
+        }
+    }
+
+    /**
+     * Removes a key from the tree, prunes nodes no other key needs and merges nodes with a single child
+     * @param {String} key Key that should be removed
+     * @returns True if the key was part of the tree
+     */
+    delete(key){
+        let node = this.#root, path = [node], i = 0;
+        while(i < key.length){
+            let child = node.children !== null ? node.children.get(key[i]) : undefined;
+            if(!child || !key.startsWith(child.label, i)) return false;
+            i += child.label.length;
+            node = child;
+            path.push(node);
+        }
+        if(!node.end) return false;
+        node.end = false;
+        for(let visited of path) visited.count--;
+        this.size--;
+
+        if(node === this.#root) return true;
+        let parent = path[path.length - 2];
+        if(node.children === null || node.children.size === 0){
+            parent.children.delete(node.label[0]);
+            if(parent !== this.#root && !parent.end && parent.children.size === 1) this.#merge(path[path.length - 3], parent);
+        } else if(node.children.size === 1) this.#merge(parent, node);
+        return true;
+    }
+
+    /**
+     * Removes all keys from the tree
+     */
+    clear(){
+        this.#root = KeyTrie.#node("");
+        this.size = 0;
+    }
+
+    /**
+     * @param {String} prefix Prefix the keys have to start with
+     * @returns Amount of keys starting with the prefix
+     */
+    countWithPrefix(prefix){
+        const found = this.#find(prefix);
+        return found ? found[0].count : 0;
+    }
+
+    /**
+     * Iterates over all keys starting with a prefix.
+     * Keys must not be added or removed while iterating.
+     * @param {String} prefix Prefix the keys have to start with
+     * @returns Iterator over the keys
+     */
+    *withPrefix(prefix){
+        const found = this.#find(prefix);
+        if(!found) return;
+        let stack = [found];
+        while(stack.length > 0){
+            const [current, key] = stack.pop();
+            if(current.end) yield key;
+            if(current.children !== null) for(let child of current.children.values()) stack.push([child, key + child.label]);
+        }
+    }
+
+
+    /**
+     * @param {String} label Substring on the edge leading to the node
+     * @returns New node without keys
+     */
+    static #node(label){
+        return {label: label, children: null, end: false, count: 0};
+    }
+
+    /**
+     * @param {Object} node Node of the tree
+     * @returns Children of the node (created if the node has none yet)
+     */
+    static #children(node){
+        if(node.children === null) node.children = new Map();
+        return node.children;
+    }
+
+    /**
+     * Finds the highest node whose keys all start with the prefix
+     * @param {String} prefix Prefix the keys have to start with
+     * @returns Array containing the node and the key of the node or null if no key starts with the prefix
+     */
+    #find(prefix){
+        let node = this.#root, i = 0;
+        while(i < prefix.length){
+            let child = node.children !== null ? node.children.get(prefix[i]) : undefined;
+            if(!child) return null;
+            const rest = prefix.length - i;
+            if(rest <= child.label.length){
+                return child.label.startsWith(prefix.substring(i)) ? [child, prefix.substring(0, i) + child.label] : null;
+            }
+            if(!prefix.startsWith(child.label, i)) return null;
+            i += child.label.length;
+            node = child;
+        }
+        return [node, prefix];
+    }
+
+    /**
+     * Replaces a node that is no key and has a single child by that child
+     * @param {Object} parent Parent of the node
+     * @param {Object} node Node that gets merged with its child
+     */
+    #merge(parent, node){
+        const child = node.children.values().next().value;
+        child.label = node.label + child.label;
+        parent.children.set(child.label[0], child);
+    }
+}
+
+
+module.exports = {
+    KeyTrie
+}
@@ -0,0 +1,70 @@
+const test = require('node:test');
+const assert = require('assert');
+const net = require('net');
+const { SocketTransport } = require('../index.js');
+
+
+/**
+ * @returns Promise resolving to a server listening on a free port of the loopback interface
+ */
+function occupyPort(){
+    return new Promise(function(resolve){
+        const server = net.createServer();
+        server.listen(0, "127.0.0.1", function(){ resolve(server); });
+    });
+}
+
+
+test("SocketTransport reports a failed listen to onError", async function(){
+    const blocker = await occupyPort();
+    try {
+        let errors = [];
+        const transport = new SocketTransport({port: blocker.address().port, server: true, onError: (err) => errors.push(err)});
+        await assert.rejects(transport.ready(), {code: "EADDRINUSE"});
+        assert.strictEqual(errors.length, 1);
+        assert.strictEqual(errors[0].code, "EADDRINUSE");
+        transport.close();
+    } finally {
+        blocker.close();
+    }
+});
+
+test("SocketTransport does not cause an unhandled rejection if listening fails", async function(){
+    const blocker = await occupyPort();
+    let unhandled = [];
+    const onUnhandled = (reason) => unhandled.push(reason);
+    process.on('unhandledRejection', onUnhandled);
+    try {
+        const transport = new SocketTransport({port: blocker.address().port, server: true});
+        await new Promise((resolve) => setTimeout(resolve, 50));
+        assert.deepStrictEqual(unhandled, []);
+        transport.close();
+    } finally {
+        process.off('unhandledRejection', onUnhandled);
+        blocker.close();
+    }
+});
+
+test("SocketTransport forwards messages between clients", async function(){
+    const keepAlive = setInterval(function(){}, 1000); // sockets do not keep the process alive
+    const blocker = await occupyPort();
+    const port = blocker.address().port;
+    await new Promise((resolve) => blocker.close(resolve));
+
+    const server = new SocketTransport({port: port, server: true});
+    await server.ready();
+    const a = new SocketTransport({port: port}), b = new SocketTransport({port: port});
+    await Promise.all([a.ready(), b.ready()]);
+    try {
+        const received = new Promise((resolve) => b.subscribe(resolve));
+        // server needs to have accepted both clients before it can forward
+        await new Promise((resolve) => setTimeout(resolve, 50));
+        a.publish({op: "delete", key: "x"});
+        assert.deepStrictEqual(await received, {op: "delete", key: "x"});
+    } finally {
+        a.close();
+        b.close();
+        server.close();
+        clearInterval(keepAlive);
+    }
+});
@@ -0,0 +1,162 @@
+const test = require('node:test');
+const assert = require('assert');
+const { FixedSizeLRUCache, FixedCountLRUCache, EvictReason } = require('../index.js');
+
+const KB = 1024;
+
+
+/**
+ * @returns Promise that resolves after all pending promise callbacks have run
+ */
+function settle(){
+    return new Promise((resolve) => setImmediate(resolve));
+}
+
+
+test("Rejected replacement keeps the value stored before", function(){
+    const cache = new FixedSizeLRUCache(1);
+    cache.put("pinned", "p", {size: 600 * KB, onEvict: () => false});
+    cache.put("key", "old", {size: 300 * KB});
+
+    // does not fit without evicting the pinned entry
+    assert.strictEqual(cache.put("key", "new", {size: 500 * KB}), false);
+    assert.strictEqual(cache.get("key"), "old");
+    assert.strictEqual(cache.getUsedCapacity(), 900 * KB);
+
+    // larger than the whole cache
+    assert.strictEqual(cache.put("key", "huge", {size: 2048 * KB}), false);
+    assert.strictEqual(cache.get("key"), "old");
+
+    // fits if the weight of the replaced value is freed
+    assert.strictEqual(cache.put("key", "new", {size: 400 * KB}), true);
+    assert.strictEqual(cache.get("key"), "new");
+    assert.strictEqual(cache.getUsedCapacity(), 1000 * KB);
+    assert.strictEqual(cache.get("pinned"), "p");
+});
+
+test("Replacement does not evict the replaced entry as victim", function(){
+    const cache = new FixedCountLRUCache(2);
+    let evicted = [];
+    cache.on("evict", (event) => evicted.push([event.key, event.reason]));
+    cache.put("a", 1);
+    cache.put("b", 2);
+    assert.strictEqual(cache.put("a", 3), true);
+    assert.deepStrictEqual(evicted, []);
+    assert.strictEqual(cache.put("c", 4), true);
+    assert.deepStrictEqual(evicted, [["b", EvictReason.CAPACITY]]);
+    assert.deepStrictEqual([...cache.entries()], [["a", 3], ["c", 4]]);
+});
+
+test("putMany() keeps the values of rejected replacements", function(){
+    const cache = new FixedSizeLRUCache(1);
+    cache.put("pinned", "p", {size: 600 * KB, onEvict: () => false});
+    cache.put("a", "old a", {size: 100 * KB});
+    cache.put("b", "old b", {size: 100 * KB});
+
+    // a grows by 300KB which does not fit without the pinned entry, b shrinks
+    const result = cache.putMany([["a", "new a", {size: 400 * KB}], ["b", "new b", {size: 50 * KB}]]);
+    assert.deepStrictEqual(result.stored, ["b"]);
+    assert.deepStrictEqual(result.rejected, [{key: "a", reason: "no-room"}]);
+    assert.strictEqual(cache.get("a"), "old a");
+    assert.strictEqual(cache.get("b"), "new b");
+    assert.strictEqual(cache.getUsedCapacity(), 750 * KB);
+
+    // atomic batches keep all values
+    const atomic = cache.putMany([["a", "new a", {size: 400 * KB}], ["b", "newer b", {size: 50 * KB}]], {atomic: true});
+    assert.deepStrictEqual(atomic.stored, []);
+    assert.strictEqual(cache.get("a"), "old a");
+    assert.strictEqual(cache.get("b"), "new b");
+});
+
+test("Concurrent getOrLoad() calls share a single call of the loader", async function(){
+    const cache = new FixedCountLRUCache(10);
+    let calls = 0, resolve;
+    const loader = function(key){
+        calls++;
+        return new Promise((done) => resolve = () => done("value " + key));
+    };
+    const pending = [cache.getOrLoad("a", loader), cache.getOrLoad("a", loader), cache.getOrLoad("a", loader)];
+    await Promise.resolve();
+    resolve();
+    assert.deepStrictEqual(await Promise.all(pending), ["value a", "value a", "value a"]);
+    assert.strictEqual(calls, 1);
+    assert.strictEqual(cache.peek("a"), "value a");
+
+    // cached value does not call the loader again
+    assert.strictEqual(await cache.getOrLoad("a", loader), "value a");
+    assert.strictEqual(calls, 1);
+});
+
+test("Rejection of the loader is shared by all concurrent callers and not cached without negativeTtl", async function(){
+    const cache = new FixedCountLRUCache(10);
+    let calls = 0;
+    const loader = async function(){
+        calls++;
+        throw new Error("failure " + calls);
+    };
+    const results = await Promise.allSettled([cache.getOrLoad("a", loader), cache.getOrLoad("a", loader)]);
+    assert.deepStrictEqual(results.map((result) => result.status), ["rejected", "rejected"]);
+    assert.strictEqual(results[0].reason, results[1].reason);
+    assert.strictEqual(results[0].reason.message, "failure 1");
+    assert.strictEqual(calls, 1);
+    assert.strictEqual(cache.has("a"), false);
+
+    await assert.rejects(cache.getOrLoad("a", loader), {message: "failure 2"});
+    assert.strictEqual(calls, 2);
+});
+
+test("negativeTtl caches a rejection until it has elapsed", async function(){
+    let now = 1000;
+    const cache = new FixedCountLRUCache(10);
+    cache.setClock(() => now);
+    let calls = 0, fail = true;
+    const loader = async function(key){
+        calls++;
+        if(fail) throw new Error("failure " + calls);
+        return "value " + key;
+    };
+    await assert.rejects(cache.getOrLoad("a", loader, {negativeTtl: 100}), {message: "failure 1"});
+    now = 1099;
+    await assert.rejects(cache.getOrLoad("a", loader, {negativeTtl: 100}), {message: "failure 1"});
+    assert.strictEqual(calls, 1);
+
+    fail = false;
+    now = 1100;
+    assert.strictEqual(await cache.getOrLoad("a", loader, {negativeTtl: 100}), "value a");
+    assert.strictEqual(calls, 2);
+    assert.strictEqual(cache.get("a"), "value a");
+});
+
+test("Stale values get served while a single background refresh runs", async function(){
+    let now = 0;
+    const cache = new FixedCountLRUCache(10);
+    cache.setClock(() => now);
+    let calls = 0, resolve = null, errors = [];
+    cache.setLoader(function(key){
+        calls++;
+        return new Promise((done, fail) => resolve = (value) => value instanceof Error ? fail(value) : done(value));
+    }, {onError: (key, error) => errors.push([key, error.message])});
+    cache.put("a", "old", {ttl: 100, staleWhileRevalidate: 100});
+
+    now = 150;
+    assert.strictEqual(cache.get("a"), "old");
+    assert.strictEqual(cache.get("a"), "old");
+    await settle();
+    assert.strictEqual(calls, 1);
+    resolve("new");
+    await settle();
+    assert.strictEqual(cache.get("a"), "new");
+    assert.strictEqual(calls, 1);
+
+    // refreshed value keeps time-to-live and stale time, failed refresh keeps the stale value
+    now = 300;
+    assert.strictEqual(cache.get("a"), "new");
+    await settle();
+    assert.strictEqual(calls, 2);
+    resolve(new Error("unavailable"));
+    await settle();
+    assert.deepStrictEqual(errors, [["a", "unavailable"]]);
+    assert.strictEqual(cache.peek("a"), "new");
+    now = 350;
+    assert.strictEqual(cache.get("a"), undefined);
+});
@@ -0,0 +1,226 @@
+const test = require('node:test');
+const assert = require('assert');
+const { FixedCountLFUCache, FixedCountLRUCache, FixedSizeLRUCache } = require('../index.js');
+const { decodeSnapshot } = require('../lib/snapshot.js');
+
+
+/**
+ * @param {Cache} cache Cache with an LFU policy
+ * @returns Object containing the access counter of each key
+ */
+function counters(cache){
+    let result = {};
+    for(let entry of decodeSnapshot(cache.serialize()).entries) result[entry.key] = entry.meta.policy.accesses;
+    return result;
+}
+
+/**
+ * @param {int} ms Milliseconds to wait
+ * @returns Promise that resolves after the given time (keeps the process alive unlike the timers of the caches)
+ */
+function sleep(ms){
+    return new Promise(function(resolve){ setTimeout(resolve, ms); });
+}
+
+
+test("LFU halves the access counters once per elapsed interval of the clock", function(){
+    let now = 0;
+    const cache = new FixedCountLFUCache(3, 1000);
+    cache.setClock(() => now);
+    cache.put("a", 1);
+    for(let i=0; i < 5; i++) cache.get("a");
+    cache.put("b", 2);
+    cache.get("b");
+    cache.get("b");
+    cache.put("c", 3);
+    assert.deepStrictEqual(counters(cache), {a: 6, b: 3, c: 1});
+
+    // interval starts with the first tick at 0, counters get halved on the first tick after 1000
+    now = 1000;
+    cache.purgeExpired();
+    assert.deepStrictEqual(counters(cache), {a: 6, b: 3, c: 1});
+    now = 1001;
+    cache.purgeExpired();
+    assert.deepStrictEqual(counters(cache), {a: 3, b: 1, c: 0});
+
+    // next interval starts at the tick that halved
+    now = 2001;
+    cache.purgeExpired();
+    assert.deepStrictEqual(counters(cache), {a: 3, b: 1, c: 0});
+    now = 2002;
+    cache.purgeExpired();
+    assert.deepStrictEqual(counters(cache), {a: 1, b: 0, c: 0});
+    assert.deepStrictEqual([...cache.keys()], ["c", "b", "a"]);
+});
+
+test("LFU evicts by the decayed counters", function(){
+    let now = 0;
+    const cache = new FixedCountLFUCache(3, 1000);
+    cache.setClock(() => now);
+    let evicted = [];
+    cache.on("evict", (event) => evicted.push(event.key));
+    cache.put("a", 1);
+    for(let i=0; i < 7; i++) cache.get("a"); // 8
+    cache.put("b", 2);
+    cache.get("b"); // 2
+    cache.put("c", 3);
+    cache.get("c");
+    cache.get("c"); // 3
+
+    now = 1001;
+    cache.get("b"); // halved to 4, 1, 1 before the access: 4, 2, 1
+    assert.deepStrictEqual(counters(cache), {a: 4, b: 2, c: 1});
+    cache.put("d", 4);
+    assert.deepStrictEqual(evicted, ["c"]);
+
+    // formerly popular entry loses against recent ones after enough intervals
+    now = 2002; // 2, 1, d 0
+    cache.get("d");
+    cache.get("d"); // d 2
+    now = 3003; // a 1, b 0, d 1
+    cache.get("d"); // d 2
+    assert.deepStrictEqual(counters(cache), {a: 1, b: 0, d: 2});
+    cache.put("e", 5);
+    assert.deepStrictEqual(evicted, ["c", "b"]);
+    cache.put("f", 6); // a and e have one access, a has been used less recently
+    assert.deepStrictEqual(evicted, ["c", "b", "a"]);
+});
+
+test("Entries expire by the clock of the cache", function(){
+    let now = 5000;
+    const cache = new FixedCountLRUCache(10);
+    cache.setClock(() => now);
+    cache.put("a", 1, {ttl: 100});
+    now = 5099;
+    assert.strictEqual(cache.get("a"), 1);
+    now = 5100;
+    assert.strictEqual(cache.get("a"), undefined);
+    assert.throws(() => cache.setClock(42));
+});
+
+test("Scheduler removes expired entries without lookups", async function(){
+    let now = 0;
+    const cache = new FixedCountLRUCache(10);
+    cache.setClock(() => now);
+    let expired = [];
+    cache.on("expire", (event) => expired.push(event.key));
+    cache.put("a", 1, {ttl: 100});
+    cache.put("b", 2);
+    cache.startScheduler(5);
+    try {
+        await sleep(30);
+        assert.strictEqual(cache.getCount(), 2);
+        now = 100;
+        await sleep(30);
+        assert.deepStrictEqual(expired, ["a"]);
+        assert.strictEqual(cache.getCount(), 1);
+    } finally {
+        cache.dispose();
+    }
+    assert.throws(() => cache.startScheduler(0));
+});
+
+test("dispose() stops all timers of a cache", async function(){
+    let now = 0;
+    const cache = new FixedSizeLRUCache(1);
+    cache.setClock(() => now);
+    cache.put("a", "value", {ttl: 100});
+    cache.startScheduler(5);
+    cache.enableAutoShrink({thresholdMB: 1024 * 1024, intervalMs: 5});
+    cache.dispose();
+    assert.strictEqual(cache.stopScheduler(), false);
+    assert.strictEqual(cache.disableAutoShrink(), false);
+
+    // nothing gets purged in the background anymore
+    now = 1000;
+    await sleep(30);
+    assert.strictEqual(cache.getCount(), 1);
+    assert.strictEqual(cache.get("a"), undefined);
+    cache.close(); // same as dispose() and may be called again
+});
+
+test("Default and per put time-to-live expire entries on get", function(){
+    let now = 0;
+    const cache = new FixedCountLRUCache(10, 100);
+    cache.setClock(() => now);
+    cache.put("default", 1);
+    cache.put("short", 2, {ttl: 50});
+    cache.put("forever", 3, {ttl: 0});
+
+    now = 49;
+    assert.strictEqual(cache.get("short"), 2);
+    now = 50;
+    assert.strictEqual(cache.get("short"), undefined);
+    assert.strictEqual(cache.get("default"), 1);
+    now = 100;
+    assert.strictEqual(cache.has("default"), false);
+    assert.strictEqual(cache.get("default"), undefined);
+    now = 1000000;
+    assert.strictEqual(cache.get("forever"), 3);
+    assert.strictEqual(cache.getCount(), 1);
+});
+
+test("delete() returns false for expired entries", function(){
+    let now = 0;
+    const cache = new FixedCountLRUCache(10);
+    cache.setClock(() => now);
+    cache.put("a", 1, {ttl: 100});
+    cache.put("b", 2, {ttl: 100});
+    now = 100;
+    assert.strictEqual(cache.delete("a"), false);
+    assert.strictEqual(cache.getCount(), 1);
+    now = 0;
+    assert.strictEqual(cache.delete("b"), true);
+    assert.strictEqual(cache.delete("b"), false);
+});
+
+test("purgeExpired() returns the amount of removed entries", function(){
+    let now = 0;
+    const cache = new FixedCountLRUCache(10);
+    cache.setClock(() => now);
+    for(let i=0; i < 5; i++) cache.put("key" + i, i, {ttl: (i + 1) * 100});
+    assert.strictEqual(cache.purgeExpired(), 0);
+    now = 200;
+    assert.strictEqual(cache.purgeExpired(), 2);
+    assert.strictEqual(cache.purgeExpired(), 0);
+    now = 1000;
+    assert.strictEqual(cache.purgeExpired(), 3);
+    assert.strictEqual(cache.getCount(), 0);
+});
+
+test("stopScheduler() stops purging expired entries", async function(){
+    let now = 0;
+    const cache = new FixedCountLRUCache(10);
+    cache.setClock(() => now);
+    cache.put("a", 1, {ttl: 100});
+    cache.put("b", 2, {ttl: 300});
+    cache.startScheduler(10);
+    now = 100;
+    await sleep(50);
+    assert.strictEqual(cache.size, 1);
+
+    assert.strictEqual(cache.stopScheduler(), true);
+    assert.strictEqual(cache.stopScheduler(), false);
+    now = 300;
+    await sleep(50);
+    assert.strictEqual(cache.size, 1);
+});
+
+test("LFU does not halve the counters while the interval is disabled", function(){
+    let now = 0;
+    const cache = new FixedCountLFUCache(3, -1);
+    cache.setClock(() => now);
+    cache.put("a", 1);
+    for(let i=0; i < 3; i++) cache.get("a");
+    now = 5000;
+    cache.purgeExpired();
+    assert.deepStrictEqual(counters(cache), {a: 4});
+
+    // enabled interval starts with the next tick
+    cache.setExpireTime(1000);
+    cache.purgeExpired();
+    assert.deepStrictEqual(counters(cache), {a: 4});
+    now = 6001;
+    cache.purgeExpired();
+    assert.deepStrictEqual(counters(cache), {a: 2});
+});
@@ -0,0 +1,51 @@
+const test = require('node:test');
+const assert = require('assert');
+const { FixedCountLRUCache, FixedSizeLRUCache, CompressionCodec } = require('../index.js');
+
+const LARGE = "x".repeat(8192);
+
+
+test("Count based caches keep their maximum amount of entries with a codec", function(){
+    const cache = new FixedCountLRUCache(3);
+    const codec = new CompressionCodec({threshold: 0});
+    cache.setCodec(codec);
+    for(let i=0; i < 5; i++) cache.put("key" + i, LARGE + i);
+    assert.strictEqual(codec.getStats().compressed, 5);
+    assert.strictEqual(cache.getCount(), 3);
+    assert.strictEqual(cache.getUsedCapacity(), 3);
+    assert.strictEqual(cache.get("key4"), LARGE + 4);
+});
+
+test("Size based caches only count the compressed bytes", function(){
+    const cache = new FixedSizeLRUCache(1, 0, {compression: true});
+    cache.put("key", LARGE, {size: LARGE.length});
+    assert.ok(cache.getUsedCapacity() < 1024);
+});
+
+test("Values of removed entries are dropped from the hot set", function(){
+    const cache = new FixedSizeLRUCache(1);
+    const codec = cache.enableCompression({hotSetSize: 10});
+    const hotCount = () => codec.getStats().hotCount;
+
+    cache.put("a", LARGE);
+    cache.get("a");
+    assert.strictEqual(hotCount(), 1);
+    cache.remove("a");
+    assert.strictEqual(hotCount(), 0);
+
+    cache.put("b", LARGE);
+    cache.get("b");
+    cache.put("b", LARGE + "b"); // replaced
+    assert.strictEqual(hotCount(), 0);
+    cache.get("b");
+    cache.put("c", LARGE);
+    cache.get("c");
+    cache.setMaxSizeMB(0); // evicted
+    assert.strictEqual(hotCount(), 0);
+
+    cache.setMaxSizeMB(1);
+    cache.put("d", LARGE);
+    cache.get("d");
+    cache.clear();
+    assert.strictEqual(hotCount(), 0);
+});
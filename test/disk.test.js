@@ -0,0 +1,194 @@
+const test = require('node:test');
+const assert = require('assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { DiskCache, TieredCache, FixedCountLRUCache, FixedSizeLRUCache } = require('../index.js');
+
+const VALUE = "v".repeat(4000);
+
+
+/**
+ * Runs a function with a new temporary directory that gets deleted afterwards
+ * @param {Function} fn Async function that gets called with the path of the directory
+ */
+async function withDirectory(fn){
+    const directory = fs.mkdtempSync(path.join(os.tmpdir(), "lup-caches-"));
+    try {
+        await fn(directory);
+    } finally {
+        fs.rmSync(directory, {recursive: true, force: true});
+    }
+}
+
+/**
+ * @param {String} directory Directory of a disk cache
+ * @returns Names of the entry files in the directory
+ */
+function entryFiles(directory){
+    return fs.readdirSync(directory).filter((name) => name.endsWith(".entry"));
+}
+
+
+test("DiskCache evicts least recently used entries to stay within its size", async function(){
+    await withDirectory(async function(directory){
+        const disk = new DiskCache(directory, 10000 / 1024 / 1024);
+        await disk.init();
+        disk.put("a", VALUE);
+        disk.put("b", VALUE);
+        assert.strictEqual(await disk.get("a"), VALUE);
+        disk.put("c", VALUE); // evicts b
+        await disk.flush();
+        assert.strictEqual(disk.has("b"), false);
+        assert.strictEqual(await disk.get("b"), undefined);
+        assert.strictEqual(await disk.get("a"), VALUE);
+        assert.strictEqual(await disk.get("c"), VALUE);
+        assert.ok(disk.getSizeInMB() <= disk.getMaxSizeMB());
+        assert.strictEqual(entryFiles(directory).length, 2);
+    });
+});
+
+test("DiskCache keeps the previous value if a put is too large", async function(){
+    await withDirectory(async function(directory){
+        const disk = new DiskCache(directory, 10000 / 1024 / 1024);
+        await disk.init();
+        assert.strictEqual(disk.put("a", "small"), true);
+        assert.strictEqual(disk.put("a", "x".repeat(20000)), false);
+        assert.strictEqual(await disk.get("a"), "small");
+        await disk.flush();
+        assert.strictEqual(await disk.get("a"), "small");
+        assert.strictEqual(disk.put("a", Buffer.from([1, 2, 3])), true);
+        assert.deepStrictEqual(await disk.get("a"), Buffer.from([1, 2, 3]));
+    });
+});
+
+test("DiskCache does not return expired entries", async function(){
+    await withDirectory(async function(directory){
+        let now = 1000;
+        const disk = new DiskCache(directory, 1, {clock: () => now});
+        await disk.init();
+        disk.put("a", {n: 1}, {ttl: 100});
+        disk.put("b", {n: 2});
+        await disk.flush();
+        now = 1099;
+        assert.deepStrictEqual(await disk.get("a"), {n: 1});
+        now = 1100;
+        assert.strictEqual(disk.has("a"), false);
+        assert.strictEqual(await disk.get("a"), undefined);
+        assert.strictEqual(disk.getCount(), 1);
+
+        // expired files get deleted when the directory is indexed again
+        disk.put("c", "c", {ttl: 50});
+        await disk.flush();
+        now = 2000;
+        const reopened = new DiskCache(directory, 1, {clock: () => now});
+        await reopened.init();
+        assert.strictEqual(reopened.getCount(), 1);
+        assert.deepStrictEqual(await reopened.get("b"), {n: 2});
+    });
+});
+
+test("DiskCache ignores and removes corrupt and partially written files", async function(){
+    await withDirectory(async function(directory){
+        const disk = new DiskCache(directory, 1);
+        await disk.init();
+        disk.put("a", "value a");
+        disk.put("b", "value b");
+        disk.put("c", "value c");
+        await disk.flush();
+        const files = entryFiles(directory).map((name) => path.join(directory, name));
+        const fileOf = (value) => files.find((file) => fs.readFileSync(file).toString().endsWith(value));
+        const corrupt = fileOf("value a"), truncated = fileOf("value b");
+
+        // changed byte fails the checksum
+        let data = fs.readFileSync(corrupt);
+        data[data.length - 1] ^= 1;
+        fs.writeFileSync(corrupt, data);
+        assert.strictEqual(await disk.get("a"), undefined);
+        assert.strictEqual(disk.getCount(), 2);
+
+        // truncated file and left over temporary file are removed by init()
+        fs.writeFileSync(truncated, fs.readFileSync(truncated).subarray(0, 20));
+        fs.writeFileSync(path.join(directory, "left-over.entry.tmp"), "partial");
+        const reopened = new DiskCache(directory, 1);
+        await reopened.init();
+        assert.strictEqual(reopened.getCount(), 1);
+        assert.strictEqual(await reopened.get("c"), "value c");
+        assert.strictEqual(await reopened.get("b"), undefined);
+        assert.deepStrictEqual(fs.readdirSync(directory).filter((name) => name.endsWith(".tmp")), []);
+    });
+});
+
+test("TieredCache moves entries evicted for capacity into the disk tier and back on access", async function(){
+    await withDirectory(async function(directory){
+        let now = 0;
+        const memory = new FixedCountLRUCache(2);
+        memory.setClock(() => now);
+        const disk = new DiskCache(directory, 1, {clock: () => now});
+        await disk.init();
+        const cache = new TieredCache(memory, disk);
+
+        cache.put("a", "value a");
+        cache.put("b", "value b", {ttl: 1000});
+        cache.put("c", "value c"); // evicts a
+        assert.strictEqual(memory.peek("a"), undefined);
+        assert.strictEqual(disk.has("a"), true);
+
+        // promotion into memory evicts b into the disk tier
+        assert.strictEqual(await cache.get("a"), "value a");
+        assert.strictEqual(memory.peek("a"), "value a");
+        assert.strictEqual(disk.has("a"), false);
+        assert.strictEqual(disk.has("b"), true);
+
+        // remaining time-to-live is kept on disk
+        now = 999;
+        assert.strictEqual(await disk.get("b"), "value b");
+        now = 1000;
+        assert.strictEqual(await cache.get("b"), undefined);
+        await cache.close();
+    });
+});
+
+test("TieredCache does not move removed or expired entries into the disk tier", async function(){
+    await withDirectory(async function(directory){
+        let now = 0;
+        const memory = new FixedCountLRUCache(10);
+        memory.setClock(() => now);
+        const disk = new DiskCache(directory, 1, {clock: () => now});
+        await disk.init();
+        const cache = new TieredCache(memory, disk);
+
+        cache.put("a", "value a");
+        cache.put("b", "value b", {ttl: 100});
+        cache.remove("a");
+        now = 100;
+        assert.strictEqual(memory.purgeExpired(), 1);
+        assert.strictEqual(disk.getCount(), 0);
+
+        // shrinking evicts for capacity
+        cache.put("c", "value c");
+        memory.setMaxCapacity(0);
+        assert.strictEqual(disk.getCount(), 1);
+        assert.strictEqual(await cache.get("c"), "value c");
+        await cache.close();
+    });
+});
+
+test("TieredCache puts values the memory tier rejects into the disk tier", async function(){
+    await withDirectory(async function(directory){
+        const memory = new FixedSizeLRUCache(1 / 1024); // 1KB
+        const disk = new DiskCache(directory, 10000 / 1024 / 1024);
+        await disk.init();
+        const cache = new TieredCache(memory, disk);
+
+        assert.strictEqual(cache.put("a", "small"), true);
+        assert.strictEqual(cache.put("a", VALUE), true);
+        assert.strictEqual(memory.peek("a"), undefined);
+        assert.strictEqual(await cache.get("a"), VALUE);
+
+        // too large for both tiers keeps the stored value
+        assert.strictEqual(cache.put("a", "x".repeat(20000)), false);
+        assert.strictEqual(await cache.get("a"), VALUE);
+        await cache.close();
+    });
+});
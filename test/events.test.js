@@ -0,0 +1,65 @@
+const test = require('node:test');
+const assert = require('assert');
+const { FixedCountLRUCache, EvictReason } = require('../index.js');
+
+
+/**
+ * @param {Cache} cache Cache whose events should be recorded
+ * @returns Array the names and payloads of all events get pushed to in the order they are emitted
+ */
+function record(cache){
+    let events = [];
+    for(let name of ["set", "hit", "miss", "evict", "expire", "delete", "clear"]){
+        cache.on(name, (data) => events.push([name, Object.assign({}, data)]));
+    }
+    return events;
+}
+
+
+test("Events get emitted in order with their payloads", function(){
+    let now = 0;
+    const cache = new FixedCountLRUCache(2);
+    cache.setClock(() => now);
+    const events = record(cache);
+    cache.put("a", "A", {ttl: 100});
+    cache.get("a");
+    cache.get("x");
+    cache.put("b", "B");
+    cache.put("c", "C"); // evicts a
+    now = 10;
+    cache.put("d", "D", {ttl: 5}); // evicts b
+    now = 15;
+    cache.get("d"); // expired
+    cache.remove("c");
+    cache.put("e", "E");
+    cache.clear();
+
+    assert.deepStrictEqual(events, [
+        ["set", {key: "a", value: "A", size: 1}],
+        ["hit", {key: "a", value: "A", size: 1}],
+        ["miss", {key: "x"}],
+        ["set", {key: "b", value: "B", size: 1}],
+        ["evict", {key: "a", value: "A", size: 1, reason: EvictReason.CAPACITY, expires: 100}],
+        ["set", {key: "c", value: "C", size: 1}],
+        ["evict", {key: "b", value: "B", size: 1, reason: EvictReason.CAPACITY, expires: 0}],
+        ["set", {key: "d", value: "D", size: 1}],
+        ["expire", {key: "d", value: "D", size: 1, reason: EvictReason.EXPIRED, expires: 15}],
+        ["miss", {key: "d"}],
+        ["delete", {key: "c", value: "C", size: 1}],
+        ["set", {key: "e", value: "E", size: 1}],
+        ["clear", {count: 1}]
+    ]);
+});
+
+test("clear(true) emits an evict event for each entry that is not vetoed", function(){
+    const cache = new FixedCountLRUCache(10);
+    cache.put("a", 1);
+    cache.put("b", 2, {onEvict: () => false});
+    const events = record(cache);
+    cache.clear(true);
+    assert.deepStrictEqual(events, [
+        ["evict", {key: "a", value: 1, size: 1, reason: EvictReason.CLEAR, expires: 0}],
+        ["clear", {count: 1}]
+    ]);
+    assert.strictEqual(cache.get("b"), 2);
+});
@@ -0,0 +1,17 @@
+const test = require('node:test');
+const assert = require('assert');
+const caches = require('../index.js');
+
+
+test("ES module entry exports everything the CommonJS entry exports", async function(){
+    const esm = await import('../index.mjs');
+    assert.strictEqual(esm.default, caches);
+    assert.deepStrictEqual(Object.keys(esm).filter((name) => name !== "default").sort(), Object.keys(caches).sort());
+    for(let name of Object.keys(caches)) assert.strictEqual(esm[name], caches[name], name);
+});
+
+test("Caches are tagged with their class name", function(){
+    const cache = new caches.FixedCountLRUCache(10);
+    assert.strictEqual(cache[Symbol.toStringTag], "FixedCountLRUCache");
+    assert.strictEqual(Object.prototype.toString.call(cache), "[object FixedCountLRUCache]");
+});
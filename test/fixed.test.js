@@ -0,0 +1,38 @@
+const test = require('node:test');
+const assert = require('assert');
+const caches = require('../index.js');
+
+const FIXED = Object.keys(caches).filter((name) => /^Fixed(Size|Count)\w+Cache$/.test(name));
+
+
+test("Fixed caches require a valid limit", function(){
+    for(let name of FIXED){
+        assert.throws(() => new caches[name](), /non-negative number/, name);
+        assert.throws(() => new caches[name](-1), /non-negative number/, name);
+        assert.throws(() => new caches[name]("abc"), /non-negative number/, name);
+    }
+    const cache = new caches.FixedSizeLRUCache(1);
+    assert.throws(() => cache.setMaxSizeMB(-1));
+    assert.throws(() => new caches.FixedCountLRUCache(1).setMaxCount(NaN));
+});
+
+test("restore() constructs fixed caches with the limit of the snapshot", function(){
+    for(let name of FIXED){
+        const cache = new caches[name](5);
+        cache.put("key", "value");
+        const restored = caches[name].restore(cache.serialize());
+        assert.ok(restored instanceof caches[name], name);
+        assert.strictEqual(restored.getMaxCapacity(), cache.getMaxCapacity(), name);
+        assert.strictEqual(restored.get("key"), "value", name);
+    }
+});
+
+test("Resizing evicts immediately", function(){
+    const cache = new caches.FixedCountLRUCache(3);
+    cache.put("a", 1);
+    cache.put("b", 2);
+    cache.put("c", 3);
+    const evicted = cache.setMaxCount(1);
+    assert.deepStrictEqual(evicted.map((entry) => entry.key), ["a", "b"]);
+    assert.deepStrictEqual([...cache.keys()], ["c"]);
+});
@@ -0,0 +1,106 @@
+const test = require('node:test');
+const assert = require('assert');
+const { FixedSizeLRUCache, FixedSizeLFUCache, FixedSizeGDSFCache } = require('../index.js');
+
+
+/**
+ * @param {int} seed Seed of the generator
+ * @returns Function returning deterministic pseudo random numbers between 0 and 1 (mulberry32)
+ */
+function random(seed){
+    return function(){
+        seed = (seed + 0x6D2B79F5) | 0;
+        let t = Math.imul(seed ^ (seed >>> 15), 1 | seed);
+        t = (t + Math.imul(t ^ (t >>> 7), 61 | t)) ^ t;
+        return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+    };
+}
+
+/**
+ * @param {int} seed Seed of the trace
+ * @param {Function} costOf Function that gets called with the size of a value and returns its cost
+ * @returns Array of requests {@code {key, size, cost}} of 2000 keys with skewed popularity
+ * where 5% of the values are large
+ */
+function trace(seed, costOf){
+    const rand = random(seed), keys = 2000;
+    let cdf = new Float64Array(keys), sum = 0, size = [];
+    for(let i=0; i < keys; i++){
+        cdf[i] = (sum += 1 / Math.pow(i + 1, 0.8));
+        size.push(Math.floor(rand() < 0.05 ? 100 * 1024 + rand() * 400 * 1024 : 512 + rand() * 8 * 1024));
+    }
+    let requests = [];
+    for(let i=0; i < 30000; i++){
+        const r = rand() * sum;
+        let k = 0;
+        while(cdf[k] < r) k++;
+        requests.push({key: "k" + k, size: size[k], cost: costOf(size[k])});
+    }
+    return requests;
+}
+
+/**
+ * @param {Cache} cache Empty cache
+ * @param {Array} requests Requests of the trace
+ * @returns Object containing {@code hitRate}, {@code byteHitRate} and {@code savedCost} (summed cost of the hits)
+ */
+function replay(cache, requests){
+    let hits = 0, bytes = 0, hitBytes = 0, savedCost = 0;
+    for(let request of requests){
+        bytes += request.size;
+        if(cache.get(request.key) !== undefined){
+            hits++;
+            hitBytes += request.size;
+            savedCost += request.cost;
+        } else cache.put(request.key, true, {size: request.size, cost: request.cost});
+    }
+    return {hitRate: hits / requests.length, byteHitRate: hitBytes / bytes, savedCost: savedCost};
+}
+
+
+test("GDSF trades byte hit rate for hit rate if all values cost the same", function(){
+    const requests = trace(1, () => 1);
+    const lru = replay(new FixedSizeLRUCache(2), requests);
+    const gdsf = replay(new FixedSizeGDSFCache(2), requests);
+    assert.ok(gdsf.hitRate > lru.hitRate + 0.1, "hit rate " + gdsf.hitRate + " vs LRU " + lru.hitRate);
+    assert.ok(gdsf.byteHitRate < lru.byteHitRate, "byte hit rate " + gdsf.byteHitRate + " vs LRU " + lru.byteHitRate);
+});
+
+test("GDSF keeps a higher byte hit rate than LRU if the cost grows with the size", function(){
+    const requests = trace(2, (size) => size);
+    const lru = replay(new FixedSizeLRUCache(2), requests);
+    const gdsf = replay(new FixedSizeGDSFCache(2), requests);
+    assert.ok(gdsf.byteHitRate > lru.byteHitRate, "byte hit rate " + gdsf.byteHitRate + " vs LRU " + lru.byteHitRate);
+    assert.ok(gdsf.hitRate > lru.hitRate, "hit rate " + gdsf.hitRate + " vs LRU " + lru.hitRate);
+});
+
+test("GDSF evicts large values that are cheap to recompute first", function(){
+    const cache = new FixedSizeGDSFCache(1);
+    let evicted = [];
+    cache.on("evict", (event) => evicted.push(event.key));
+    cache.put("large", true, {size: 600 * 1024, cost: 1});
+    cache.put("small", true, {size: 100 * 1024, cost: 1});
+    cache.put("expensive", true, {size: 300 * 1024, cost: 1000});
+    cache.put("new", true, {size: 200 * 1024});
+    assert.deepStrictEqual(evicted, ["large"]);
+    assert.throws(() => cache.put("negative", true, {cost: -1}));
+});
+
+test("GDSF saves more cost than LFU if some values are expensive to recompute", function(){
+    const requests = trace(3, (size) => size % 10 === 0 ? 100 : 1);
+    const lfu = replay(new FixedSizeLFUCache(2), requests);
+    const gdsf = replay(new FixedSizeGDSFCache(2), requests);
+    assert.ok(gdsf.savedCost > lfu.savedCost, "saved cost " + gdsf.savedCost + " vs LFU " + lfu.savedCost);
+});
+
+test("GDSF keeps expensive entries that LFU evicts for being used less often", function(){
+    let evicted = {lfu: [], gdsf: []};
+    for(let [name, cache] of [["lfu", new FixedSizeLFUCache(1)], ["gdsf", new FixedSizeGDSFCache(1)]]){
+        cache.on("evict", (event) => evicted[name].push(event.key));
+        cache.put("expensive", true, {size: 400 * 1024, cost: 1000});
+        cache.put("cheap", true, {size: 400 * 1024, cost: 1});
+        for(let i=0; i < 3; i++) cache.get("cheap");
+        cache.put("new", true, {size: 400 * 1024});
+    }
+    assert.deepStrictEqual(evicted, {lfu: ["expensive"], gdsf: ["cheap"]});
+});
@@ -0,0 +1,185 @@
+const test = require('node:test');
+const assert = require('assert');
+const http = require('http');
+const { httpCache, FixedSizeLRUCache } = require('../index.js');
+
+
+/**
+ * Starts a local server that answers through the middleware
+ * @param {Function} handler Function that gets called with request and response if the middleware does not answer
+ * @param {Object} options Options of {@link httpCache}
+ * @returns Promise resolving to an object containing the {@code port}, the amount of {@code calls()} of the handler and {@code close()}
+ */
+function serve(handler, options){
+    const middleware = httpCache(options);
+    let calls = 0;
+    const server = http.createServer(function(req, res){
+        middleware(req, res, function(){
+            calls++;
+            handler(req, res);
+        });
+    });
+    return new Promise(function(resolve){
+        server.listen(0, "127.0.0.1", function(){
+            resolve({
+                port: server.address().port,
+                calls: () => calls,
+                close: () => new Promise((done) => server.close(done))
+            });
+        });
+    });
+}
+
+/**
+ * @param {int} port Port of the local server
+ * @param {String} path Path that gets requested
+ * @param {Object} headers Request headers
+ * @returns Promise resolving to an object containing {@code status}, {@code headers} and {@code body} (string)
+ */
+function request(port, path, headers={}){
+    return new Promise(function(resolve, reject){
+        const req = http.request({host: "127.0.0.1", port: port, path: path, headers: headers, agent: false}, function(res){
+            let chunks = [];
+            res.on('data', (chunk) => chunks.push(chunk));
+            res.on('end', () => resolve({status: res.statusCode, headers: res.headers, body: Buffer.concat(chunks).toString()}));
+        });
+        req.on('error', reject);
+        req.end();
+    });
+}
+
+
+test("Responses get cached and answered with 304 if the ETag matches", async function(){
+    const server = await serve(function(req, res){
+        res.setHeader('content-type', 'text/plain');
+        res.write("Hello ");
+        res.end("World");
+    });
+    try {
+        const first = await request(server.port, "/hello");
+        assert.strictEqual(first.status, 200);
+        assert.strictEqual(first.body, "Hello World");
+        assert.ok(first.headers.etag);
+
+        const second = await request(server.port, "/hello");
+        assert.strictEqual(second.body, "Hello World");
+        assert.strictEqual(second.headers.etag, first.headers.etag);
+        assert.strictEqual(second.headers['content-type'], "text/plain");
+        assert.strictEqual(server.calls(), 1);
+
+        const notModified = await request(server.port, "/hello", {"if-none-match": first.headers.etag});
+        assert.strictEqual(notModified.status, 304);
+        assert.strictEqual(notModified.body, "");
+        assert.strictEqual((await request(server.port, "/hello", {"if-none-match": "\"other\""})).status, 200);
+        assert.strictEqual(server.calls(), 1);
+    } finally {
+        await server.close();
+    }
+});
+
+test("Responses with no-store or private and requests with no-store bypass the cache", async function(){
+    const server = await serve(function(req, res){
+        if(req.url === "/no-store") res.setHeader('cache-control', 'no-store');
+        if(req.url === "/private") res.setHeader('cache-control', 'private, max-age=60');
+        res.end(req.url);
+    });
+    try {
+        for(let path of ["/no-store", "/private"]){
+            const before = server.calls();
+            assert.strictEqual((await request(server.port, path)).body, path);
+            assert.strictEqual((await request(server.port, path)).body, path);
+            assert.strictEqual(server.calls(), before + 2, path);
+        }
+
+        await request(server.port, "/public");
+        const before = server.calls();
+        await request(server.port, "/public", {"cache-control": "no-store"});
+        assert.strictEqual(server.calls(), before + 1);
+        await request(server.port, "/public");
+        assert.strictEqual(server.calls(), before + 1);
+    } finally {
+        await server.close();
+    }
+});
+
+test("max-age defines the time-to-live and Age follows the clock of the cache", async function(){
+    let now = 1000000;
+    const cache = new FixedSizeLRUCache(1);
+    cache.setClock(() => now);
+    const server = await serve(function(req, res){
+        res.setHeader('cache-control', 'max-age=10');
+        res.end("body");
+    }, {cache: cache});
+    try {
+        await request(server.port, "/ttl");
+        now += 9000;
+        const cached = await request(server.port, "/ttl");
+        assert.strictEqual(cached.headers.age, "9");
+        assert.strictEqual(server.calls(), 1);
+
+        now += 1000;
+        const fresh = await request(server.port, "/ttl");
+        assert.strictEqual(fresh.headers.age, undefined);
+        assert.strictEqual(server.calls(), 2);
+    } finally {
+        await server.close();
+    }
+});
+
+test("Request headers listed in vary are part of the key", async function(){
+    const server = await serve(function(req, res){
+        if(req.url === "/cookie") res.setHeader('vary', 'cookie');
+        else res.setHeader('vary', 'accept-language');
+        res.end(String(req.headers['accept-language']));
+    }, {vary: ["accept-language"]});
+    try {
+        assert.strictEqual((await request(server.port, "/", {"accept-language": "de"})).body, "de");
+        assert.strictEqual((await request(server.port, "/", {"accept-language": "en"})).body, "en");
+        assert.strictEqual((await request(server.port, "/", {"accept-language": "de"})).body, "de");
+        assert.strictEqual(server.calls(), 2);
+
+        // responses varying on other headers do not get cached
+        await request(server.port, "/cookie");
+        await request(server.port, "/cookie");
+        assert.strictEqual(server.calls(), 4);
+    } finally {
+        await server.close();
+    }
+});
+
+test("Responses to requests with Authorization only get cached if they are public or have s-maxage", async function(){
+    const server = await serve(function(req, res){
+        if(req.url === "/public") res.setHeader('cache-control', 'public, max-age=60');
+        if(req.url === "/shared") res.setHeader('cache-control', 's-maxage=60');
+        res.end(String(req.headers.authorization));
+    });
+    try {
+        assert.strictEqual((await request(server.port, "/me", {authorization: "Bearer alice"})).body, "Bearer alice");
+        assert.strictEqual((await request(server.port, "/me", {authorization: "Bearer bob"})).body, "Bearer bob");
+        assert.strictEqual((await request(server.port, "/me")).body, "undefined");
+        assert.strictEqual(server.calls(), 3);
+
+        for(let path of ["/public", "/shared"]){
+            const before = server.calls();
+            assert.strictEqual((await request(server.port, path, {authorization: "Bearer alice"})).body, "Bearer alice");
+            assert.strictEqual((await request(server.port, path, {authorization: "Bearer bob"})).body, "Bearer alice");
+            assert.strictEqual(server.calls(), before + 1, path);
+        }
+    } finally {
+        await server.close();
+    }
+});
+
+test("Responses of different hosts are cached separately", async function(){
+    const server = await serve(function(req, res){
+        res.end(req.headers.host);
+    });
+    try {
+        assert.strictEqual((await request(server.port, "/", {host: "a.example"})).body, "a.example");
+        assert.strictEqual((await request(server.port, "/", {host: "b.example"})).body, "b.example");
+        assert.strictEqual((await request(server.port, "/", {host: "a.example"})).body, "a.example");
+        assert.strictEqual(server.calls(), 2);
+    } finally {
+        await server.close();
+    }
+});
@@ -0,0 +1,104 @@
+const test = require('node:test');
+const assert = require('assert');
+const { FixedCountLRUCache, FixedCountLFUCache, FixedSizeLRUCache, RejectReason } = require('../index.js');
+
+const KB = 1024;
+
+
+test("peek() does not change the eviction order", function(){
+    const cache = new FixedCountLRUCache(2);
+    cache.put("a", 1);
+    cache.put("b", 2);
+    assert.strictEqual(cache.peek("a"), 1);
+    assert.strictEqual(cache.peek("missing"), undefined);
+    cache.put("c", 3); // a is still least recently used
+    assert.strictEqual(cache.has("a"), false);
+    assert.deepStrictEqual([...cache.keys()], ["b", "c"]);
+
+    assert.strictEqual(cache.get("b"), 2);
+    cache.put("d", 4);
+    assert.deepStrictEqual([...cache.keys()], ["b", "d"]);
+});
+
+test("Iteration follows the eviction order of the policy", function(){
+    const lru = new FixedCountLRUCache(10);
+    lru.set("a", 1).set("b", 2).set("c", 3);
+    lru.get("a");
+    assert.deepStrictEqual([...lru.keys()], ["b", "c", "a"]);
+    assert.deepStrictEqual([...lru.values()], [2, 3, 1]);
+    assert.deepStrictEqual([...lru.entries()], [["b", 2], ["c", 3], ["a", 1]]);
+    assert.deepStrictEqual([...lru], [["b", 2], ["c", 3], ["a", 1]]);
+    let visited = [];
+    const self = {};
+    lru.forEach(function(value, key, cache){
+        assert.strictEqual(cache, lru);
+        assert.strictEqual(this, self);
+        visited.push([key, value]);
+    }, self);
+    assert.deepStrictEqual(visited, [["b", 2], ["c", 3], ["a", 1]]);
+    assert.deepStrictEqual(new Map(lru), new Map([["b", 2], ["c", 3], ["a", 1]]));
+
+    // least frequently used first, iterating does not count as access
+    const lfu = new FixedCountLFUCache(10);
+    lfu.put("a", 1);
+    lfu.put("b", 2);
+    lfu.put("c", 3);
+    lfu.get("a");
+    lfu.get("a");
+    lfu.get("c");
+    assert.deepStrictEqual([...lfu.keys()], ["b", "c", "a"]);
+    assert.deepStrictEqual([...lfu.keys()], ["b", "c", "a"]);
+});
+
+test("Keys of any type are supported", function(){
+    const cache = new FixedCountLRUCache(10);
+    const objectKey = {id: 1};
+    cache.set(objectKey, "object").set(1, "number").set("1", "string");
+    assert.strictEqual(cache.get(objectKey), "object");
+    assert.strictEqual(cache.get({id: 1}), undefined);
+    assert.strictEqual(cache.get(1), "number");
+    assert.strictEqual(cache.get("1"), "string");
+    assert.strictEqual(cache.size, 3);
+    assert.strictEqual(cache.delete(objectKey), true);
+    assert.strictEqual(cache.delete(objectKey), false);
+    assert.strictEqual(Object.prototype.toString.call(cache), "[object FixedCountLRUCache]");
+});
+
+test("getMany() and removeMany() return the found values", function(){
+    const cache = new FixedCountLRUCache(10);
+    cache.putMany([["a", 1], ["b", 2], ["c", 3]]);
+    assert.deepStrictEqual(cache.getMany(["a", "x", "c"]), new Map([["a", 1], ["c", 3]]));
+    assert.deepStrictEqual(cache.removeMany(["b", "x", "c"]), new Map([["b", 2], ["c", 3]]));
+    assert.deepStrictEqual([...cache.keys()], ["a"]);
+});
+
+test("putMany() evicts once for the whole batch and reports rejected entries", function(){
+    const cache = new FixedCountLRUCache(3);
+    cache.putMany([["a", 1], ["b", 2], ["c", 3]]);
+    const result = cache.putMany([["d", 4], ["e", 5], ["d", 6]]);
+    assert.deepStrictEqual(result.stored, ["e", "d"]);
+    assert.deepStrictEqual(result.rejected, [{key: "d", reason: RejectReason.DUPLICATE}]);
+    assert.deepStrictEqual(result.evicted.map((item) => item.key), ["a", "b"]);
+    assert.deepStrictEqual([...cache.entries()], [["c", 3], ["e", 5], ["d", 6]]);
+});
+
+test("Atomic putMany() that fails halfway leaves the cache unchanged", function(){
+    const cache = new FixedSizeLRUCache(1);
+    cache.put("a", "old a", {size: 400 * KB});
+    cache.put("b", "old b", {size: 400 * KB});
+    let evicted = [];
+    cache.on("evict", (event) => evicted.push(event.key));
+
+    // first entry needs evictions, second entry is larger than the cache
+    const result = cache.putMany([["a", "new a", {size: 300 * KB}], ["c", "c", {size: 2048 * KB}], ["d", "d", {size: 500 * KB}]], {atomic: true});
+    assert.deepStrictEqual(result.stored, []);
+    assert.deepStrictEqual(result.evicted, []);
+    assert.deepStrictEqual(result.rejected, [
+        {key: "a", reason: RejectReason.ATOMIC},
+        {key: "c", reason: RejectReason.TOO_LARGE},
+        {key: "d", reason: RejectReason.ATOMIC}
+    ]);
+    assert.deepStrictEqual(evicted, []);
+    assert.deepStrictEqual([...cache.entries()], [["a", "old a"], ["b", "old b"]]);
+    assert.strictEqual(cache.getUsedCapacity(), 800 * KB);
+});
@@ -0,0 +1,69 @@
+const test = require('node:test');
+const assert = require('assert');
+const { memoize, FixedCountLRUCache, FixedSizeLRUCache } = require('../index.js');
+
+
+test("Cached results are returned the same way the function returned them", async function(){
+    let calls = 0;
+    const abs = memoize(function(x){
+        calls++;
+        return x >= 0 ? x : Promise.resolve(-x);
+    });
+    assert.strictEqual(abs(1), 1);
+    assert.strictEqual(await abs(-2), 2);
+
+    // a promise returned for other arguments does not turn cached synchronous results into promises
+    assert.strictEqual(abs(1), 1);
+    const cached = abs(-2);
+    assert.ok(cached instanceof Promise);
+    assert.strictEqual(await cached, 2);
+    assert.strictEqual(calls, 2);
+});
+
+test("clear() only removes the results of the memoized function", function(){
+    const cache = new FixedCountLRUCache(100);
+    cache.put("other", "value");
+    const double = memoize((x) => 2 * x, {cache: cache, keyResolver: (x) => "double:" + x});
+    const triple = memoize((x) => 3 * x, {cache: cache, keyResolver: (x) => "triple:" + x});
+    double(1);
+    double(2);
+    triple(1);
+    assert.strictEqual(cache.getCount(), 4);
+
+    double.clear();
+    assert.deepStrictEqual([...cache.keys()].sort(), ["other", "triple:1"]);
+    assert.strictEqual(triple(1), 3);
+});
+
+test("Values not stored by the memoized function are not returned", function(){
+    const cache = new FixedCountLRUCache(100);
+    const first = memoize((x) => "first " + x, {cache: cache});
+    const second = memoize((x) => "second " + x, {cache: cache});
+    assert.strictEqual(first(1), "first 1");
+    assert.strictEqual(second(1), "second 1");
+    cache.put(JSON.stringify([2]), "foreign");
+    assert.strictEqual(first(2), "first 2");
+});
+
+test("Size based caches weigh the result instead of its wrapper", function(){
+    const cache = new FixedSizeLRUCache(1, 0, {sizeCalculator: (value) => value.length * 100});
+    const repeat = memoize((n) => "x".repeat(n), {cache: cache});
+    repeat(1000);
+    assert.strictEqual(cache.getUsedCapacity(), 1000);
+    const range = memoize((n) => Array.from({length: n}, (v, i) => i), {cache: cache.namespace("range")});
+    range(3);
+    assert.strictEqual(cache.getUsedCapacity(), 1000 + 300);
+});
+
+test("Sizes returned by sizeOf are used even if they are zero", function(){
+    const cache = new FixedSizeLRUCache(1);
+    const zero = memoize((x) => ({x: x}), {cache: cache, sizeOf: () => 0});
+    zero(1);
+    assert.strictEqual(cache.getUsedCapacity(), 0);
+    assert.deepStrictEqual(zero(1), {x: 1});
+
+    // undefined falls back to measuring the result
+    const text = memoize((x) => "text " + x, {cache: cache, keyResolver: (x) => "text:" + x, sizeOf: () => undefined});
+    text(1);
+    assert.strictEqual(cache.getUsedCapacity(), 6);
+});
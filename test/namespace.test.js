@@ -0,0 +1,60 @@
+const test = require('node:test');
+const assert = require('assert');
+const { FixedCountLRUCache } = require('../index.js');
+const { KeyTrie } = require('../lib/trie.js');
+
+
+test("KeyTrie finds and counts keys sharing common parts", function(){
+    const trie = new KeyTrie();
+    for(let key of ["user:1", "user:10", "user:2", "users", "session:1", ""]) trie.add(key);
+    trie.add("user:1");
+    assert.strictEqual(trie.size, 6);
+    assert.deepStrictEqual([...trie.withPrefix("user:1")].sort(), ["user:1", "user:10"]);
+    assert.deepStrictEqual([...trie.withPrefix("use")].sort(), ["user:1", "user:10", "user:2", "users"]);
+    assert.strictEqual(trie.countWithPrefix("user"), 4);
+    assert.strictEqual(trie.countWithPrefix("user:"), 3);
+    assert.strictEqual(trie.countWithPrefix(""), 6);
+    assert.strictEqual(trie.countWithPrefix("user:3"), 0);
+    assert.strictEqual(trie.countWithPrefix("x"), 0);
+
+    assert.strictEqual(trie.delete("user:1"), true);
+    assert.strictEqual(trie.delete("user:1"), false);
+    assert.strictEqual(trie.delete("user:"), false);
+    assert.deepStrictEqual([...trie.withPrefix("user:1")], ["user:10"]);
+    assert.strictEqual(trie.delete("user:10"), true);
+    assert.strictEqual(trie.delete("user:2"), true);
+    assert.deepStrictEqual([...trie.withPrefix("user")], ["users"]);
+    assert.strictEqual(trie.countWithPrefix("u"), 1);
+    assert.strictEqual(trie.delete(""), true);
+    assert.deepStrictEqual([...trie.withPrefix("")].sort(), ["session:1", "users"]);
+});
+
+test("Namespaces count their entries without iterating the cache", function(){
+    const cache = new FixedCountLRUCache(4);
+    const users = cache.namespace("users"), sessions = cache.namespace("sessions");
+    users.put("a", 1);
+    users.put("b", 2);
+    sessions.put("a", 3);
+    cache.put(42, "number keys are not indexed");
+    assert.strictEqual(users.size, 2);
+    assert.strictEqual(sessions.size, 1);
+    assert.strictEqual(cache.getCountWithPrefix("users:"), 2);
+
+    users.namespace("admins").put("root", 4); // evicts users:a
+    assert.strictEqual(users.size, 2);
+    assert.strictEqual(users.namespace("admins").size, 1);
+    assert.strictEqual(users.clear(), 2);
+    assert.strictEqual(users.size, 0);
+    assert.strictEqual(sessions.size, 1);
+});
+
+test("invalidatePrefix() uses the index from the first put on", function(){
+    const cache = new FixedCountLRUCache(100);
+    for(let i=0; i < 20; i++) cache.put("item:" + i, i);
+    cache.remove("item:1");
+    assert.strictEqual(cache.getCountWithPrefix("item:1"), 10);
+    assert.strictEqual(cache.invalidatePrefix("item:1"), 10);
+    assert.strictEqual(cache.getCount(), 9);
+    cache.clear();
+    assert.strictEqual(cache.getCountWithPrefix(""), 0);
+});
@@ -0,0 +1,99 @@
+const test = require('node:test');
+const assert = require('assert');
+const caches = require('../index.js');
+const { decodeSnapshot } = require('../lib/snapshot.js');
+const { CountMinSketch } = require('../lib/policies/tinylfu.js');
+
+
+/**
+ * @returns Array of keys where a hot set of 50 keys gets accessed twice per round
+ * followed by a scan of 80 keys that are never accessed again
+ */
+function scanTrace(){
+    let keys = [], next = 0;
+    for(let round=0; round < 40; round++){
+        for(let pass=0; pass < 2; pass++) for(let i=0; i < 50; i++) keys.push("hot" + i);
+        for(let i=0; i < 80; i++) keys.push("scan" + (next++));
+    }
+    return keys;
+}
+
+/**
+ * @param {Cache} cache Empty cache
+ * @param {Array} keys Keys that get looked up (and put on a miss)
+ * @returns Object containing the overall {@code hitRate} and the {@code hotHitRate} of the hot set
+ */
+function replay(cache, keys){
+    let hits = 0, hotHits = 0, hot = 0;
+    for(let key of keys){
+        const isHot = key.startsWith("hot");
+        if(isHot) hot++;
+        if(cache.get(key) !== undefined){
+            hits++;
+            if(isHot) hotHits++;
+        } else cache.put(key, true);
+    }
+    return {hitRate: hits / keys.length, hotHitRate: hotHits / hot};
+}
+
+
+test("Scan resistant policies keep the hot set while LRU gets flushed by scans", function(){
+    const keys = scanTrace();
+    const lru = replay(new caches.FixedCountLRUCache(100), keys);
+    // each scan pushes the hot set out, so only the second pass of each round hits
+    assert.strictEqual(lru.hotHitRate, 0.5);
+
+    for(let name of ["ARC", "2Q", "SLRU", "WTinyLFU"]){
+        const result = replay(new caches["FixedCount" + name + "Cache"](100), keys);
+        assert.ok(result.hotHitRate >= 0.95, name + " hot set hit rate " + result.hotHitRate);
+        assert.ok(result.hitRate >= lru.hitRate + 0.25, name + " hit rate " + result.hitRate + " vs LRU " + lru.hitRate);
+    }
+});
+
+test("W-TinyLFU keeps entries in the window if their eviction is vetoed", function(){
+    const cache = new caches.FixedCountWTinyLFUCache(10);
+    for(let i=0; i < 10; i++) cache.put(i, i, {onEvict: () => false});
+    const segments = () => decodeSnapshot(cache.serialize()).entries.map((entry) => [entry.key, entry.meta.policy ? entry.meta.policy.segment : "probation"]);
+    const before = segments();
+
+    assert.strictEqual(cache.put(10, 10), false);
+    assert.deepStrictEqual(segments(), before);
+    assert.ok(before.every(([key, segment]) => segment === "window"));
+    assert.strictEqual(cache.getStats().vetoedEvictions, 10);
+});
+
+test("W-TinyLFU moves window entries into the main segment once an eviction made room", function(){
+    const cache = new caches.FixedCountWTinyLFUCache(10);
+    for(let i=0; i < 10; i++) cache.put(i, i);
+    assert.strictEqual(cache.put(10, 10), true);
+    const segments = decodeSnapshot(cache.serialize()).entries.map((entry) => entry.meta.policy ? entry.meta.policy.segment : "probation");
+    // entry that fits into the window and the new one stay in the window
+    assert.strictEqual(segments.filter((segment) => segment === "window").length, 2);
+    assert.strictEqual(cache.getCount(), 10);
+});
+
+test("Count-min sketch tells object keys apart by identity", function(){
+    const sketch = new CountMinSketch(16);
+    const a = {id: 1}, b = {id: 1}, f = function(){};
+    for(let i=0; i < 5; i++) sketch.increment(a);
+    sketch.increment(f);
+    assert.strictEqual(sketch.estimate(a), 5);
+    assert.strictEqual(sketch.estimate(b), 0);
+    assert.strictEqual(sketch.estimate(f), 1);
+    assert.strictEqual(sketch.estimate("[object Object]"), 0);
+});
+
+test("Count-min sketch keeps the estimated frequencies when it gets resized", function(){
+    const sketch = new CountMinSketch(16);
+    for(let k=0; k < 10; k++) for(let i=0; i <= k; i++) sketch.increment("key" + k);
+    const before = [];
+    for(let k=0; k < 10; k++) before.push(sketch.estimate("key" + k));
+
+    sketch.resize(1000);
+    assert.strictEqual(sketch.getWidth(), 1024);
+    for(let k=0; k < 10; k++) assert.strictEqual(sketch.estimate("key" + k), before[k], "key" + k);
+
+    // shrinking only over-estimates like any collision
+    sketch.resize(16);
+    for(let k=0; k < 10; k++) assert.ok(sketch.estimate("key" + k) >= before[k], "key" + k);
+});
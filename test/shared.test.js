@@ -0,0 +1,113 @@
+const test = require('node:test');
+const assert = require('assert');
+const { Worker, isMainThread, workerData, parentPort } = require('worker_threads');
+const { SharedFixedSizeLRUCache } = require('../index.js');
+
+const KEYS = 2000;
+
+
+/**
+ * @param {String} key Key of the entry
+ * @param {int} length Length of the filler
+ * @param {int} worker Index of the writing worker
+ * @returns Value whose content can be verified by {@link verify}
+ */
+function valueFor(key, length, worker){
+    return key + "|" + worker + "|" + "x".repeat(length);
+}
+
+/**
+ * @param {String} key Key the value has been read for
+ * @param {String|Buffer} value Value that has been read
+ * @returns True if the value has been written for the key
+ */
+function verify(key, value){
+    const text = Buffer.isBuffer(value) ? value.toString('utf8') : value;
+    const parts = text.split("|");
+    return parts.length === 3 && parts[0] === key && /^x*$/.test(parts[2]);
+}
+
+
+/**
+ * @param {SharedFixedSizeLRUCache} cache Cache the workers attach to
+ * @param {int} index Index of the worker
+ * @param {int} operations Amount of random operations the worker performs
+ * @returns Promise resolving to the result the worker posted
+ */
+function runWorker(cache, index, operations){
+    return new Promise(function(resolve, reject){
+        let result = null;
+        const worker = new Worker(__filename, {workerData: {buffer: cache.getSharedBuffer(), index: index, operations: operations}});
+        worker.on('message', (message) => result = message);
+        worker.on('error', reject);
+        worker.on('exit', (code) => code === 0 && result ? resolve(result) : reject(new Error("Worker " + index + " exited with code " + code)));
+    });
+}
+
+
+if(isMainThread){
+    test("A put that does not fit keeps the previous value", function(){
+        const cache = new SharedFixedSizeLRUCache(1 / 1024, 0, {maxEntries: 8, blockSize: 32}); // 1KB
+        assert.strictEqual(cache.put("a", "small"), true);
+        assert.strictEqual(cache.put("b", "other"), true);
+        assert.strictEqual(cache.put("a", "x".repeat(2000)), false);
+        assert.strictEqual(cache.get("a"), "small");
+        assert.strictEqual(cache.get("b"), "other");
+
+        // replacement that fits after evicting all other entries
+        assert.strictEqual(cache.put("a", "y".repeat(1020)), true);
+        assert.strictEqual(cache.get("a"), "y".repeat(1020));
+        assert.strictEqual(cache.get("b"), undefined);
+        assert.strictEqual(cache.getCount(), 1);
+    });
+
+    test("Worker threads put, get and remove entries of the same shared cache at the same time", async function(){
+        const cache = new SharedFixedSizeLRUCache(1, 0, {maxEntries: 4000, blockSize: 32});
+        let workers = [];
+        for(let i=0; i < 4; i++) workers.push(runWorker(cache, i, 20000));
+        const results = await Promise.all(workers);
+
+        let hits = 0;
+        for(let result of results){
+            assert.strictEqual(result.failures, 0);
+            hits += result.hits;
+        }
+        assert.ok(hits > 0);
+
+        // every entry left over is intact and the byte limit holds
+        let count = 0;
+        for(let k=0; k < KEYS; k++){
+            const value = cache.peek("key" + k);
+            if(value === undefined) continue;
+            assert.ok(verify("key" + k, value), "key" + k);
+            count++;
+        }
+        assert.strictEqual(count, cache.getCount());
+        assert.ok(cache.getSizeInMB() <= cache.getMaxSizeMB());
+    });
+} else {
+    const cache = SharedFixedSizeLRUCache.attach(workerData.buffer);
+    let seed = workerData.index + 1;
+    const rand = function(){
+        seed = (Math.imul(seed, 1103515245) + 12345) & 0x7fffffff;
+        return seed / 0x7fffffff;
+    };
+    let failures = 0, hits = 0, gets = 0;
+    for(let i=0; i < workerData.operations; i++){
+        const key = "key" + Math.floor(Math.pow(rand(), 2) * KEYS);
+        const op = rand();
+        if(op < 0.3){
+            const value = valueFor(key, Math.floor(rand() * 1500), workerData.index);
+            cache.put(key, rand() < 0.5 ? value : Buffer.from(value));
+        } else if(op < 0.32){
+            cache.remove(key);
+        } else {
+            const value = cache.get(key);
+            gets++;
+            if(value === undefined) continue;
+            hits++;
+            if(!verify(key, value)) failures++;
+        }
+    }
+    parentPort.postMessage({failures: failures, hits: hits, gets: gets});
+}
@@ -0,0 +1,61 @@
+const test = require('node:test');
+const assert = require('assert');
+const { estimateSize } = require('../lib/sizeof.js');
+
+
+test("Primitives and strings are counted by their type and UTF-8 bytes", function(){
+    assert.strictEqual(estimateSize(42), 8);
+    assert.strictEqual(estimateSize(true), 4);
+    assert.strictEqual(estimateSize(null), 4);
+    assert.strictEqual(estimateSize(undefined), 4);
+    assert.strictEqual(estimateSize("abc"), 12 + 3);
+    assert.strictEqual(estimateSize("é"), 12 + 2);
+    assert.strictEqual(estimateSize(0xffffn), 8 + 2);
+});
+
+test("Cycles and values referenced multiple times are counted once", function(){
+    let cyclic = {};
+    cyclic.self = cyclic;
+    assert.strictEqual(estimateSize(cyclic), 16 + 8 + 4);
+
+    const shared = {};
+    assert.strictEqual(estimateSize([shared, shared]), 16 + (8 + 16) + 8);
+
+    let a = [], b = [a];
+    a.push(b);
+    assert.strictEqual(estimateSize(a), 16 + 8 + 16 + 8);
+});
+
+test("Values deeper than maxDepth only count as a reference", function(){
+    const nested = {a: {b: {c: 1}}};
+    assert.strictEqual(estimateSize(nested, {maxDepth: 0}), 16 + 9);
+    assert.strictEqual(estimateSize(nested, {maxDepth: 1}), 16 + 9 + 16 + 9);
+    assert.strictEqual(estimateSize(nested), 16 + 9 + 16 + 9 + 16 + 9 + 8);
+
+    let deep = [];
+    for(let i=0, current = deep; i < 1000; i++) current.push(current = []);
+    assert.strictEqual(estimateSize(deep), (16 + 1) * (16 + 8)); // arrays of depth 0 to 16 with one slot each
+});
+
+test("Buffers and typed arrays count the bytes they view", function(){
+    assert.strictEqual(estimateSize(Buffer.from("hello")), 16 + 5);
+    assert.strictEqual(estimateSize(Buffer.alloc(100)), 16 + 100);
+    assert.strictEqual(estimateSize(new Float64Array(10)), 16 + 80);
+    assert.strictEqual(estimateSize(new Uint8Array(new ArrayBuffer(100), 10, 20)), 16 + 20);
+    assert.strictEqual(estimateSize(new ArrayBuffer(64)), 16 + 64);
+    assert.strictEqual(estimateSize(new DataView(new ArrayBuffer(64), 32)), 16 + 32);
+});
+
+test("Maps and Sets count their entries", function(){
+    assert.strictEqual(estimateSize(new Map([["a", 1]])), 16 + 16 + 13 + 8);
+    assert.strictEqual(estimateSize(new Set(["ab", 2])), 16 + (8 + 14) + (8 + 8));
+
+    const key = {};
+    assert.strictEqual(estimateSize(new Map([[key, key]])), 16 + 16 + 16);
+    assert.strictEqual(estimateSize(new Map()), 16);
+});
+
+test("Parts of the overhead model can be overridden", function(){
+    assert.strictEqual(estimateSize([1], {overhead: {slot: 0}}), 16 + 8);
+    assert.strictEqual(estimateSize({a: "x"}, {overhead: {object: 0, string: 0}}), 8 + 1 + 1);
+});
@@ -0,0 +1,98 @@
+const test = require('node:test');
+const assert = require('assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { FixedCountLRUCache, FixedCountLFUCache, FixedSizeLRUCache } = require('../index.js');
+const { writeSnapshot, decodeSnapshot, SNAPSHOT_VERSION } = require('../lib/snapshot.js');
+
+
+test("restore() keeps values, LRU order and the remaining time-to-live", function(){
+    let now = Date.now() - 10000;
+    const cache = new FixedSizeLRUCache(1);
+    cache.setClock(() => now);
+    cache.put("string", "text");
+    cache.put("buffer", Buffer.from([0, 1, 255]));
+    cache.put("object", {list: [1, 2], nested: {a: true}});
+    cache.put("expired", "gone", {ttl: 5000});
+    cache.put("ttl", "kept", {ttl: 60000});
+    cache.put(7, "number key");
+    cache.get("string");
+
+    const restored = FixedSizeLRUCache.restore(cache.serialize());
+    assert.deepStrictEqual([...restored.keys()], ["buffer", "object", "ttl", 7, "string"]);
+    assert.strictEqual(restored.peek("string"), "text");
+    assert.deepStrictEqual(restored.peek("buffer"), Buffer.from([0, 1, 255]));
+    assert.ok(Buffer.isBuffer(restored.peek("buffer")));
+    assert.deepStrictEqual(restored.peek("object"), {list: [1, 2], nested: {a: true}});
+    assert.strictEqual(restored.getMaxSizeMB(), 1);
+
+    // expiry is kept as timestamp, so the remaining time-to-live is the same
+    const expires = (c) => decodeSnapshot(c.serialize()).entries.find((entry) => entry.key === "ttl").meta.expires;
+    assert.strictEqual(expires(restored), expires(cache));
+    assert.strictEqual(expires(restored), now + 10000 + 50000);
+});
+
+test("restore() keeps the access counters of LFU", function(){
+    const cache = new FixedCountLFUCache(3);
+    cache.put("a", 1);
+    cache.put("b", 2);
+    cache.put("c", 3);
+    for(let i=0; i < 3; i++) cache.get("a");
+    cache.get("c");
+
+    const restored = FixedCountLFUCache.restore(cache.serialize());
+    const counters = (c) => Object.fromEntries(decodeSnapshot(c.serialize()).entries.map((entry) => [entry.key, entry.meta.policy.accesses]));
+    assert.deepStrictEqual(counters(restored), {a: 4, b: 1, c: 2});
+    restored.put("d", 4);
+    assert.deepStrictEqual([...restored.keys()].sort(), ["a", "c", "d"]);
+});
+
+test("Entries whose values cannot be serialized are skipped", function(){
+    const cache = new FixedCountLRUCache(10);
+    cache.put("function", function(){});
+    cache.put("symbol", Symbol("s"));
+    cache.put("value", 42);
+    const restored = FixedCountLRUCache.restore(cache.serialize());
+    assert.deepStrictEqual([...restored.entries()], [["value", 42]]);
+});
+
+test("Truncated snapshots and snapshots of newer versions are rejected", function(){
+    const cache = new FixedCountLRUCache(10);
+    cache.put("key", "value");
+    const data = cache.serialize();
+    assert.throws(() => FixedCountLRUCache.restore(data.subarray(0, data.length - 2)), /truncated/);
+    assert.throws(() => FixedCountLRUCache.restore(Buffer.from("not a snapshot")), /not a cache snapshot/);
+    let newer = Buffer.from(data);
+    newer.writeUInt16BE(SNAPSHOT_VERSION + 1, 4);
+    assert.throws(() => FixedCountLRUCache.restore(newer), /version/);
+});
+
+
+test("Concurrent writes of a snapshot file do not share a temporary file", async function(){
+    const directory = fs.mkdtempSync(path.join(os.tmpdir(), "lup-caches-"));
+    try {
+        const file = path.join(directory, "cache.snapshot");
+        let buffers = [];
+        for(let i=0; i < 5; i++) buffers.push(Buffer.alloc(64 * 1024, i));
+        await Promise.all(buffers.map((buffer) => writeSnapshot(buffer, file)));
+        const written = fs.readFileSync(file);
+        assert.ok(buffers.some((buffer) => buffer.equals(written)));
+        assert.deepStrictEqual(fs.readdirSync(directory), ["cache.snapshot"]);
+    } finally {
+        fs.rmSync(directory, {recursive: true, force: true});
+    }
+});
+
+test("Temporary file gets removed if a snapshot cannot be written", async function(){
+    const directory = fs.mkdtempSync(path.join(os.tmpdir(), "lup-caches-"));
+    try {
+        // renaming a file onto a directory fails
+        const target = path.join(directory, "taken");
+        fs.mkdirSync(path.join(target, "child"), {recursive: true});
+        await assert.rejects(writeSnapshot(Buffer.from("snapshot"), target));
+        assert.deepStrictEqual(fs.readdirSync(directory), ["taken"]);
+    } finally {
+        fs.rmSync(directory, {recursive: true, force: true});
+    }
+});
@@ -0,0 +1,68 @@
+const test = require('node:test');
+const assert = require('assert');
+const { FixedCountLRUCache, MetricsRegistry } = require('../index.js');
+
+
+test("getStats() counts lookups, puts, evictions, expirations and removals", function(){
+    let now = 0;
+    const cache = new FixedCountLRUCache(2);
+    cache.setClock(() => now);
+    cache.put("a", 1, {ttl: 100});
+    cache.put("b", 2, {onEvict: () => false});
+    cache.get("a");
+    cache.get("missing");
+    cache.put("c", 3); // b vetoes, a gets evicted
+    cache.put("d", 4); // b vetoes, c gets evicted
+    cache.put("e", 5, {ttl: 50}); // b vetoes, d gets evicted
+    now = 50;
+    cache.get("e"); // expired
+    cache.put("f", 6);
+    cache.remove("f");
+    cache.get("b");
+    cache.clear(); // removes b
+
+    assert.deepStrictEqual(cache.getStats(), {
+        hits: 2, misses: 2, hitRate: 0.5, puts: 6, rejectedPuts: 0,
+        evictions: 3, expirations: 1, vetoedEvictions: 3, removals: 2
+    });
+    cache.resetStats();
+    assert.deepStrictEqual(cache.getStats(), {
+        hits: 0, misses: 0, hitRate: 0, puts: 0, rejectedPuts: 0,
+        evictions: 0, expirations: 0, vetoedEvictions: 0, removals: 0
+    });
+});
+
+test("MetricsRegistry exports the statistics of all caches in the Prometheus text format", function(){
+    const registry = new MetricsRegistry("app_cache");
+    const users = new FixedCountLRUCache(10);
+    const quoted = new FixedCountLRUCache(5);
+    registry.register("users", users);
+    registry.register("say \"hi\"\n\\", quoted);
+    assert.throws(() => registry.register("users", quoted));
+    assert.throws(() => new MetricsRegistry("1invalid"));
+    users.put("a", 1);
+    users.get("a");
+    users.get("b");
+
+    const text = registry.toPrometheus();
+    assert.ok(text.endsWith("\n"));
+    const lines = text.trimEnd().split("\n");
+    assert.strictEqual(lines.length, 11 * 4);
+    assert.deepStrictEqual(lines.slice(0, 8), [
+        "# HELP app_cache_hits_total Lookups that returned a value",
+        "# TYPE app_cache_hits_total counter",
+        "app_cache_hits_total{cache=\"users\"} 1",
+        "app_cache_hits_total{cache=\"say \\\"hi\\\"\\n\\\\\"} 0",
+        "# HELP app_cache_misses_total Lookups that did not find a value",
+        "# TYPE app_cache_misses_total counter",
+        "app_cache_misses_total{cache=\"users\"} 1",
+        "app_cache_misses_total{cache=\"say \\\"hi\\\"\\n\\\\\"} 0"
+    ]);
+    assert.ok(lines.includes("# TYPE app_cache_entries gauge"));
+    assert.ok(lines.includes("app_cache_entries{cache=\"users\"} 1"));
+    assert.ok(lines.includes("app_cache_max_capacity{cache=\"users\"} 10"));
+    assert.deepStrictEqual(Object.keys(registry.getStats()), ["users", "say \"hi\"\n\\"]);
+
+    assert.strictEqual(registry.unregister("users"), true);
+    assert.strictEqual(registry.toPrometheus().includes("users"), false);
+});
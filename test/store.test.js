@@ -0,0 +1,135 @@
+const test = require('node:test');
+const assert = require('assert');
+const { StoreBackedCache, WriteMode, MemoryAdapter, FixedCountLRUCache } = require('../index.js');
+
+
+/**
+ * @param {int} ms Milliseconds to wait
+ * @returns Promise that resolves after the given time (keeps the process alive unlike the timers of the caches)
+ */
+function sleep(ms){
+    return new Promise(function(resolve){ setTimeout(resolve, ms); });
+}
+
+
+test("Write-through leaves the cache untouched if the store cannot be updated", async function(){
+    const adapter = new MemoryAdapter();
+    const store = new StoreBackedCache(new FixedCountLRUCache(10), adapter, {retries: 1, retryDelayMs: 0});
+    adapter.failNext(2);
+    await assert.rejects(store.put("a", 1));
+    assert.strictEqual(store.getCache().peek("a"), undefined);
+    assert.strictEqual(adapter.getMap().has("a"), false);
+
+    await store.put("a", 1);
+    adapter.failNext(2);
+    await assert.rejects(store.remove("a"));
+    assert.strictEqual(store.getCache().peek("a"), 1);
+    assert.strictEqual(adapter.getMap().get("a"), 1);
+    assert.strictEqual(await store.remove("a"), 1);
+    assert.strictEqual(adapter.getMap().has("a"), false);
+});
+
+test("Failed calls get retried with backoff", async function(){
+    const adapter = new MemoryAdapter();
+    const store = new StoreBackedCache(new FixedCountLRUCache(10), adapter, {retries: 3, retryDelayMs: 20});
+    adapter.failNext(2);
+    const start = Date.now();
+    assert.strictEqual(await store.put("a", 1), true);
+    assert.ok(Date.now() - start >= 20 + 40);
+    assert.strictEqual(adapter.getCalls().set, 3);
+
+    adapter.getMap().set("b", 2);
+    adapter.failNext(1);
+    assert.strictEqual(await store.get("b"), 2);
+    assert.strictEqual(adapter.getCalls().get, 2);
+});
+
+test("Write-behind writes in batches of batchSize", async function(){
+    const adapter = new MemoryAdapter();
+    const store = new StoreBackedCache(new FixedCountLRUCache(10), adapter, {mode: WriteMode.BEHIND, batchSize: 3, flushDelayMs: 10000});
+    await store.put("a", 1);
+    await store.put("b", 2);
+    await sleep(20);
+    assert.strictEqual(adapter.getCalls().set, 0);
+    assert.strictEqual(store.getDirtyCount(), 2);
+
+    await store.put("c", 3); // batch is full
+    await sleep(20);
+    assert.deepStrictEqual([...adapter.getMap().keys()], ["a", "b", "c"]);
+    assert.strictEqual(store.getDirtyCount(), 0);
+    await store.close();
+});
+
+test("Write-behind waits for flushDelayMs without changes", async function(){
+    const adapter = new MemoryAdapter();
+    const store = new StoreBackedCache(new FixedCountLRUCache(10), adapter, {mode: WriteMode.BEHIND, flushDelayMs: 200});
+    await store.put("a", 1);
+    await sleep(100);
+    await store.put("b", 2);
+    await sleep(150); // 250ms after the first change but only 150ms after the last one
+    assert.strictEqual(adapter.getCalls().set, 0);
+    await sleep(200);
+    assert.strictEqual(adapter.getCalls().set, 2);
+    assert.strictEqual(await store.get("b"), 2);
+});
+
+test("Write-behind writes after maxFlushDelayMs of the cache clock even if changes keep coming", async function(){
+    let now = 0;
+    const cache = new FixedCountLRUCache(10);
+    cache.setClock(() => now);
+    const adapter = new MemoryAdapter();
+    const store = new StoreBackedCache(cache, adapter, {mode: WriteMode.BEHIND, flushDelayMs: 10000, maxFlushDelayMs: 1000});
+    await store.put("a", 1);
+    now = 500; // remaining 500ms of the maximum delay are waited
+    await store.put("b", 2);
+    await sleep(20);
+    assert.strictEqual(adapter.getCalls().set, 0);
+
+    now = 1000;
+    await store.put("c", 3);
+    await sleep(20);
+    assert.deepStrictEqual([...adapter.getMap().keys()], ["a", "b", "c"]);
+    await store.close();
+});
+
+test("Write-behind flushes if the cache evicts a dirty entry and serves it until written", async function(){
+    const adapter = new MemoryAdapter({delayMs: 30});
+    const store = new StoreBackedCache(new FixedCountLRUCache(1), adapter, {mode: WriteMode.BEHIND, flushDelayMs: 10000});
+    await store.put("a", 1);
+    await store.put("b", 2); // evicts a
+    assert.strictEqual(store.getCache().peek("a"), undefined);
+    assert.strictEqual(await store.get("a"), 1);
+    await sleep(100);
+    assert.strictEqual(adapter.getMap().get("a"), 1);
+    assert.strictEqual(adapter.getMap().get("b"), 2);
+    assert.strictEqual(store.getDirtyCount(), 0);
+});
+
+test("onError gets called for changes that could not be written and they stay dirty", async function(){
+    const adapter = new MemoryAdapter();
+    let errors = [];
+    const store = new StoreBackedCache(new FixedCountLRUCache(10), adapter, {mode: WriteMode.BEHIND, flushDelayMs: 10000, retries: 0,
+        onError: (error, key) => errors.push([key, error.message])});
+    await store.put("a", 1);
+    await store.remove("b");
+    adapter.failNext(1);
+    await assert.rejects(store.flush());
+    assert.deepStrictEqual(errors, [["a", "Simulated failure of set()"]]);
+    assert.strictEqual(store.getDirtyCount(), 1);
+
+    await store.flush();
+    assert.strictEqual(store.getDirtyCount(), 0);
+    assert.strictEqual(adapter.getMap().get("a"), 1);
+    assert.deepStrictEqual(adapter.getCalls(), {get: 0, set: 2, delete: 1});
+});
+
+test("close() writes all dirty changes", async function(){
+    const adapter = new MemoryAdapter();
+    const store = new StoreBackedCache(new FixedCountLRUCache(10), adapter, {mode: WriteMode.BEHIND, flushDelayMs: 10000});
+    adapter.getMap().set("old", 0);
+    await store.put("a", 1);
+    await store.remove("old");
+    await store.close();
+    assert.deepStrictEqual([...adapter.getMap()], [["a", 1]]);
+    await assert.rejects(store.put("b", 2));
+});
@@ -0,0 +1,50 @@
+const test = require('node:test');
+const assert = require('assert');
+const { PassThrough } = require('stream');
+const { FixedCountLRUCache, TraceRecorder, readTrace } = require('../index.js');
+
+
+/**
+ * @returns Object containing a {@code stream} to record into and a function {@code data()} returning everything written to it
+ */
+function collector(){
+    const stream = new PassThrough();
+    let chunks = [];
+    stream.on('data', (chunk) => chunks.push(chunk));
+    return {stream: stream, data: () => Buffer.concat(chunks)};
+}
+
+
+test("TraceRecorder stops recording once maxKeys distinct keys have been recorded", async function(){
+    const cache = new FixedCountLRUCache(100);
+    const target = collector();
+    const recorder = new TraceRecorder(cache, target.stream, {maxKeys: 3});
+    for(let i=0; i < 3; i++) cache.put("key" + i, i);
+    cache.get("key0");
+    assert.strictEqual(recorder.isLimitReached(), false);
+
+    cache.put("key3", 3);
+    cache.get("key1");
+    assert.strictEqual(recorder.isLimitReached(), true);
+    assert.strictEqual(recorder.getCount(), 4);
+    assert.strictEqual(recorder.getKeyCount(), 3);
+    assert.strictEqual(cache.listenerCount("set"), 0);
+
+    await recorder.close();
+    const trace = await readTrace(target.data());
+    assert.strictEqual(trace.length, 4);
+    assert.strictEqual(trace.keys, 3);
+});
+
+test("TraceRecorder stops recording once maxRecords records have been recorded", async function(){
+    const cache = new FixedCountLRUCache(100);
+    const target = collector();
+    const recorder = new TraceRecorder(cache, target.stream, {maxRecords: 5});
+    for(let i=0; i < 10; i++) cache.get("key");
+    assert.strictEqual(recorder.isLimitReached(), true);
+    assert.strictEqual(recorder.getCount(), 5);
+
+    await recorder.close();
+    assert.strictEqual((await readTrace(target.data())).length, 5);
+    assert.throws(() => new TraceRecorder(cache, target.stream, {maxKeys: 0}));
+});
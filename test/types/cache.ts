@@ -0,0 +1,63 @@
+import { Equal, expectTrue } from "./helpers";
+import {
+    Cache, FixedSizeLRUCache, FixedCountLFUCache, CountCapacity, LRUPolicy, EvictReason,
+    CacheEvent, memoize, CompressionCodec
+} from "lup-caches";
+
+interface User { name: string }
+
+const cache = new FixedSizeLRUCache<string, User>(10);
+
+// get() and friends return V | undefined
+const user = cache.get("a");
+expectTrue<Equal<typeof user, User | undefined>>();
+expectTrue<Equal<ReturnType<typeof cache.peek>, User | undefined>>();
+expectTrue<Equal<ReturnType<typeof cache.remove>, User | undefined>>();
+expectTrue<Equal<ReturnType<typeof cache.getOrLoad>, Promise<User | undefined>>>();
+// @ts-expect-error value might be undefined
+const name: string = cache.get("a").name;
+
+// onEvict gets typed key, value and reason
+cache.put("a", {name: "x"}, {ttl: 5, onEvict: (key, value, reason) => {
+    expectTrue<Equal<typeof key, string>>();
+    expectTrue<Equal<typeof value, User>>();
+    expectTrue<Equal<typeof reason, EvictReason>>();
+    return false;
+}});
+// @ts-expect-error value has to be a User
+cache.put("b", 42);
+// @ts-expect-error key has to be a string
+cache.put(1, {name: "x"});
+
+// events are typed
+cache.on("evict", (event) => {
+    expectTrue<Equal<typeof event, CacheEvent<string, User>>>();
+});
+cache.on("miss", (event) => {
+    expectTrue<Equal<typeof event.key, string>>();
+});
+// @ts-expect-error unknown event
+cache.on("unknown", () => {});
+
+// caches are Maps
+const map: Map<string, User> = cache;
+expectTrue<Equal<typeof cache[typeof Symbol.toStringTag], string>>();
+for(const [key, value] of cache){
+    expectTrue<Equal<typeof key, string>>();
+    expectTrue<Equal<typeof value, User>>();
+}
+
+// core class with capacity strategy and policy
+const core = new Cache<number, Buffer>({capacity: new CountCapacity(100), policy: new LRUPolicy()});
+expectTrue<Equal<ReturnType<typeof core.get>, Buffer | undefined>>();
+const lfu = new FixedCountLFUCache<number, string>(100, 60000);
+expectTrue<Equal<ReturnType<typeof lfu.getExpireTime>, number>>();
+
+// memoize keeps the signature of the wrapped function
+const square = memoize((x: number) => x * x);
+expectTrue<Equal<ReturnType<typeof square>, number>>();
+
+// codecs
+cache.setCodec(new CompressionCodec({algorithm: "gzip"}));
+// @ts-expect-error unknown algorithm
+new CompressionCodec({algorithm: "lz4"});
@@ -0,0 +1,15 @@
+import { Equal, expectTrue } from "./helpers.js";
+import caches, { FixedSizeLRUCache, TieredCache, readTrace, simulate, CompressionCodec, StoreBackedCache } from "lup-caches";
+
+// named exports of the ES module entry
+const cache = new FixedSizeLRUCache<string, string>(10);
+expectTrue<Equal<ReturnType<typeof cache.get>, string | undefined>>();
+expectTrue<Equal<typeof readTrace, typeof caches.readTrace>>();
+expectTrue<Equal<typeof simulate, typeof caches.simulate>>();
+expectTrue<Equal<typeof CompressionCodec, typeof caches.CompressionCodec>>();
+expectTrue<Equal<typeof TieredCache, typeof caches.TieredCache>>();
+expectTrue<Equal<typeof StoreBackedCache, typeof caches.StoreBackedCache>>();
+
+// default export contains the same classes
+const other = new caches.FixedCountLRUCache<number, string>(10);
+expectTrue<Equal<ReturnType<typeof other.get>, string | undefined>>();
@@ -0,0 +1,5 @@
+/** True if both types are identical */
+export type Equal<A, B> = (<T>() => T extends A ? 1 : 2) extends (<T>() => T extends B ? 1 : 2) ? true : false;
+
+/** Fails to compile unless the type argument is true */
+export function expectTrue<T extends true>(): void {}